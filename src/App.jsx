@@ -5,10 +5,63 @@ import { Input } from "@/components/ui/input";
 import { Slider } from "@/components/ui/slider";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Badge } from "@/components/ui/badge";
-import { Trash2, Play, Pause, Plus, Upload, Circle, StopCircle, Film, Image as ImageIcon, Type, GripVertical, Palette } from "lucide-react";
-import { makeI18n } from "./i18n";
+import { Trash2, Play, Pause, Plus, Upload, Circle, StopCircle, Film, Image as ImageIcon, Type, GripVertical, Palette, X, Music, Volume2, VolumeX, Save, FolderOpen, RotateCcw, Move, Check, Crop, Download, Paintbrush, Scan, StepBack, StepForward, Undo2, Redo2, Scissors, ArrowRightToLine, ArrowLeftToLine, Copy, Blend, SquareSplitHorizontal, Search, Info, Folder, FolderPlus, FolderInput, ArrowDownUp, Layers, Settings2, Monitor, MousePointer2 } from "lucide-react";
+import { CaptionStyleDialog } from "@/components/CaptionStyleDialog";
+import { HistoryDialog } from "@/components/HistoryDialog";
+import { LevelMeter } from "@/components/LevelMeter";
+import { TimelineRuler } from "@/components/TimelineRuler";
+import { StorageDialog } from "@/components/StorageDialog";
+import { useI18n } from "./i18n";
+import { buildAudioSchedule, createAudioMixer, renderAudioMix } from "@/lib/audio";
+import { convertWebMToMP4, isAbortError } from "@/lib/ffmpeg";
+import { ACTION_SAFE, DEFAULT_CAPTION_STYLE, DEFAULT_TITLE_STYLE, TITLE_SAFE } from "@/lib/captionStyle";
+import { DEFAULT_CUE_LENGTH, MIN_CUE_LENGTH, SUBTITLE_FORMATS, captionsToCues, formatSubtitles, parseSubtitles, sortCues } from "@/lib/subtitles";
+import { HISTORY_GROUP_DELAY, createHistory, currentSnapshot, moveHistory, recordHistory, snapshotsEqual } from "@/lib/history";
+import { DEFAULT_FIT, FIT_MODES, containRect, cropFromPoints, getFitSpec } from "@/lib/fit";
+import { EASINGS, panFraming, randomKenBurns, zoomFraming } from "@/lib/kenBurns";
+import { seekVideoExact, waitForEvent } from "@/lib/media";
+import { RENDER_FPS_OPTIONS, renderTimelineOffline } from "@/lib/offlineRender";
+import { PROJECT_EXTENSION, readProjectBundle, saveProjectBundle, serializeProject } from "@/lib/project";
+import {
+  deleteSession,
+  getStorageEstimate,
+  listSessions,
+  loadSession,
+  putSessionMedia,
+  putSessionPreview,
+  requestPersistentStorage,
+  saveSession,
+} from "@/lib/sessionStore";
+import { clipAt, getClipDuration, getTrimRange, layoutDuration, layoutTimeline, MIN_TRIM_LENGTH } from "@/lib/timeline";
+import { TrimDialog } from "@/components/TrimDialog";
+import { DEFAULT_TRANSITION, TRANSITION_TYPES } from "@/lib/transitions";
+import { CRT_EFFECTS, DEFAULT_CRT } from "@/lib/crt";
+import { DEFAULT_GRADE, LUT_FILE_PATTERN, getGradeSpec, parseCube } from "@/lib/grade";
+import { GradeDialog } from "@/components/GradeDialog";
+import { BUILTIN_THEMES, DEFAULT_THEME, THEME_EXTENSION, loadCustomThemes, mergeThemes, resolveTheme, serializeTheme, storeCustomThemes } from "@/lib/themes";
+import { ThemeEditor } from "@/components/ThemeEditor";
+import { compositorItem, framePlan } from "@/lib/compositor";
+import { ALL_BINS, LIBRARY_SORTS, LIBRARY_TYPES, NO_BIN, createBin, filterLibrary, itemLabel, libraryUsage } from "@/lib/library";
+import { LibraryItemDialog } from "@/components/LibraryItemDialog";
+import { computeWaveform, createFilmstrip, filmstripFrameAt } from "@/lib/mediaPreview";
+import { FilmstripThumbnail, Waveform } from "@/components/MediaPreview";
+import { FONT_FILE_PATTERN, IMPORT_CONCURRENCY, droppedEntries, mapConcurrent, pickedFolderFiles, readEntryFiles, sortImportFiles } from "@/lib/mediaImport";
+import { FolderImportDialog } from "@/components/FolderImportDialog";
+import { snapToBeats, stepBeats, trackBeatTimes } from "@/lib/beats";
+import { BeatSyncDialog } from "@/components/BeatSyncDialog";
+import { createCompositorClient } from "@/lib/compositorClient";
+import { MIN_OVERLAY_DURATION, clampOverlayBox, createOverlay, overlayMediaTime, overlayRect, overlaysAt } from "@/lib/overlays";
+import { OverlayDialog } from "@/components/OverlayDialog";
+import { CARD_TEMPLATES, MIN_CARD_DURATION, cardLabel, createCardClip, getCardSpec } from "@/lib/cards";
+import { CardDialog } from "@/components/CardDialog";
+import { ChromeDialog } from "@/components/ChromeDialog";
+import { chromeLayout, getChromeSpec, sortKeyframes } from "@/lib/chrome";
 
-const i18n = makeI18n();
+// Quiet period after the last edit before the session is written to IndexedDB
+const AUTOSAVE_DELAY = 1000;
+
+// Drag data of a library tile being moved into a bin
+const LIBRARY_DRAG_TYPE = "application/x-ddoc-library-item";
 
 function formatSeconds(s) {
   const mm = String(Math.floor(s / 60)).padStart(2, "0");
@@ -16,125 +69,217 @@ function formatSeconds(s) {
   return `${mm}:${ss}`;
 }
 
+// mm:ss:ff at `fps`, for checking cuts frame by frame
+function formatTimecode(s, fps) {
+  const frames = Math.round(s * fps);
+  const ff = String(frames % fps).padStart(2, "0");
+  return `${formatSeconds(Math.floor(frames / fps))}:${ff}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Insertion marker shown between timeline rows while a clip is dragged
+function DropMarker() {
+  const i18n = useI18n();
+  return (
+    <div className="flex items-center gap-2 text-[10px] uppercase tracking-wide text-neutral-500" aria-hidden>
+      <div className="h-0.5 flex-1 rounded bg-neutral-900" />
+      {i18n.t("dropHere")}
+      <div className="h-0.5 flex-1 rounded bg-neutral-900" />
+    </div>
+  );
+}
+
 export default function DesktopDocWorkshopApp() {
+  const i18n = useI18n();
+  // Language names, in the current language, for the switcher tooltips
+  const languageNames = useMemo(() => new Intl.DisplayNames([i18n.lang], { type: "language" }), [i18n.lang]);
+
   // Media library (files user dropped)
   const [library, setLibrary] = useState([]);
   const [timeline, setTimeline] = useState([]);
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
   const [crossfade, setCrossfade] = useState(1.0);
+  const [transitionType, setTransitionType] = useState(DEFAULT_TRANSITION);
+  const [autoKenBurns, setAutoKenBurns] = useState(false);
+  const [fitDefaults, setFitDefaults] = useState(DEFAULT_FIT);
+  const [subtitles, setSubtitles] = useState([]);
+  const [burnSubtitles, setBurnSubtitles] = useState(true);
+  // Sidecar written next to every export: "vtt", "srt" or "none"
+  const [subtitleSidecar, setSubtitleSidecar] = useState("vtt");
+  const [captionStyle, setCaptionStyle] = useState(DEFAULT_CAPTION_STYLE);
+  const [titleStyle, setTitleStyle] = useState(DEFAULT_TITLE_STYLE);
+  const [showSafeArea, setShowSafeArea] = useState(false);
+  // Clip picked on the visual timeline; its row in the list acts as the inspector
+  const [selectedClipId, setSelectedClipId] = useState(null);
+  // Clip framing being adjusted on the stage: { clipId, key }, where key is a
+  // Ken Burns framing ("from" | "to") or "crop"
+  const [stageEdit, setStageEdit] = useState(null);
   const [canvasSize, setCanvasSize] = useState({ w: 1280, h: 720 });
   const [recState, setRecState] = useState("idle");
   const [globalTitle, setGlobalTitle] = useState("");
   const [showTitle, setShowTitle] = useState(true);
   const [loadingStates, setLoadingStates] = useState({});
-  const [selectedColor, setSelectedColor] = useState("green");
-  const [uiLang, setUiLang] = useState(i18n.lang);
+  // Files imported so far of all running imports: { done, total }
+  const [importProgress, setImportProgress] = useState(null);
+  // Files of a dropped or picked folder waiting for its import options
+  const [pendingFolder, setPendingFolder] = useState(null);
+  // Filmstrips and waveforms by library id: { filmstrip, waveform }
+  const [mediaPreviews, setMediaPreviews] = useState({});
+  const [selectedColor, setSelectedColor] = useState(DEFAULT_THEME);
+  // User-made colour themes, shared by all projects in this browser
+  const [customThemes, setCustomThemes] = useState(loadCustomThemes);
+  // CRT post-processing applied to every rendered frame
+  const [crt, setCrt] = useState(DEFAULT_CRT);
+  // Project colour grade; clips may override any field (clip.grade)
+  const [gradeDefaults, setGradeDefaults] = useState(DEFAULT_GRADE);
+  // Preview shows the left half ungraded
+  const [gradeCompare, setGradeCompare] = useState(false);
+  // Library bins: [{ id, name }]; items refer to theirs by binId
+  const [bins, setBins] = useState([]);
+  // What the library grid shows (see filterLibrary)
+  const [libraryFilter, setLibraryFilter] = useState({ query: "", type: "", bin: ALL_BINS, sort: "added", descending: false });
+  const [dragClipIndex, setDragClipIndex] = useState(null);
+  const [dropSlot, setDropSlot] = useState(null);
+  const [exportProgress, setExportProgress] = useState(0);
+  const [renderFps, setRenderFps] = useState(30);
+  // Music and narration tracks laid under the picture
+  const [audioTracks, setAudioTracks] = useState([]);
+  // Pictures over the main sequence: watermarks, picture-in-picture… (see overlays.js)
+  const [overlays, setOverlays] = useState([]);
+  const [selectedOverlayId, setSelectedOverlayId] = useState(null);
+  const [selectedCueId, setSelectedCueId] = useState(null);
+  const [audioMixer, setAudioMixer] = useState(null);
+  // Autosave: the session being edited, and the previous one offered for restore
+  const [sessionId, setSessionId] = useState(() => crypto.randomUUID());
+  const [restorableSession, setRestorableSession] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  // { key, message } of the last project or session that failed to load
+  const [loadError, setLoadError] = useState(null);
+  const [storageInfo, setStorageInfo] = useState({ sessions: [], estimate: null });
 
   // Add missing refs
   const canvasRef = useRef(null);
+  const compositorRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const recordedChunksRef = useRef([]);
+  const recordStartedAtRef = useRef(0);
+  const exportAbortRef = useRef(null);
   const rafRef = useRef(null);
+  const stageDragRef = useRef(null);
+  const overlayDragRef = useRef(null);
+  const previewSeqRef = useRef(0);
   const videoElementsRef = useRef(new Map());
-  const imageElementsRef = useRef(new Map());
-
-  // 90s Terminal/CRT color palette - ensure this is defined properly
-  const cyberColors = useMemo(() => ({
-    green: { primary: "#00aa00", shadow: "#00aa00" },
-    amber: { primary: "#ffaa00", shadow: "#ffaa00" },
-    red: { primary: "#cc0000", shadow: "#cc0000" },
-    blue: { primary: "#0066cc", shadow: "#0066cc" },
-    purple: { primary: "#6600cc", shadow: "#6600cc" }
-  }), []);
-
-  // Get current color with fallback
+  const audioElementsRef = useRef(new Map());
+  const decodedAudioRef = useRef(new Map());
+  const projectInputRef = useRef(null);
+  const subtitleInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  // Library ids whose media is already stored for the current session, each
+  // mapped to whether its preview is stored too
+  const storedMediaRef = useRef(new Map());
+  // The running autosave, the newest state waiting to be saved and the
+  // session that has a saved record
+  const autosaveRef = useRef({ queue: Promise.resolve(), latest: null, savedSessionId: null });
+  // Every library item whose object URL (and font) is still alive, by id
+  const mediaItemsRef = useRef(new Map());
+  // Previews are made one item at a time, so a big import doesn't decode
+  // every file at once
+  const previewQueueRef = useRef(Promise.resolve());
+
+  // Current colour theme, falling back to the default if it was deleted
   const getCurrentColor = useCallback(() => {
-    return cyberColors[selectedColor] || cyberColors.green;
-  }, [cyberColors, selectedColor]);
-
-  // Derived: total duration
-  const totalDuration = useMemo(() => {
-    return timeline.reduce((acc, clip) => {
-      const lib = library.find((l) => l.id === clip.libId);
-      if (!lib) return acc;
-      if (lib.type === "video") {
-        return acc + (lib.duration || 0);
-      }
-      return acc + (clip.duration || 3);
-    }, 0);
-  }, [timeline, library]);
+    return resolveTheme(selectedColor, customThemes);
+  }, [selectedColor, customThemes]);
 
-  // Compute which clip is active at given progress
-  const activeIndexAt = useCallback((t) => {
-    let acc = 0;
-    for (let i = 0; i < timeline.length; i++) {
-      const clip = timeline[i];
-      const lib = library.find((l) => l.id === clip.libId);
-      const d = lib?.type === "video" ? lib.duration || 0 : clip.duration || 3;
-      if (t < acc + d) return { index: i, localTime: t - acc, duration: d };
-      acc += d;
-    }
-    return { index: -1, localTime: 0, duration: 0 };
-  }, [timeline, library]);
+  // Project-wide transition; clips may override type and/or length
+  const transitionDefaults = useMemo(
+    () => ({ type: transitionType, duration: crossfade }),
+    [transitionType, crossfade]
+  );
 
-  // Utility functions
-  const coverRect = useCallback((srcW, srcH, dstW, dstH) => {
-    const srcRatio = srcW / srcH;
-    const dstRatio = dstW / dstH;
-    let dw, dh;
-    
-    if (srcRatio > dstRatio) {
-      dh = dstH;
-      dw = dh * srcRatio;
-    } else {
-      dw = dstW;
-      dh = dw / srcRatio;
-    }
-    
-    const x = (dstW - dw) / 2;
-    const y = (dstH - dh) / 2;
-    return { x, y, dw, dh };
-  }, []);
+  // Derived: start time, length and incoming transition of every clip
+  const layout = useMemo(
+    () => layoutTimeline(timeline, library, transitionDefaults),
+    [timeline, library, transitionDefaults]
+  );
 
-  const wrapText = useCallback((ctx, text, x, y, maxWidth, lineHeight) => {
-    const words = text.split(" ");
-    let line = "";
-    let yy = y;
-    
-    for (let n = 0; n < words.length; n++) {
-      const testLine = line + words[n] + " ";
-      const metrics = ctx.measureText(testLine);
-      
-      if (metrics.width > maxWidth && n > 0) {
-        ctx.fillText(line, x, yy);
-        line = words[n] + " ";
-        yy += lineHeight;
-      } else {
-        line = testLine;
-      }
-    }
-    ctx.fillText(line, x, yy);
-  }, []);
+  const fonts = useMemo(() => library.filter((item) => item.type === "font"), [library]);
+  const luts = useMemo(() => library.filter((item) => item.type === "lut"), [library]);
+  // The bin being shown; all items once it is gone (e.g. after an undo)
+  const shownBin = libraryFilter.bin === NO_BIN || bins.some((bin) => bin.id === libraryFilter.bin) ? libraryFilter.bin : ALL_BINS;
+  const visibleLibrary = useMemo(
+    () => filterLibrary(library, { ...libraryFilter, bin: shownBin }),
+    [library, libraryFilter, shownBin]
+  );
+  const binCounts = useMemo(() => {
+    const counts = { [ALL_BINS]: library.length, [NO_BIN]: 0 };
+    library.forEach((item) => {
+      const key = item.binId ?? NO_BIN;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+  }, [library]);
 
-  // Image loading
-  const loadImage = useCallback((src) =>
-    new Promise((resolve, reject) => {
-      if (imageElementsRef.current.has(src)) {
-        resolve(imageElementsRef.current.get(src));
-        return;
-      }
+  // Everything saved with a project besides media, timeline and tracks
+  const settings = useMemo(() => ({
+    crossfade, transitionType, autoKenBurns, fitDefaults, burnSubtitles, subtitleSidecar,
+    captionStyle, titleStyle, canvasSize, globalTitle, showTitle, selectedColor, crt, gradeDefaults, bins, renderFps,
+  }), [
+    crossfade, transitionType, autoKenBurns, fitDefaults, burnSubtitles, subtitleSidecar,
+    captionStyle, titleStyle, canvasSize, globalTitle, showTitle, selectedColor, crt, gradeDefaults, bins, renderFps,
+  ]);
 
-      const img = new Image();
-      img.onload = () => {
-        imageElementsRef.current.set(src, img);
-        resolve(img);
-      };
-      img.onerror = reject;
-      img.crossOrigin = "anonymous";
-      img.src = src;
-    }), []);
+  // Saved projects carry the custom theme they use, so it travels with them.
+  // The theme list itself belongs to the browser, not to the undo history.
+  const projectSettings = useMemo(() => ({
+    ...settings,
+    customThemes: customThemes.filter((theme) => theme.id === selectedColor),
+  }), [settings, customThemes, selectedColor]);
+
+  // Undo history of the editable state
+  const editorSnapshot = useMemo(
+    () => ({ library, timeline, audioTracks, overlays, subtitles, settings }),
+    [library, timeline, audioTracks, overlays, subtitles, settings]
+  );
+  const [history, setHistory] = useState(() => createHistory(editorSnapshot));
+  const resetHistoryRef = useRef(false);
+
+  // Derived: total duration (transitions overlap their clips)
+  const totalDuration = useMemo(() => layoutDuration(layout), [layout]);
+
+  // Beat times on the timeline of a track with beat analysis (see beats.js)
+  const timelineBeats = useCallback((track) => {
+    const lib = library.find((l) => l.id === track.libId);
+    return lib ? trackBeatTimes(track, lib.duration).map((t) => track.start + t) : [];
+  }, [library]);
 
+  // Ruler markers of every analysed track: beats (marking the first of each
+  // bar) and onsets
+  const beatMarkers = useMemo(() => {
+    const beats = [];
+    const onsets = [];
+    audioTracks.forEach((track) => {
+      if (!track.beats) return;
+      const bar = track.beatsPerBar ?? 4;
+      timelineBeats(track).forEach((time, i) => beats.push({ time, bar: i % bar === 0 }));
+      track.beats.onsets.forEach((t) => onsets.push(track.start + t));
+    });
+    return { beats, onsets };
+  }, [audioTracks, timelineBeats]);
+
+  // Compute which clip is active at given progress
+  const activeIndexAt = useCallback((t) => clipAt(layout, t), [layout]);
+
+  // Utility functions
   // Video probing
   const probeVideo = useCallback((src) =>
     new Promise((resolve, reject) => {
@@ -164,10 +309,22 @@ export default function DesktopDocWorkshopApp() {
       v.src = src;
     }), []);
 
+  // Audio probing
+  const probeAudio = useCallback(async (src) => {
+    const a = document.createElement("audio");
+    a.preload = "metadata";
+    const loaded = waitForEvent(a, "loadedmetadata");
+    a.src = src;
+    await loaded;
+    return { duration: a.duration, src };
+  }, []);
+
   // Get video element
-  const getVideoElement = useCallback((lib) => {
-    if (videoElementsRef.current.has(lib.id)) {
-      return videoElementsRef.current.get(lib.id);
+  // One element per timeline clip or overlay (`key`), so the same video can show two
+  // different moments at once, e.g. during a transition between two trims
+  const getVideoElement = useCallback((lib, key = lib.id) => {
+    if (videoElementsRef.current.has(key)) {
+      return videoElementsRef.current.get(key);
     }
 
     const v = document.createElement("video");
@@ -178,174 +335,188 @@ export default function DesktopDocWorkshopApp() {
     v.loop = false;
     v.preload = "auto";
     
-    videoElementsRef.current.set(lib.id, v);
+    videoElementsRef.current.set(key, v);
     return v;
   }, []);
 
-  // Drawing functions
-  const drawMedia = useCallback(async (lib, ctx, currentTime = 0) => {
-    const { w, h } = canvasSize;
-    
-    if (lib.type === "image") {
-      try {
-        const img = await loadImage(lib.url);
-        const { x, y, dw, dh } = coverRect(img.width, img.height, w, h);
-        ctx.drawImage(img, x, y, dw, dh);
-      } catch (error) {
-        console.error('Error drawing image:', error);
-      }
-    } else if (lib.type === "video") {
-      const v = getVideoElement(lib);
-      
-      const targetTime = Math.min(v.duration - 0.01, Math.max(0, currentTime));
-      if (Math.abs(v.currentTime - targetTime) > 0.1) {
-        v.currentTime = targetTime;
-      }
+  // Get audio element for a music/narration track
+  const getAudioElement = useCallback((trackId, lib) => {
+    if (audioElementsRef.current.has(trackId)) {
+      return audioElementsRef.current.get(trackId);
+    }
 
-      try {
-        if (v.readyState >= 2) {
-          const { x, y, dw, dh } = coverRect(
-            v.videoWidth || lib.width, 
-            v.videoHeight || lib.height, 
-            w, 
-            h
-          );
-          ctx.drawImage(v, x, y, dw, dh);
-        }
-      } catch (error) {
-        console.error('Error drawing video:', error);
-      }
+    const a = document.createElement("audio");
+    a.src = lib.url;
+    a.crossOrigin = "anonymous";
+    a.muted = true;
+    a.preload = "auto";
+
+    audioElementsRef.current.set(trackId, a);
+    return a;
+  }, []);
+
+  // Video elements follow the timeline. With `exact`, they are seeked to the
+  // precise frame (offline render); otherwise they only follow loosely.
+  const syncVideo = useCallback(async (v, time, exact) => {
+    if (exact) {
+      await seekVideoExact(v, time);
+      return;
     }
-  }, [canvasSize, loadImage, getVideoElement, coverRect]);
+    // While playing (for sound) the mixer keeps the element in sync
+    const targetTime = Math.min(v.duration - 0.01, Math.max(0, time));
+    if (Math.abs(v.currentTime - targetTime) > (v.paused ? 0.1 : 0.25)) {
+      v.currentTime = targetTime;
+    }
+  }, []);
 
-  const drawTitle = useCallback((ctx, text, w) => {
-    const pad = 24;
-    const maxWidth = w - pad * 2;
-    const currentColor = getCurrentColor();
-    
-    ctx.font = "bold 42px monospace";
-    ctx.textAlign = "left";
-    ctx.textBaseline = "top";
-    
-    ctx.fillStyle = "rgba(0,0,0,0.7)";
-    const textWidth = ctx.measureText(text.toUpperCase()).width;
-    ctx.fillRect(pad - 10, pad - 10, Math.min(textWidth + 20, maxWidth + 20), 60);
-    
-    ctx.fillStyle = currentColor.primary;
-    ctx.shadowColor = currentColor.shadow;
-    ctx.shadowBlur = 10;
-    wrapText(ctx, text.toUpperCase(), pad, pad, maxWidth, 48);
-    
-    ctx.shadowBlur = 0;
-  }, [wrapText, getCurrentColor]);
+  // Frames are composited in a worker (see compositorClient.js). The stage
+  // compositor is created on first use: its canvas can be handed over once.
+  const getStageCompositor = useCallback(() => {
+    if (!compositorRef.current && canvasRef.current) {
+      compositorRef.current = createCompositorClient({ canvas: canvasRef.current });
+    }
+    return compositorRef.current;
+  }, []);
 
-  const drawCaption = useCallback((ctx, text, w, h) => {
-    const pad = 60;
-    const maxWidth = w - pad * 2;
-    const currentColor = getCurrentColor();
-    
-    ctx.font = "bold 28px monospace";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "alphabetic";
-    
-    ctx.fillStyle = "rgba(0,0,0,0.8)";
-    const metrics = ctx.measureText(text.toUpperCase());
-    const boxW = Math.min(maxWidth, metrics.width + 40);
-    const boxH = 44;
-    
-    const boxX = (w - boxW) / 2;
-    ctx.fillRect(boxX, h - pad - boxH, boxW, boxH);
-    
-    ctx.strokeStyle = currentColor.primary;
-    ctx.lineWidth = 2;
-    ctx.strokeRect(boxX, h - pad - boxH, boxW, boxH);
-    
-    ctx.fillStyle = "#ffffff";
-    ctx.shadowColor = currentColor.shadow;
-    ctx.shadowBlur = 5;
-    
-    ctx.fillText(text.toUpperCase(), w / 2, h - pad - 12);
-    ctx.shadowBlur = 0;
-  }, [getCurrentColor]);
+  // Everything the compositor draws besides the video pictures
+  const compositorLibrary = useMemo(() => library.map(compositorItem), [library]);
+  const compositorScene = useMemo(() => ({
+    width: canvasSize.w,
+    height: canvasSize.h,
+    layout: layout.map((entry) => {
+      const { lib: _lib, ...rest } = entry;
+      return rest;
+    }),
+    fitDefaults,
+    gradeDefaults,
+    gradeCompare,
+    subtitles,
+    burnSubtitles,
+    captionStyle,
+    titleStyle,
+    title: showTitle ? globalTitle : "",
+    theme: getCurrentColor(),
+    crt,
+    overlays,
+    // Framings are edited on the paused stage only
+    editing: isPlaying ? null : stageEdit,
+    preview: recState === "idle",
+  }), [
+    canvasSize, layout, fitDefaults, gradeDefaults, gradeCompare, subtitles, burnSubtitles,
+    captionStyle, titleStyle, showTitle, globalTitle, getCurrentColor, crt, overlays, isPlaying, stageEdit, recState,
+  ]);
 
-  // Render function
-  const renderAtTime = useCallback((t) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    
-    const ctx = canvas.getContext("2d");
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  useEffect(() => {
+    getStageCompositor()?.setLibrary(compositorLibrary);
+  }, [getStageCompositor, compositorLibrary]);
 
-    if (timeline.length === 0) return;
+  useEffect(() => {
+    getStageCompositor()?.setScene(compositorScene);
+  }, [getStageCompositor, compositorScene]);
 
-    const { index, localTime } = activeIndexAt(t);
-    if (index < 0) return;
+  // Render function. Brings the visible videos to their frame and hands them
+  // to the compositor (the stage's unless given); resolves once the frame is
+  // drawn, with an ImageBitmap of it from an off-screen compositor.
+  const renderAtTime = useCallback(async (t, { compositor = getStageCompositor(), exact = false } = {}) => {
+    if (!compositor) return null;
 
-    const drawClip = async (clipIndex, alpha = 1) => {
-      const clip = timeline[clipIndex];
-      const lib = library.find((l) => l.id === clip.libId);
-      if (!lib) return;
+    const { index, transition } = framePlan(layout, t, !exact && !isPlaying ? stageEdit?.clipId : null);
+    const videos = new Map();
+    await Promise.all([index, transition?.fromIndex].map(async (i) => {
+      const entry = layout[i];
+      if (entry?.lib?.type !== "video") return;
+      const v = getVideoElement(entry.lib, entry.clip.id);
+      // Time into the source media; videos start at their in point
+      await syncVideo(v, t - entry.start + entry.mediaOffset, exact);
+      if (v.readyState >= 2) videos.set(entry.clip.id, v);
+    }));
+    await Promise.all(overlaysAt(overlays, t).map(async (overlay) => {
+      const lib = library.find((l) => l.id === overlay.libId);
+      if (lib?.type !== "video") return;
+      const v = getVideoElement(lib, overlay.id);
+      await syncVideo(v, overlayMediaTime(overlay, t), exact);
+      if (v.readyState >= 2) videos.set(overlay.id, v);
+    }));
 
-      ctx.save();
-      ctx.globalAlpha = alpha;
-      
+    return compositor.render(t, { videos, exact });
+  }, [layout, overlays, library, isPlaying, stageEdit, getStageCompositor, getVideoElement, syncVideo]);
+
+  // Make the filmstrip and waveform of a freshly imported item
+  const queueMediaPreview = (item) => {
+    previewQueueRef.current = previewQueueRef.current.then(async () => {
+      const isCurrent = () => mediaItemsRef.current.get(item.id)?.url === item.url;
+      if (!isCurrent()) return;
       try {
-        await drawMedia(lib, ctx, localTime);
-        if (clip.caption) {
-          drawCaption(ctx, clip.caption, canvas.width, canvas.height);
-        }
+        const filmstrip = item.type === "video" ? await createFilmstrip(item.url, item.duration) : null;
+        const waveform = await computeWaveform(item.file);
+        if (isCurrent()) setMediaPreviews((previews) => ({ ...previews, [item.id]: { filmstrip, waveform } }));
       } catch (error) {
-        console.error('Error drawing clip:', error);
+        console.error(`Could not create a preview of ${item.file.name}:`, error);
       }
-      
-      ctx.restore();
-    };
-
-    // Crossfade logic
-    const isFading = localTime < crossfade && index > 0;
-    if (isFading) {
-      const f = Math.min(1, localTime / crossfade);
-      Promise.all([
-        drawClip(index - 1, 1 - f),
-        drawClip(index, f)
-      ]);
-    } else {
-      drawClip(index, 1);
-    }
+    });
+  };
 
-    if (showTitle && globalTitle) {
-      ctx.save();
-      ctx.globalAlpha = 0.9;
-      drawTitle(ctx, globalTitle, canvas.width);
-      ctx.restore();
-    }
-  }, [timeline, library, activeIndexAt, crossfade, showTitle, globalTitle, drawMedia, drawCaption, drawTitle]);
+  // File handling. `entries` are the saved library entries of a loaded
+  // project, so items keep their ids (the timeline still points at the right
+  // ones), names, bins and any stored preview. New imports go into the bin being shown. Files are
+  // processed a few at a time; the library gets them in the given order.
+  const onFiles = async (files, entries = []) => {
+    if (files.length === 0) return [];
+    const importBin = shownBin === ALL_BINS || shownBin === NO_BIN ? undefined : shownBin;
+    setImportProgress((p) => ({ done: p?.done || 0, total: (p?.total || 0) + files.length }));
 
-  // File handling
-  const onFiles = async (files) => {
-    const items = [];
-    
-    for (const file of files) {
-      const id = crypto.randomUUID();
+    const importFile = async (file, i) => {
+      const entry = entries[i];
+      const id = entry?.id ?? crypto.randomUUID();
+      const add = (item) => {
+        const added = { ...item, label: entry?.label, binId: entry ? entry.binId : importBin, addedAt: entry?.addedAt ?? Date.now() };
+        mediaItemsRef.current.set(id, added);
+        if (entry?.preview) setMediaPreviews((previews) => ({ ...previews, [id]: entry.preview }));
+        else if (added.type === "video" || added.type === "audio") queueMediaPreview(added);
+        return added;
+      };
       
       setLoadingStates(prev => ({ ...prev, [id]: true }));
       
       try {
         if (file.type.startsWith("image")) {
-          const url = URL.createObjectURL(file);
-          const img = await loadImage(url);
-          items.push({ 
+          // Only the size is needed here; the compositor decodes its own copy
+          const bitmap = await createImageBitmap(file);
+          const { width, height } = bitmap;
+          bitmap.close();
+          return add({ 
             id, 
             type: "image", 
             file, 
+            url: URL.createObjectURL(file), 
+            width, 
+            height 
+          });
+        } else if (file.type.startsWith("audio")) {
+          const url = URL.createObjectURL(file);
+          const meta = await probeAudio(url);
+          return add({ 
+            id, 
+            type: "audio", 
+            file, 
             url, 
-            width: img.width, 
-            height: img.height 
+            duration: meta.duration 
           });
+        } else if (LUT_FILE_PATTERN.test(file.name)) {
+          // Parsed once here; the grade refers to the item by id
+          const lut = parseCube(await file.text());
+          return add({ id, type: "lut", file, url: URL.createObjectURL(file), lut });
+        } else if (file.type.startsWith("font") || FONT_FILE_PATTERN.test(file.name)) {
+          // Caption fonts live in the library so projects and sessions keep them
+          const url = URL.createObjectURL(file);
+          const family = `ddoc-font-${id}`;
+          const fontFace = await new FontFace(family, await file.arrayBuffer()).load();
+          document.fonts.add(fontFace);
+          return add({ id, type: "font", file, url, family, fontFace });
         } else if (file.type.startsWith("video")) {
           const url = URL.createObjectURL(file);
           const meta = await probeVideo(url);
-          items.push({ 
+          return add({ 
             id, 
             type: "video", 
             file, 
@@ -363,31 +534,815 @@ export default function DesktopDocWorkshopApp() {
           delete newState[id];
           return newState;
         });
+        setImportProgress((p) => (p.done + 1 >= p.total ? null : { ...p, done: p.done + 1 }));
       }
-    }
-    
+      return null;
+    };
+
+    const items = (await mapConcurrent(files, IMPORT_CONCURRENCY, importFile)).filter(Boolean);
     if (items.length > 0) {
       setLibrary((prev) => [...prev, ...items]);
     }
+    return items;
+  };
+
+  // Import a folder's files in the chosen order, optionally appending every
+  // picture and video to the timeline
+  const importFolder = async (files, { order, addToTimeline: addAll, imageDuration }) => {
+    setPendingFolder(null);
+    const sorted = await sortImportFiles(files, order);
+    const items = await onFiles(sorted.map(({ file }) => file));
+    if (!addAll) return;
+    const clips = items
+      .filter((item) => item.type === "image" || item.type === "video")
+      .map((item) => createClip(item, item.type === "image" ? imageDuration : undefined));
+    setTimeline((t) => [...t, ...clips]);
+  };
+
+  // Drop every cached element and object URL of the current library
+  const releaseLibraryMedia = () => {
+    [videoElementsRef.current, audioElementsRef.current].forEach((mediaMap) => {
+      mediaMap.forEach((el) => {
+        el.pause();
+        audioMixer?.release(el);
+        el.removeAttribute("src");
+        el.load();
+      });
+      mediaMap.clear();
+    });
+    decodedAudioRef.current.clear();
+    mediaItemsRef.current.forEach(releaseItemMedia);
+    mediaItemsRef.current.clear();
+  };
+
+  // Free what a library item holds outside React state
+  const releaseItemMedia = (item) => {
+    URL.revokeObjectURL(item.url);
+    if (item.fontFace) document.fonts.delete(item.fontFace);
+    decodedAudioRef.current.delete(item.id);
+    setMediaPreviews((previews) => {
+      const { [item.id]: _preview, ...rest } = previews;
+      return rest;
+    });
+  };
+
+  // Project bundles
+  const saveProject = async () => {
+    try {
+      const blob = await saveProjectBundle({
+        library,
+        timeline,
+        audioTracks,
+        overlays,
+        subtitles,
+        settings: projectSettings,
+      });
+      const baseName = globalTitle.trim().replace(/[^\w-]+/g, "-") || "desktop-doc";
+      downloadBlob(blob, `${baseName}-${Date.now()}${PROJECT_EXTENSION}`);
+    } catch (error) {
+      console.error('Failed to save project:', error);
+    }
+  };
+
+  // Set every project setting present in `settings`
+  const applySettings = (settings) => {
+    if (settings.crossfade != null) setCrossfade(settings.crossfade);
+    if (settings.transitionType != null) setTransitionType(settings.transitionType);
+    if (settings.autoKenBurns != null) setAutoKenBurns(settings.autoKenBurns);
+    if (settings.fitDefaults != null) setFitDefaults(settings.fitDefaults);
+    if (settings.burnSubtitles != null) setBurnSubtitles(settings.burnSubtitles);
+    if (settings.subtitleSidecar != null) setSubtitleSidecar(settings.subtitleSidecar);
+    if (settings.captionStyle != null) setCaptionStyle(settings.captionStyle);
+    if (settings.titleStyle != null) setTitleStyle(settings.titleStyle);
+    if (settings.canvasSize != null) setCanvasSize(settings.canvasSize);
+    if (settings.globalTitle != null) setGlobalTitle(settings.globalTitle);
+    if (settings.showTitle != null) setShowTitle(settings.showTitle);
+    if (settings.selectedColor != null) setSelectedColor(settings.selectedColor);
+    if (settings.crt != null) setCrt(settings.crt);
+    if (settings.gradeDefaults != null) setGradeDefaults(settings.gradeDefaults);
+    if (settings.bins != null) setBins(settings.bins);
+    if (settings.renderFps != null) setRenderFps(settings.renderFps);
+  };
+
+  // Replace the whole editor state with a (migrated) project and its media;
+  // `previews` are those stored with an autosaved session, by item id
+  const applyProject = async (project, files, previews = new Map()) => {
+    const { settings = {} } = project;
+
+    setIsRestoring(true);
+    try {
+      setIsPlaying(false);
+      releaseLibraryMedia();
+      setLibrary([]);
+      setTimeline(project.timeline || []);
+      setAudioTracks(project.audioTracks || []);
+      setOverlays(project.overlays || []);
+      setSubtitles(project.subtitles || []);
+      setProgress(0);
+      applySettings({
+        ...settings,
+        // Fill in style fields added after the project was saved
+        fitDefaults: settings.fitDefaults && { ...DEFAULT_FIT, ...settings.fitDefaults },
+        captionStyle: settings.captionStyle && { ...DEFAULT_CAPTION_STYLE, ...settings.captionStyle },
+        titleStyle: settings.titleStyle && { ...DEFAULT_TITLE_STYLE, ...settings.titleStyle },
+        crt: settings.crt && { ...DEFAULT_CRT, ...settings.crt },
+        gradeDefaults: settings.gradeDefaults && { ...DEFAULT_GRADE, ...settings.gradeDefaults },
+      });
+      // Keep this browser's themes and add the project's
+      setCustomThemes((themes) => mergeThemes(themes, settings.customThemes));
+
+      // Rebuild the library exactly like a user import would
+      const entries = project.library
+        .filter((item) => files.has(item.id))
+        .map((item) => ({ ...item, preview: previews.get(item.id) }));
+      const items = await onFiles(entries.map((item) => files.get(item.id)), entries);
+
+      // Per-clip captions from older projects become cues spanning their clip
+      const projectTimeline = project.timeline || [];
+      if (projectTimeline.some((clip) => clip.caption)) {
+        const layout = layoutTimeline(projectTimeline, items, {
+          type: settings.transitionType ?? transitionType,
+          duration: settings.crossfade ?? crossfade,
+        });
+        setSubtitles(sortCues([...(project.subtitles || []), ...captionsToCues(layout)]));
+        setTimeline(projectTimeline.map((clip) => {
+          const { caption: _caption, ...rest } = clip;
+          return rest;
+        }));
+      }
+    } finally {
+      // The loaded project starts a fresh undo history
+      resetHistoryRef.current = true;
+      setIsRestoring(false);
+    }
+  };
+
+  const openProject = async (bundle) => {
+    if (recState !== "idle") return;
+
+    try {
+      const { project, files } = await readProjectBundle(bundle);
+      // An opened bundle is edited as a new session; the previous one stays restorable
+      storedMediaRef.current = new Map();
+      setSessionId(crypto.randomUUID());
+      await applyProject(project, files);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to open project:', error);
+      setLoadError({ key: "openProjectFailed", message: error.message });
+    }
+  };
+
+  // Autosaved sessions
+  const refreshStorageInfo = async () => {
+    try {
+      const [sessions, estimate] = await Promise.all([listSessions(), getStorageEstimate()]);
+      setStorageInfo({ sessions, estimate });
+    } catch (error) {
+      console.error('Failed to read session storage:', error);
+    }
+  };
+
+  const restoreSession = async (id) => {
+    if (recState !== "idle") return;
+
+    try {
+      const { project, files, previews } = await loadSession(id);
+      setRestorableSession(null);
+      storedMediaRef.current = new Map([...files.keys()].map((mediaId) => [mediaId, previews.has(mediaId)]));
+      setSessionId(id);
+      autosaveRef.current.savedSessionId = id;
+      await applyProject(project, files, previews);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to restore session:', error);
+      setLoadError({ key: "restoreSessionFailed", message: error.message });
+    }
+  };
+
+  const removeSession = async (id) => {
+    try {
+      await deleteSession(id);
+      if (id === sessionId) {
+        storedMediaRef.current = new Map();
+        autosaveRef.current.savedSessionId = null;
+      }
+      if (id === restorableSession?.id) setRestorableSession(null);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+    refreshStorageInfo();
+  };
+
+  const clearOldSessions = async () => {
+    try {
+      const sessions = await listSessions();
+      await Promise.all(sessions.filter((s) => s.id !== sessionId).map((s) => deleteSession(s.id)));
+      setRestorableSession(null);
+    } catch (error) {
+      console.error('Failed to clear old sessions:', error);
+    }
+    refreshStorageInfo();
+  };
+
+  // Timeline functions
+  // A new timeline clip showing library item `lib`
+  const createClip = useCallback((lib, duration = 4) => {
+    const kenBurns = autoKenBurns && lib.type === "image" ? { ...randomKenBurns(), auto: true } : undefined;
+    return { id: crypto.randomUUID(), libId: lib.id, duration, audio: true, volume: 1, kenBurns };
+  }, [autoKenBurns]);
+
+  const addToTimeline = useCallback((libId) => {
+    const lib = library.find((l) => l.id === libId);
+    if (lib) setTimeline((t) => [...t, createClip(lib)]);
+  }, [library, createClip]);
+
+  // Generated cards need no library item (see cards.js)
+  const addCard = (template) => {
+    const clip = createCardClip(template, i18n.t("cardTemplateTexts")[template]);
+    setTimeline((t) => [...t, clip]);
+    setSelectedClipId(clip.id);
+  };
+
+  const updateCard = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => (c.id === clipId ? { ...c, card: { ...c.card, ...patch } } : c)));
+  }, []);
+
+  // Desktop chrome (see chrome.js); a new window is titled after its media
+  const updateChrome = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => (c.id === clipId ? { ...c, chrome: { ...c.chrome, ...patch } } : c)));
+  }, []);
+
+  const toggleChrome = (clip, lib, enable) => {
+    if (!enable && stageEdit?.clipId === clip.id && stageEdit.key === "cursor") setStageEdit(null);
+    const title = clip.card ? cardLabel(clip.card, i18n.t("cardKinds")) : itemLabel(lib);
+    updateClip(clip.id, { chrome: enable ? { frame: "modern", title } : undefined });
+  };
+
+  // Library management
+  const updateLibraryItem = useCallback((id, patch) => {
+    setLibrary((items) => items.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  // Delete a library item with the clips and tracks that show it; fonts and
+  // LUTs chosen in styles and grades fall back to the defaults
+  const removeLibraryItem = (id) => {
+    const dropFont = (style) => {
+      if (style?.font !== id) return style;
+      const { font: _font, ...rest } = style;
+      return Object.keys(rest).length ? rest : undefined;
+    };
+    const dropLut = (grade) => (grade?.lut === id ? { ...grade, lut: null } : grade);
+
+    setLibrary((items) => items.filter((item) => item.id !== id));
+    setTimeline((t) => t
+      .filter((clip) => clip.card || clip.libId !== id)
+      .map((clip) => (clip.grade?.lut === id ? { ...clip, grade: dropLut(clip.grade) } : clip))
+      .map((clip) => (clip.card?.style?.font === id ? { ...clip, card: { ...clip.card, style: dropFont(clip.card.style) } } : clip))
+      .map((clip) => (clip.chrome?.wallpaper === id ? { ...clip, chrome: { ...clip.chrome, background: "theme", wallpaper: null } } : clip)));
+    audioTracks.filter((track) => track.libId === id).forEach((track) => removeAudioTrack(track.id));
+    setOverlays((list) => list.filter((overlay) => overlay.libId !== id));
+    setSubtitles((cues) => cues.map((cue) => (cue.style?.font === id ? { ...cue, style: dropFont(cue.style) } : cue)));
+    setCaptionStyle((style) => (style.font === id ? { ...style, font: DEFAULT_CAPTION_STYLE.font } : style));
+    setTitleStyle((style) => (style.font === id ? { ...style, font: DEFAULT_TITLE_STYLE.font } : style));
+    setGradeDefaults(dropLut);
+    setStageEdit((edit) => (timeline.find((clip) => clip.id === edit?.clipId)?.libId === id ? null : edit));
+  };
+
+  const addBin = () => {
+    const bin = createBin(i18n.t("newBinName", { count: bins.length + 1 }));
+    setBins((list) => [...list, bin]);
+    setLibraryFilter((filter) => ({ ...filter, bin: bin.id }));
+  };
+
+  const renameBin = (binId, name) => {
+    setBins((list) => list.map((bin) => (bin.id === binId ? { ...bin, name } : bin)));
+  };
+
+  // The bin's items stay in the library, unsorted
+  const removeBin = (binId) => {
+    setBins((list) => list.filter((bin) => bin.id !== binId));
+    setLibrary((items) => items.map((item) => (item.binId === binId ? { ...item, binId: undefined } : item)));
+    setLibraryFilter((filter) => ({ ...filter, bin: ALL_BINS }));
+  };
+
+  // Audio track functions
+  const addAudioTrack = useCallback((libId) => {
+    setAudioTracks((tracks) => [
+      ...tracks,
+      { id: crypto.randomUUID(), libId, start: 0, volume: 0.8, muted: false, envelope: [] },
+    ]);
+  }, []);
+
+  const updateAudioTrack = useCallback((trackId, patch) => {
+    setAudioTracks((tracks) => tracks.map((tr) => (tr.id === trackId ? { ...tr, ...patch } : tr)));
+  }, []);
+
+  // Overlays start at the playhead, on the lowest layer free there
+  const addOverlay = (libId) => {
+    const lib = library.find((l) => l.id === libId);
+    if (!lib) return;
+    const overlay = createOverlay(lib, overlays, Math.round(progress * 100) / 100);
+    setOverlays((list) => [...list, overlay]);
+    setSelectedOverlayId(overlay.id);
+  };
+
+  const updateOverlay = useCallback((overlayId, patch) => {
+    setOverlays((list) => list.map((o) => {
+      if (o.id !== overlayId) return o;
+      const next = clampOverlayBox({ ...o, ...patch });
+      return { ...next, end: Math.max(next.end, next.start + MIN_OVERLAY_DURATION) };
+    }));
+  }, []);
+
+  const removeOverlay = (overlayId) => {
+    setOverlays((list) => list.filter((o) => o.id !== overlayId));
+    setSelectedOverlayId((id) => (id === overlayId ? null : id));
+  };
+
+  // Select an overlay and bring the playhead into it, so it shows on the stage
+  const selectOverlay = (overlay) => {
+    setSelectedOverlayId(overlay.id);
+    if (progress < overlay.start || progress >= overlay.end) seekTo(overlay.start);
+  };
+
+  const removeAudioTrack = useCallback((trackId) => {
+    setAudioTracks((tracks) => tracks.filter((tr) => tr.id !== trackId));
+    const a = audioElementsRef.current.get(trackId);
+    if (a) {
+      a.pause();
+      audioMixer?.release(a);
+      audioElementsRef.current.delete(trackId);
+    }
+  }, [audioMixer]);
+
+  // Subtitle cues
+  const importSubtitles = async (file) => {
+    try {
+      const cues = parseSubtitles(await file.text());
+      if (cues.length === 0) throw new Error(`No subtitle cues found in ${file.name}`);
+      setSubtitles((current) => sortCues([...current, ...cues]));
+    } catch (error) {
+      console.error('Failed to import subtitles:', error);
+    }
+  };
+
+  const exportSubtitles = (format) => {
+    const baseName = globalTitle.trim().replace(/[^\w-]+/g, "-") || "desktop-doc";
+    const type = format === "srt" ? "application/x-subrip" : "text/vtt";
+    downloadBlob(new Blob([formatSubtitles(subtitles, format)], { type }), `${baseName}.${format}`);
+  };
+
+  // Colour themes
+  useEffect(() => {
+    storeCustomThemes(customThemes);
+  }, [customThemes]);
+
+  const exportTheme = (theme) => {
+    const baseName = theme.name.trim().replace(/[^\w-]+/g, "-") || "theme";
+    downloadBlob(new Blob([serializeTheme(theme)], { type: "application/json" }), `${baseName}${THEME_EXTENSION}`);
+  };
+
+  const addCue = () => {
+    const start = Math.round(progress * 10) / 10;
+    setSubtitles((current) => sortCues([
+      ...current,
+      { id: crypto.randomUUID(), start, end: start + DEFAULT_CUE_LENGTH, text: "" },
+    ]));
+  };
+
+  const updateCue = useCallback((cueId, patch) => {
+    setSubtitles((current) => current.map((cue) => (cue.id === cueId ? { ...cue, ...patch } : cue)));
+  }, []);
+
+  // A cue picked on the timeline ruler is shown in the list and played from
+  const selectCue = (cue) => {
+    setSelectedCueId(cue.id);
+    if (progress < cue.start || progress >= cue.end) seekTo(cue.start);
+    document.querySelector(`[data-cue-id="${cue.id}"]`)?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  };
+
+  const retimeCue = useCallback((cueId, { start, end }) => {
+    setSubtitles((current) => sortCues(current.map((cue) => (cue.id === cueId ? { ...cue, start, end } : cue))));
+  }, []);
+
+  const removeCue = useCallback((cueId) => {
+    setSubtitles((current) => current.filter((cue) => cue.id !== cueId));
+  }, []);
+
+  const updateClip = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => (c.id === clipId ? { ...c, ...patch } : c)));
+  }, []);
+
+  // Give image clips the length of every `step` (see BEAT_STEPS) of a track's beats
+  const snapClipsToBeats = (track, step) => {
+    const every = stepBeats(step, track.beatsPerBar ?? 4);
+    const grid = timelineBeats(track).filter((_, i) => i % every === 0);
+    setTimeline((t) => snapToBeats(t, library, transitionDefaults, grid));
+  };
+
+  // Ken Burns. Clips given a random move by "auto Ken Burns" carry `auto: true`
+  // until the user edits them, so switching the option off only removes those.
+  const toggleAutoKenBurns = () => {
+    const enable = !autoKenBurns;
+    setAutoKenBurns(enable);
+    setTimeline((t) => t.map((c) => {
+      const lib = library.find((l) => l.id === c.libId);
+      if (lib?.type !== "image") return c;
+      if (enable && !c.kenBurns) return { ...c, kenBurns: { ...randomKenBurns(), auto: true } };
+      if (!enable && c.kenBurns?.auto) return { ...c, kenBurns: undefined };
+      return c;
+    }));
+  };
+
+  const updateKenBurns = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => {
+      if (c.id !== clipId || !c.kenBurns) return c;
+      const { auto: _auto, ...kenBurns } = c.kenBurns;
+      return { ...c, kenBurns: { ...kenBurns, ...patch } };
+    }));
+  }, []);
+
+  const toggleKenBurns = (clipId) => {
+    const clip = timeline.find((c) => c.id === clipId);
+    if (clip?.kenBurns && stageEdit?.clipId === clipId) setStageEdit(null);
+    updateClip(clipId, { kenBurns: clip?.kenBurns ? undefined : randomKenBurns() });
+  };
+
+  // Per-clip fit override; undefined fields fall back to the project default
+  const updateClipFit = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => {
+      if (c.id !== clipId) return c;
+      const fit = { ...c.fit, ...patch };
+      Object.keys(fit).forEach((key) => fit[key] === undefined && delete fit[key]);
+      return { ...c, fit: Object.keys(fit).length ? fit : undefined };
+    }));
+  }, []);
+
+  // Stage interaction while editing a framing. For Ken Burns, dragging pans
+  // and the wheel zooms; for a crop, dragging draws the rectangle; for a
+  // cursor path, clicking sets the keyframe at the playhead and dragging moves it.
+  const stageEditTarget = () => {
+    if (!stageEdit) return null;
+    const clip = timeline.find((c) => c.id === stageEdit.clipId);
+    const lib = library.find((l) => l.id === clip?.libId);
+    if (stageEdit.key === "cursor") return clip?.chrome && (lib || clip.card) ? { clip, lib } : null;
+    if (!lib) return null;
+    if (stageEdit.key === "crop") return { clip, lib };
+    if (!clip.kenBurns || lib.type !== "image") return null;
+    return { clip, lib, framing: clip.kenBurns[stageEdit.key] };
+  };
+
+  // Pointer position as a fraction of the contained source
+  const pointerToSource = (e, lib) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * canvasSize.w;
+    const py = ((e.clientY - rect.top) / rect.height) * canvasSize.h;
+    const { x, y, dw, dh } = containRect(lib.width, lib.height, canvasSize.w, canvasSize.h);
+    return {
+      x: Math.max(0, Math.min(1, (px - x) / dw)),
+      y: Math.max(0, Math.min(1, (py - y) / dh)),
+    };
+  };
+
+  // Pointer position as a fraction of a chrome clip's window content
+  const pointerToWindow = (e, { clip, lib }) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * canvasSize.w;
+    const py = ((e.clientY - rect.top) / rect.height) * canvasSize.h;
+    const { content } = chromeLayout(getChromeSpec(clip), lib?.width || canvasSize.w, lib?.height || canvasSize.h, canvasSize.w, canvasSize.h);
+    return {
+      x: Math.max(0, Math.min(1, (px - content.x) / content.w)),
+      y: Math.max(0, Math.min(1, (py - content.y) / content.h)),
+    };
+  };
+
+  // Set the cursor keyframe at the playhead, reusing one within a frame or so
+  const placeCursorKeyframe = (e, target) => {
+    const entry = layout.find((l) => l.clip.id === target.clip.id);
+    if (!entry) return;
+    const time = Math.round(Math.max(0, Math.min(entry.duration, progress - entry.start)) * 100) / 100;
+    const points = target.clip.chrome.cursor || [];
+    const existing = points.find((p) => Math.abs(p.time - time) < 0.05);
+    const point = { zoom: 1, click: false, ...existing, time, ...pointerToWindow(e, target) };
+    updateChrome(target.clip.id, { cursor: sortKeyframes([...points.filter((p) => p !== existing), point]) });
+  };
+
+  const handleStagePointerDown = (e) => {
+    setSelectedOverlayId(null);
+    const target = stageEditTarget();
+    if (!target) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (stageEdit.key === "cursor") {
+      stageDragRef.current = {};
+      placeCursorKeyframe(e, target);
+      return;
+    }
+    stageDragRef.current = stageEdit.key === "crop"
+      ? { anchor: pointerToSource(e, target.lib) }
+      : { x: e.clientX, y: e.clientY };
+  };
+
+  const handleStagePointerMove = (e) => {
+    const last = stageDragRef.current;
+    const target = stageEditTarget();
+    if (!last || !target) return;
+
+    if (stageEdit.key === "crop") {
+      updateClipFit(target.clip.id, { crop: cropFromPoints(last.anchor, pointerToSource(e, target.lib)) });
+      return;
+    }
+    if (stageEdit.key === "cursor") {
+      placeCursorKeyframe(e, target);
+      return;
+    }
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const dx = (e.clientX - last.x) / rect.width;
+    const dy = (e.clientY - last.y) / rect.height;
+    stageDragRef.current = { x: e.clientX, y: e.clientY };
+
+    const { lib, framing } = target;
+    updateKenBurns(target.clip.id, {
+      [stageEdit.key]: panFraming(framing, dx, dy, lib.width, lib.height, canvasSize.w, canvasSize.h),
+    });
+  };
+
+  const handleStagePointerUp = () => {
+    stageDragRef.current = null;
+  };
+
+  // Overlays are dragged by their boxes over the paused stage; the corner
+  // handle scales a box about its centre
+  const handleOverlayPointerDown = (e, overlay, mode) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectedOverlayId(overlay.id);
+    overlayDragRef.current = { id: overlay.id, mode, clientX: e.clientX, clientY: e.clientY, x: overlay.x, y: overlay.y };
+  };
+
+  const handleOverlayPointerMove = (e) => {
+    const drag = overlayDragRef.current;
+    const stage = canvasRef.current?.getBoundingClientRect();
+    if (!drag || !stage) return;
+    if (drag.mode === "scale") {
+      const px = (e.clientX - stage.left) / stage.width;
+      updateOverlay(drag.id, { scale: 2 * Math.abs(px - drag.x) });
+    } else {
+      updateOverlay(drag.id, {
+        x: drag.x + (e.clientX - drag.clientX) / stage.width,
+        y: drag.y + (e.clientY - drag.clientY) / stage.height,
+      });
+    }
+  };
+
+  const handleOverlayPointerUp = () => {
+    overlayDragRef.current = null;
+  };
+
+  // React registers wheel listeners as passive, so zooming (which must stop
+  // the page from scrolling) uses a native listener
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !stageEdit || stageEdit.key === "crop" || stageEdit.key === "cursor") return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const factor = Math.exp(-e.deltaY * 0.001);
+      setTimeline((t) => t.map((c) => {
+        if (c.id !== stageEdit.clipId || !c.kenBurns) return c;
+        const { auto: _auto, ...kenBurns } = c.kenBurns;
+        return { ...c, kenBurns: { ...kenBurns, [stageEdit.key]: zoomFraming(kenBurns[stageEdit.key], factor) } };
+      }));
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [stageEdit]);
+
+  // Per-clip transition override; undefined fields fall back to the project default
+  const updateClipTransition = useCallback((clipId, patch) => {
+    setTimeline((t) => t.map((c) => {
+      if (c.id !== clipId) return c;
+      const next = Object.fromEntries(
+        Object.entries({ ...c.transition, ...patch }).filter(([, v]) => v !== undefined)
+      );
+      return { ...c, transition: Object.keys(next).length ? next : undefined };
+    }));
+  }, []);
+
+  // Audio mixing
+  const audioSchedule = useMemo(
+    () => buildAudioSchedule({ timeline, library, audioTracks, overlays, transitionDefaults }),
+    [timeline, library, audioTracks, overlays, transitionDefaults]
+  );
+
+  const getSegmentElement = useCallback((segment) => {
+    const lib = library.find((l) => l.id === segment.libId);
+    if (!lib) return null;
+    return segment.kind === "track" ? getAudioElement(segment.key, lib) : getVideoElement(lib, segment.key);
+  }, [library, getVideoElement, getAudioElement]);
+
+  // The AudioContext may only start from a user gesture, so it is created lazily
+  const ensureAudioMixer = () => {
+    let mixer = audioMixer;
+    if (!mixer) {
+      mixer = createAudioMixer();
+      setAudioMixer(mixer);
+    }
+    mixer.resume();
+    return mixer;
+  };
+
+  // Decoded audio of a library item for offline mixing (null if it has none)
+  const decodeLibraryAudio = useCallback((libId, ctx) => {
+    const cache = decodedAudioRef.current;
+    if (!cache.has(libId)) {
+      const lib = library.find((l) => l.id === libId);
+      cache.set(libId, (async () => {
+        try {
+          return await ctx.decodeAudioData(await lib.file.arrayBuffer());
+        } catch {
+          return null;
+        }
+      })());
+    }
+    return cache.get(libId);
+  }, [library]);
+
+  const removeFromTimeline = useCallback((clipId) => {
+    setTimeline((t) => t.filter((c) => c.id !== clipId));
+    setStageEdit((edit) => (edit?.clipId === clipId ? null : edit));
+  }, []);
+
+  // Insert a copy right after the clip, e.g. to use another part of the same video
+  const duplicateClip = useCallback((clipId) => {
+    setTimeline((t) => t.flatMap((c) => (c.id === clipId ? [c, { ...c, id: crypto.randomUUID() }] : [c])));
+  }, []);
+
+  // Move the clip at `from` so it ends up at index `to`
+  const moveClip = useCallback((from, to) => {
+    setTimeline((t) => {
+      if (from < 0 || from >= t.length) return t;
+      const target = Math.max(0, Math.min(t.length - 1, to));
+      if (target === from) return t;
+      const next = [...t];
+      const [clip] = next.splice(from, 1);
+      next.splice(target, 0, clip);
+      return next;
+    });
+  }, []);
+
+  // Clip drag handlers. A drop slot is the gap *before* timeline[slot],
+  // so slots run from 0 to timeline.length.
+  const handleClipDragStart = (e, index) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(index));
+    const row = e.currentTarget.closest("[data-clip-row]");
+    if (row) e.dataTransfer.setDragImage(row, 16, 16);
+    setDragClipIndex(index);
+  };
+
+  const handleClipDragOver = (e, index) => {
+    if (dragClipIndex === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "move";
+    const rect = e.currentTarget.getBoundingClientRect();
+    const slot = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+    setDropSlot(slot);
+  };
+
+  const handleClipDrop = (e) => {
+    if (dragClipIndex === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (dropSlot !== null) {
+      moveClip(dragClipIndex, dropSlot > dragClipIndex ? dropSlot - 1 : dropSlot);
+    }
+    setDragClipIndex(null);
+    setDropSlot(null);
+  };
+
+  // Slots directly around the dragged clip would not move it
+  const showDropMarker = (slot) =>
+    dragClipIndex !== null && dropSlot === slot && slot !== dragClipIndex && slot !== dragClipIndex + 1;
+
+  const handleClipDragEnd = () => {
+    setDragClipIndex(null);
+    setDropSlot(null);
+  };
+
+  const handleGripKeyDown = (e, index) => {
+    const targets = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: timeline.length - 1,
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    moveClip(index, targets[e.key]);
+  };
+
+  // Download an exported video, plus a subtitle sidecar when there are cues
+  const downloadExport = (blob, baseName, extension) => {
+    downloadBlob(blob, `${baseName}.${extension}`);
+    if (subtitles.length > 0 && subtitleSidecar !== "none") {
+      const type = subtitleSidecar === "srt" ? "application/x-subrip" : "text/vtt";
+      downloadBlob(new Blob([formatSubtitles(subtitles, subtitleSidecar)], { type }), `${baseName}.${subtitleSidecar}`);
+    }
+  };
+
+  // Recording functions
+  const exportMP4 = async (webmBlob, duration) => {
+    const controller = new AbortController();
+    exportAbortRef.current = controller;
+    setExportProgress(0);
+    setRecState("converting");
+
+    try {
+      const mp4 = await convertWebMToMP4(webmBlob, {
+        duration,
+        signal: controller.signal,
+        onProgress: setExportProgress,
+      });
+      downloadExport(mp4, `desktop-doc-${Date.now()}`, "mp4");
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('MP4 conversion failed, keeping the WebM:', error);
+        downloadExport(webmBlob, `desktop-doc-${Date.now()}`, "webm");
+      }
+    } finally {
+      exportAbortRef.current = null;
+      setRecState("idle");
+    }
+  };
+
+  // Offline render: steps through the timeline frame by frame on a private
+  // canvas, so the result does not depend on real-time playback
+  const startOfflineRender = async () => {
+    if (recState !== "idle" || totalDuration <= 0) return;
+
+    const controller = new AbortController();
+    exportAbortRef.current = controller;
+    setIsPlaying(false);
+    setExportProgress(0);
+    setRecState("rendering");
+
+    // Frames are composited off screen and shown on a private canvas for the encoder
+    const exporter = createCompositorClient({ width: canvasSize.w, height: canvasSize.h });
+    exporter.setLibrary(compositorLibrary);
+    exporter.setScene(compositorScene);
+    const canvas = document.createElement("canvas");
+    canvas.width = canvasSize.w;
+    canvas.height = canvasSize.h;
+    const output = canvas.getContext("bitmaprenderer");
+
+    try {
+      const audio = await renderAudioMix({
+        segments: audioSchedule,
+        duration: totalDuration,
+        decode: decodeLibraryAudio,
+      });
+      const mp4 = await renderTimelineOffline({
+        canvas,
+        duration: totalDuration,
+        fps: renderFps,
+        audio,
+        signal: controller.signal,
+        onProgress: setExportProgress,
+        renderFrame: async (t) => {
+          const frame = await renderAtTime(t, { compositor: exporter, exact: true });
+          if (!frame) throw new Error("Frame could not be rendered");
+          output.transferFromImageBitmap(frame);
+        },
+      });
+      downloadExport(mp4, `desktop-doc-${renderFps}fps-${Date.now()}`, "mp4");
+    } catch (error) {
+      if (!isAbortError(error)) console.error('Offline render failed:', error);
+    } finally {
+      exporter.destroy();
+      exportAbortRef.current = null;
+      setRecState("idle");
+    }
   };
 
-  // Timeline functions
-  const addToTimeline = useCallback((libId) => {
-    setTimeline((t) => [...t, { id: crypto.randomUUID(), libId, duration: 4, caption: "" }]);
-  }, []);
-
-  const removeFromTimeline = useCallback((clipId) => {
-    setTimeline((t) => t.filter((c) => c.id !== clipId));
-  }, []);
+  const cancelExport = () => {
+    exportAbortRef.current?.abort();
+  };
 
-  // Recording functions
-  const startRecording = () => {
-    if (recState === "recording") return;
+  const startRecording = (format = "webm") => {
+    if (recState !== "idle") return;
     
     try {
       const canvas = canvasRef.current;
-      const stream = canvas.captureStream(30);
-      const mr = new MediaRecorder(stream, { mimeType: "video/webm;codecs=vp9" });
+      const mixer = ensureAudioMixer();
+      const stream = new MediaStream([
+        ...canvas.captureStream(30).getVideoTracks(),
+        ...mixer.stream.getAudioTracks(),
+      ]);
+      const mimeType = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp9", "video/webm"]
+        .find((type) => MediaRecorder.isTypeSupported(type));
+      const mr = new MediaRecorder(stream, { mimeType });
       
       recordedChunksRef.current = [];
       
@@ -397,16 +1352,17 @@ export default function DesktopDocWorkshopApp() {
       
       mr.onstop = () => {
         const blob = new Blob(recordedChunksRef.current, { type: "video/webm" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `desktop-doc-${Date.now()}.webm`;
-        a.click();
-        URL.revokeObjectURL(url);
+        if (format === "mp4") {
+          const duration = (performance.now() - recordStartedAtRef.current) / 1000;
+          exportMP4(blob, duration);
+        } else {
+          downloadExport(blob, `desktop-doc-${Date.now()}`, "webm");
+        }
       };
       
       mediaRecorderRef.current = mr;
       mr.start();
+      recordStartedAtRef.current = performance.now();
       setRecState("recording");
       
       setProgress(0);
@@ -427,10 +1383,95 @@ export default function DesktopDocWorkshopApp() {
     }
   };
 
+  // Undo/redo. A pending (not yet grouped) change is recorded first, so the
+  // very last edit can always be undone.
+  const goToHistory = (getIndex) => {
+    if (recState !== "idle" || isRestoring) return;
+    const base = recordHistory(history, editorSnapshot);
+    const next = moveHistory(base, getIndex(base));
+    setHistory(next);
+    if (next.index === base.index) return;
+
+    const snapshot = currentSnapshot(next);
+    setLibrary(snapshot.library);
+    setTimeline(snapshot.timeline);
+    setAudioTracks(snapshot.audioTracks);
+    setOverlays(snapshot.overlays);
+    setSubtitles(snapshot.subtitles);
+    applySettings(snapshot.settings);
+  };
+
+  const undo = () => goToHistory((h) => h.index - 1);
+  const redo = () => goToHistory((h) => h.index + 1);
+  const canUndo = history.index > 0 || !snapshotsEqual(currentSnapshot(history), editorSnapshot);
+  const canRedo = history.index < history.entries.length - 1;
+
+  // Seeking. Recording plays the timeline through, so it can't be moved then.
+  const seekTo = useCallback((t) => {
+    if (recState !== "idle") return;
+    setProgress(Math.max(0, Math.min(totalDuration, t)));
+  }, [recState, totalDuration]);
+
+  // Step to the previous/next frame at the render frame rate
+  const stepFrame = (direction) => {
+    setIsPlaying(false);
+    seekTo((Math.round(progress * renderFps) + direction) / renderFps);
+  };
+
+  // Trimming. Playhead edits only apply while the playhead is inside the clip.
+  const trimClip = (clipId, { trimIn, trimOut }) => {
+    const lib = library.find((l) => l.id === timeline.find((c) => c.id === clipId)?.libId);
+    // An out point at the end of the media is stored unset, so it follows the full length
+    updateClip(clipId, { trimIn, trimOut: trimOut >= (lib?.duration || 0) - 0.01 ? undefined : trimOut });
+  };
+
+  const playheadMediaTime = (clipId) => {
+    const clipTime = playheadClipTime(clipId);
+    return clipTime == null ? null : layout.find((e) => e.clip.id === clipId).mediaOffset + clipTime;
+  };
+
+  // The playhead in seconds into a clip, or null when it is outside it
+  const playheadClipTime = (clipId) => {
+    const entry = layout.find((e) => e.clip.id === clipId);
+    if (!entry || progress < entry.start || progress > entry.start + entry.duration) return null;
+    return progress - entry.start;
+  };
+
+  // Edit a clip's cursor path on the stage, from inside the clip
+  const editCursorPath = (clipId) => {
+    const entry = layout.find((e) => e.clip.id === clipId);
+    if (entry && playheadClipTime(clipId) == null) seekTo(entry.start);
+    setStageEdit({ clipId, key: "cursor" });
+  };
+
+  const trimAtPlayhead = (clip, lib, edge) => {
+    const time = playheadMediaTime(clip.id);
+    if (time == null) return;
+    const range = getTrimRange(clip, lib);
+    const next = edge === "in" ? { ...range, trimIn: time } : { ...range, trimOut: time };
+    trimClip(clip.id, {
+      trimIn: Math.round(next.trimIn * 100) / 100,
+      trimOut: Math.round(Math.max(next.trimOut, next.trimIn + MIN_TRIM_LENGTH) * 100) / 100,
+    });
+    // Keep the playhead on the same frame, which now sits at the clip's start
+    if (edge === "in") seekTo(layout.find((e) => e.clip.id === clip.id).start);
+  };
+
+  const selectClip = (clipId) => {
+    setSelectedClipId(clipId);
+    document.querySelector(`[data-clip-id="${clipId}"]`)?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  };
+
   // File drop handlers
+  // A dropped folder (with its subfolders) asks for import options first
   const handleFileDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
+    const entries = droppedEntries(e.dataTransfer);
+    if (entries.some((entry) => entry.isDirectory)) {
+      readEntryFiles(entries).then(setPendingFolder, (error) => console.error("Could not read the dropped folder:", error));
+      return;
+    }
     const files = Array.from(e.dataTransfer.files || []);
     if (files.length) onFiles(files);
   };
@@ -455,6 +1496,7 @@ export default function DesktopDocWorkshopApp() {
         const t = Math.max(0, (now - startedAt) / 1000);
         setProgress(Math.min(t, totalDuration));
         renderAtTime(t);
+        audioMixer?.sync(audioSchedule, t, true, getSegmentElement);
         
         if (t < totalDuration) {
           rafRef.current = requestAnimationFrame(tick);
@@ -473,83 +1515,240 @@ export default function DesktopDocWorkshopApp() {
         cancelAnimationFrame(rafRef.current);
       }
     };
-  }, [isPlaying, totalDuration, renderAtTime, progress]);
+  }, [isPlaying, totalDuration, renderAtTime, progress, audioMixer, audioSchedule, getSegmentElement]);
 
   useEffect(() => {
-    if (!isPlaying) {
-      renderAtTime(progress);
-    }
-  }, [progress, renderAtTime, isPlaying]);
+    if (!isPlaying) audioMixer?.pauseAll();
+  }, [isPlaying, audioMixer]);
+
+  // Paused preview. Videos are first seeked to the exact frame so stepping
+  // and scrubbing show the right picture; a newer seek supersedes an older one.
+  // Any change to the compositor's scene or library redraws it too.
+  useEffect(() => {
+    // The offline renderer owns the shared video elements while it runs
+    if (isPlaying || recState === "rendering") return;
+
+    const seq = ++previewSeqRef.current;
+    const { index, transition } = activeIndexAt(progress);
+    const seeks = [index, transition?.fromIndex]
+      .map((i) => layout[i])
+      .filter((entry) => entry?.lib?.type === "video")
+      .map((entry) => seekVideoExact(getVideoElement(entry.lib, entry.clip.id), progress - entry.start + entry.mediaOffset));
+    overlaysAt(overlays, progress).forEach((overlay) => {
+      const lib = library.find((l) => l.id === overlay.libId);
+      if (lib?.type === "video") seeks.push(seekVideoExact(getVideoElement(lib, overlay.id), overlayMediaTime(overlay, progress)));
+    });
+
+    Promise.all(seeks)
+      .catch((error) => console.error('Preview seek failed:', error))
+      .then(() => {
+        if (seq === previewSeqRef.current) renderAtTime(progress);
+      });
+  }, [progress, renderAtTime, isPlaying, recState, activeIndexAt, layout, overlays, library, getVideoElement, compositorScene, compositorLibrary]);
+
+  // Record edits into the undo history, grouping quick successive changes
+  useEffect(() => {
+    if (isRestoring) return;
+
+    const timer = setTimeout(() => {
+      if (resetHistoryRef.current) {
+        resetHistoryRef.current = false;
+        setHistory(createHistory(editorSnapshot));
+      } else {
+        setHistory((h) => recordHistory(h, editorSnapshot));
+      }
+    }, HISTORY_GROUP_DELAY);
+    return () => clearTimeout(timer);
+  }, [editorSnapshot, isRestoring]);
+
+  // Ctrl/Cmd+Z undoes, Shift+Ctrl/Cmd+Z or Ctrl+Y redoes. Text fields keep
+  // their own undo.
+  const historyKeysRef = useRef(null);
+  historyKeysRef.current = { undo, redo };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable=true]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        (e.shiftKey ? historyKeysRef.current.redo : historyKeysRef.current.undo)();
+      } else if (key === "y" && !e.shiftKey) {
+        e.preventDefault();
+        historyKeysRef.current.redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Offer the most recent earlier session with content on startup; one
+  // emptied on purpose is not worth restoring. Records from before
+  // `mediaCount` was stored were never saved empty.
+  useEffect(() => {
+    listSessions()
+      .then((sessions) => setRestorableSession(sessions.find((s) => s.clipCount > 0 || (s.mediaCount ?? 1) > 0) ?? null))
+      .catch((error) => console.error('Failed to list saved sessions:', error));
+  }, []);
 
+  // Autosave: store newly imported media, then the project JSON
   useEffect(() => {
-    document.documentElement.lang = i18n.lang;
-  }, [uiLang]);
+    if (isRestoring) return;
+    // A fresh session is saved from its first content on; once saved, emptying
+    // it is an edit like any other
+    const isEmpty = library.length === 0 && timeline.length === 0;
+    if (isEmpty && autosaveRef.current.savedSessionId !== sessionId) return;
+
+    // Saves run one at a time, each writing the newest state, so a slow save
+    // never undoes a later one
+    const timer = setTimeout(() => {
+      const autosave = autosaveRef.current;
+      autosave.savedSessionId = sessionId;
+      autosave.latest = { sessionId, stored: storedMediaRef.current, previews: mediaPreviews, library, timeline, audioTracks, overlays, subtitles, settings: projectSettings };
+      autosave.queue = autosave.queue.then(async () => {
+        const state = autosave.latest;
+        if (!state) return;
+        autosave.latest = null;
+        try {
+          const { stored } = state;
+          for (const item of state.library) {
+            const preview = state.previews[item.id];
+            if (!item.file || (stored.has(item.id) && (stored.get(item.id) || !preview))) continue;
+            if (stored.has(item.id)) await putSessionPreview(state.sessionId, item.id, preview);
+            else await putSessionMedia(state.sessionId, item.id, item.file, preview);
+            stored.set(item.id, !!preview);
+          }
+          // Media of removed items is dropped; an undo may bring them back
+          const ids = new Set(state.library.map((item) => item.id));
+          const removed = [...stored.keys()].filter((id) => !ids.has(id));
+          const size = state.library.reduce((sum, item) => sum + (item.file?.size || 0), 0);
+          await saveSession(state.sessionId, serializeProject(state), { removed, size });
+          removed.forEach((id) => stored.delete(id));
+          requestPersistentStorage();
+        } catch (error) {
+          console.error('Autosave failed:', error);
+        }
+      });
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [isRestoring, sessionId, library, timeline, audioTracks, overlays, subtitles, projectSettings, mediaPreviews]);
 
   // Cleanup
   useEffect(() => {
     const videoMap = videoElementsRef.current;
-    const imageMap = imageElementsRef.current;
+    const audioMap = audioElementsRef.current;
 
     return () => {
-      if (videoMap) {
-        videoMap.forEach(video => {
+      [videoMap, audioMap].forEach((mediaMap) => {
+        mediaMap.forEach(el => {
           try {
-            video.pause();
-            video.src = '';
-            video.remove();
+            el.pause();
+            el.src = '';
+            el.remove();
           } catch {
             // ignore cleanup errors
           }
         });
-        if (typeof videoMap.clear === 'function') videoMap.clear();
-      }
-
-      if (imageMap && typeof imageMap.clear === 'function') {
-        imageMap.clear();
-      }
+        mediaMap.clear();
+      });
     };
   }, []);
 
+  // Removed library items keep their media while an undo step can bring them
+  // back; after that their object URL, font and cached elements are freed
+  useEffect(() => {
+    const reachable = new Set(library.map((item) => item.id));
+    history.entries.forEach(({ state }) => state.library.forEach((item) => reachable.add(item.id)));
+    mediaItemsRef.current.forEach((item, id) => {
+      if (reachable.has(id)) return;
+      releaseItemMedia(item);
+      mediaItemsRef.current.delete(id);
+    });
+  }, [library, history]);
+
+  // Video elements are per clip or overlay; drop those no longer in the edit
+  useEffect(() => {
+    const clipIds = new Set([...timeline, ...overlays].map((item) => item.id));
+    videoElementsRef.current.forEach((el, key) => {
+      if (clipIds.has(key)) return;
+      el.pause();
+      audioMixer?.release(el);
+      el.removeAttribute("src");
+      el.load();
+      videoElementsRef.current.delete(key);
+    });
+  }, [timeline, overlays, audioMixer]);
+
   // UI helpers
   const totalReadable = formatSeconds(totalDuration || 0);
-  const progressReadable = formatSeconds(progress || 0);
+  const progressReadable = formatTimecode(progress || 0, renderFps);
 
   return (
     <div className="min-h-screen w-full bg-neutral-50 text-neutral-900 p-4 md:p-6 lg:p-8">
+      {restorableSession && restorableSession.id !== sessionId && (
+        <div className="max-w-7xl mx-auto mb-4 flex flex-wrap items-center gap-3 p-3 bg-white border rounded-2xl shadow text-sm">
+          <RotateCcw className="w-4 h-4"/>
+          <span className="flex-1">
+            {i18n.t("restorePrompt")}{" "}
+            <span className="font-semibold">{restorableSession.title || i18n.t("untitledSession")}</span>
+            {" "}({new Date(restorableSession.updatedAt).toLocaleString(i18n.lang)}, {i18n.t("clipCount", { count: restorableSession.clipCount })})
+          </span>
+          <Button size="sm" className="rounded-xl" disabled={recState !== "idle"} onClick={() => restoreSession(restorableSession.id)}>
+            {i18n.t("restore")}
+          </Button>
+          <Button size="sm" variant="ghost" className="rounded-xl" onClick={() => setRestorableSession(null)}>
+            {i18n.t("dismiss")}
+          </Button>
+        </div>
+      )}
+      {loadError && (
+        <div className="max-w-7xl mx-auto mb-4 flex flex-wrap items-center gap-3 p-3 bg-red-50 border border-red-200 rounded-2xl shadow text-sm text-red-700">
+          <Info className="w-4 h-4"/>
+          <span className="flex-1">
+            {i18n.t(loadError.key)}
+            {loadError.message && <span className="text-red-600/80"> ({loadError.message})</span>}
+          </span>
+          <Button size="sm" variant="ghost" className="rounded-xl" onClick={() => setLoadError(null)}>
+            {i18n.t("dismiss")}
+          </Button>
+        </div>
+      )}
       <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-5 gap-6">
         {/* Library */}
         <Card className="lg:col-span-2 shadow-xl rounded-2xl">
           <CardHeader className="flex flex-row items-center justify-between">
             <CardTitle className="text-xl flex items-center gap-2">
-              <Upload className="w-5 h-5" /> {i18n.t("mediaLibrary") || "Media Library"}
+              <Upload className="w-5 h-5" /> {i18n.t("mediaLibrary")}
             </CardTitle>
             <div className="flex items-center gap-3">
               <div className="flex items-center gap-2">
-                <span className="text-xs text-neutral-500">{i18n.t("language") || "Language"}:</span>
-                <button
-                  className={`px-2 py-1 rounded-xl text-xs border ${i18n.lang==='tr'?'bg-black text-white':''}`}
-                  onClick={() => { i18n.setLang('tr'); setUiLang(i18n.lang); }}
-                >TR</button>
-                <button
-                  className={`px-2 py-1 rounded-xl text-xs border ${i18n.lang==='en'?'bg-black text-white':''}`}
-                  onClick={() => { i18n.setLang('en'); setUiLang(i18n.lang); }}
-                >EN</button>
+                <span className="text-xs text-neutral-500">{i18n.t("language")}:</span>
+                {i18n.languages.map((code) => (
+                  <button
+                    key={code}
+                    className={`px-2 py-1 rounded-xl text-xs border ${i18n.lang === code ? 'bg-black text-white' : ''}`}
+                    title={languageNames.of(code)}
+                    onClick={() => i18n.setLang(code)}
+                  >
+                    {code.toUpperCase()}
+                  </button>
+                ))}
               </div>
               <Dialog>
                 <DialogTrigger asChild>
                   <Button variant="secondary" className="rounded-2xl">
-                    {i18n.t("howItWorks") || "HOW IT WORKS?"}
+                    {i18n.t("howItWorks")}
                   </Button>
                 </DialogTrigger>
                 <DialogContent>
                   <DialogHeader>
-                    <DialogTitle>{i18n.t("guideTitle") || "DESKTOP DOCUMENTARY – QUICK GUIDE"}</DialogTitle>
+                    <DialogTitle>{i18n.t("guideTitle")}</DialogTitle>
                   </DialogHeader>
                   <div className="space-y-2 text-sm">
-                    <p>1. Drag and drop images/videos here.</p>
-                    <p>2. Add each to the timeline.</p>
-                    <p>3. Optionally add captions and set crossfade.</p>
-                    <p>4. Preview with Play; Record to save as WebM.</p>
+                    {i18n.t("guideSteps").map((step, i) => (
+                      <p key={i}>{i + 1}. {step}</p>
+                    ))}
                   </div>
                 </DialogContent>
               </Dialog>
@@ -557,20 +1756,155 @@ export default function DesktopDocWorkshopApp() {
           </CardHeader>
           <CardContent>
             <div onDrop={handleFileDrop} onDragOver={handleFileDragOver} className="border-2 border-dashed rounded-2xl p-6 text-center bg-white">
-              <p className="text-sm text-neutral-600">Drag files here or click to select.</p>
-              <Input type="file" multiple accept="image/*,video/*" className="mt-3" onChange={(e) => onFiles(Array.from(e.target.files || []))}/>
+              <p className="text-sm text-neutral-600">{i18n.t("fileDropInstructions")}</p>
+              <Input type="file" multiple accept="image/*,video/*,audio/*,font/*,.ttf,.otf,.woff,.woff2,.cube" className="mt-3" onChange={(e) => onFiles(Array.from(e.target.files || []))}/>
+              <Button variant="outline" size="sm" className="rounded-xl mt-2" onClick={() => folderInputRef.current?.click()}>
+                <FolderInput className="w-4 h-4 mr-1"/> {i18n.t("importFolder")}
+              </Button>
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                className="hidden"
+                onChange={(e) => {
+                  setPendingFolder(pickedFolderFiles(e.target.files || []));
+                  e.target.value = "";
+                }}
+              />
+            </div>
+            <FolderImportDialog files={pendingFolder} onImport={importFolder} onCancel={() => setPendingFolder(null)}/>
+            {importProgress && (
+              <div className="mt-2 space-y-1 text-xs text-neutral-500">
+                <div>{i18n.t("importProgress", importProgress)}</div>
+                <div className="h-2 rounded-full bg-neutral-200 overflow-hidden">
+                  <div className="h-full bg-neutral-900" style={{ width: `${(importProgress.done / Math.max(1, importProgress.total)) * 100}%` }}/>
+                </div>
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              <div className="relative flex-1 min-w-[8rem]">
+                <Search className="absolute left-2 top-2 w-4 h-4 text-neutral-400"/>
+                <Input
+                  className="h-8 pl-8 text-xs"
+                  placeholder={i18n.t("searchLibrary")}
+                  value={libraryFilter.query}
+                  onChange={(e) => setLibraryFilter((filter) => ({ ...filter, query: e.target.value }))}
+                />
+              </div>
+              <select
+                className="h-8 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                value={libraryFilter.type}
+                onChange={(e) => setLibraryFilter((filter) => ({ ...filter, type: e.target.value }))}
+              >
+                <option value="">{i18n.t("allTypes")}</option>
+                {LIBRARY_TYPES.map((type) => (
+                  <option key={type} value={type}>{i18n.t("mediaTypes")[type]}</option>
+                ))}
+              </select>
+              <select
+                className="h-8 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                value={libraryFilter.sort}
+                onChange={(e) => setLibraryFilter((filter) => ({ ...filter, sort: e.target.value }))}
+              >
+                {LIBRARY_SORTS.map((sort) => (
+                  <option key={sort} value={sort}>{i18n.t("librarySorts")[sort]}</option>
+                ))}
+              </select>
+              <Button
+                size="icon"
+                variant={libraryFilter.descending ? "secondary" : "ghost"}
+                className="h-8 w-8"
+                title={i18n.t(libraryFilter.descending ? "sortDescending" : "sortAscending")}
+                onClick={() => setLibraryFilter((filter) => ({ ...filter, descending: !filter.descending }))}
+              >
+                <ArrowDownUp className="w-4 h-4"/>
+              </Button>
             </div>
 
-            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4">
-              {library.map((item) => (
-                <div key={item.id} className="border rounded-xl overflow-hidden bg-white">
+            {/* Bins. Tiles are dragged onto one to move them in */}
+            <div className="flex flex-wrap items-center gap-1 mt-2 text-xs" title={i18n.t("moveToBinHint")}>
+              {[{ id: ALL_BINS, name: i18n.t("allBins") }, { id: NO_BIN, name: i18n.t("unsorted") }, ...bins].map((bin) => (
+                <button
+                  key={bin.id}
+                  className={`px-2 py-1 rounded-xl border flex items-center gap-1 ${shownBin === bin.id ? "bg-black text-white" : ""}`}
+                  onClick={() => setLibraryFilter((filter) => ({ ...filter, bin: bin.id }))}
+                  onDragOver={(e) => {
+                    if (bin.id !== ALL_BINS && e.dataTransfer.types.includes(LIBRARY_DRAG_TYPE)) e.preventDefault();
+                  }}
+                  onDrop={(e) => {
+                    const id = e.dataTransfer.getData(LIBRARY_DRAG_TYPE);
+                    if (id) updateLibraryItem(id, { binId: bin.id === NO_BIN ? undefined : bin.id });
+                  }}
+                >
+                  <Folder className="w-3 h-3"/> {bin.name}
+                  <span className="opacity-60">{binCounts[bin.id] || 0}</span>
+                </button>
+              ))}
+              <Button size="icon" variant="ghost" className="h-7 w-7" title={i18n.t("newBin")} onClick={addBin}>
+                <FolderPlus className="w-4 h-4"/>
+              </Button>
+            </div>
+            {bins.some((bin) => bin.id === shownBin) && (
+              <div className="flex items-center gap-2 mt-2">
+                <Input
+                  className="h-8 text-xs"
+                  placeholder={i18n.t("binName")}
+                  value={bins.find((bin) => bin.id === shownBin).name}
+                  onChange={(e) => renameBin(shownBin, e.target.value)}
+                />
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="hover:bg-red-50 hover:text-red-600"
+                  title={i18n.t("deleteBin")}
+                  onClick={() => removeBin(shownBin)}
+                >
+                  <Trash2 className="w-4 h-4"/>
+                </Button>
+              </div>
+            )}
+
+            {library.length > 0 && visibleLibrary.length === 0 && (
+              <div className="mt-4 text-xs text-neutral-500">{i18n.t("libraryNoMatches")}</div>
+            )}
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4 max-h-[70vh] overflow-y-auto">
+              {visibleLibrary.map((item) => (
+                <div
+                  key={item.id}
+                  className="border rounded-xl overflow-hidden bg-white"
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData(LIBRARY_DRAG_TYPE, item.id);
+                    e.dataTransfer.effectAllowed = "move";
+                  }}
+                >
                   <div className="aspect-video bg-neutral-100 flex items-center justify-center relative">
                     {item.type === "image" ? (
                       <img 
                         src={item.url} 
-                        alt={item.file?.name || "Image"} 
+                        alt={itemLabel(item) || i18n.t("mediaTypes").image} 
                         className="w-full h-full object-cover"
+                        loading="lazy"
+                        draggable={false}
                       />
+                    ) : item.type === "audio" ? (
+                      <div className="relative w-full h-full flex flex-col items-center justify-center gap-1 text-neutral-500">
+                        {mediaPreviews[item.id]?.waveform && (
+                          <Waveform waveform={mediaPreviews[item.id].waveform} className="absolute inset-x-0 inset-y-4 w-full h-[calc(100%-2rem)] text-neutral-300"/>
+                        )}
+                        <Music className="relative w-6 h-6" />
+                        <span className="relative text-[10px]">{formatSeconds(item.duration || 0)}</span>
+                      </div>
+                    ) : item.type === "font" ? (
+                      <span className="text-3xl text-neutral-700" style={{ fontFamily: `"${item.family}"` }}>Aa</span>
+                    ) : item.type === "lut" ? (
+                      <div className="flex flex-col items-center gap-1 text-neutral-500">
+                        <Blend className="w-6 h-6" />
+                        <span className="text-[10px]">{item.lut.size}³</span>
+                      </div>
+                    ) : mediaPreviews[item.id]?.filmstrip ? (
+                      <FilmstripThumbnail filmstrip={mediaPreviews[item.id].filmstrip} alt={itemLabel(item)} className="w-full h-full"/>
                     ) : (
                       <video 
                         src={item.url} 
@@ -579,19 +1913,66 @@ export default function DesktopDocWorkshopApp() {
                         playsInline
                       />
                     )}
+                    {mediaPreviews[item.id]?.waveform && item.type === "video" && (
+                      <Waveform
+                        waveform={mediaPreviews[item.id].waveform}
+                        className="absolute bottom-0 inset-x-0 w-full h-4 text-white/70 bg-black/40 pointer-events-none"
+                      />
+                    )}
                     
-                    <Badge className="absolute top-2 left-2" variant="secondary">{item.type}</Badge>
+                    <Badge className="absolute top-2 left-2" variant="secondary">{i18n.t("mediaTypes")[item.type]}</Badge>
                     {loadingStates[item.id] && (
                       <div className="absolute inset-0 bg-black/20 flex items-center justify-center">
                         <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
                       </div>
                     )}
                   </div>
-                  <div className="p-2 text-xs flex items-center justify-between">
-                    <span className="truncate">{item.file?.name || item.type}</span>
-                    <Button size="sm" variant="outline" className="rounded-xl" onClick={() => addToTimeline(item.id)}>
-                      <Plus className="w-4 h-4 mr-1"/> Add
-                    </Button>
+                  <div className="p-2 text-xs flex items-center justify-between gap-1">
+                    <span className="truncate flex-1" title={itemLabel(item)}>{itemLabel(item) || i18n.t("mediaTypes")[item.type]}</span>
+                    <LibraryItemDialog
+                      item={item}
+                      bins={bins}
+                      usage={libraryUsage(item.id, { timeline, audioTracks, overlays, subtitles, captionStyle, titleStyle, gradeDefaults })}
+                      onChange={(patch) => updateLibraryItem(item.id, patch)}
+                      onDelete={() => removeLibraryItem(item.id)}
+                      trigger={(
+                        <Button size="icon" variant="ghost" className="h-7 w-7 flex-shrink-0" title={i18n.t("itemDetails")}>
+                          <Info className="w-4 h-4"/>
+                        </Button>
+                      )}
+                    />
+                    {item.type === "font" ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="rounded-xl"
+                        title={i18n.t("useFontForCaptions")}
+                        onClick={() => setCaptionStyle((style) => ({ ...style, font: item.id }))}
+                      >
+                        <Type className="w-4 h-4 mr-1"/> {i18n.t("useFont")}
+                      </Button>
+                    ) : item.type === "lut" ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="rounded-xl"
+                        title={i18n.t("useLutForProject")}
+                        onClick={() => setGradeDefaults((grade) => ({ ...grade, lut: item.id }))}
+                      >
+                        <Blend className="w-4 h-4 mr-1"/> {i18n.t("useLut")}
+                      </Button>
+                    ) : (
+                      <>
+                        <Button size="sm" variant="outline" className="rounded-xl" onClick={() => (item.type === "audio" ? addAudioTrack(item.id) : addToTimeline(item.id))}>
+                          <Plus className="w-4 h-4 mr-1"/> {i18n.t("add")}
+                        </Button>
+                        {item.type !== "audio" && (
+                          <Button size="icon" variant="outline" className="h-8 w-8 rounded-xl" title={i18n.t("addAsOverlay")} onClick={() => addOverlay(item.id)}>
+                            <Layers className="w-4 h-4"/>
+                          </Button>
+                        )}
+                      </>
+                    )}
                   </div>
                 </div>
               ))}
@@ -601,18 +1982,123 @@ export default function DesktopDocWorkshopApp() {
 
         {/* Stage */}
         <Card className="lg:col-span-3 shadow-xl rounded-2xl">
-          <CardHeader>
-            <CardTitle className="text-xl">STAGE & RECORD</CardTitle>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-xl">{i18n.t("stageAndRecord")}</CardTitle>
+            <div className="flex items-center gap-2">
+              <Button size="sm" variant="outline" className="rounded-xl" title={i18n.t("undo")} disabled={!canUndo || recState !== "idle"} onClick={undo}>
+                <Undo2 className="w-4 h-4"/>
+              </Button>
+              <Button size="sm" variant="outline" className="rounded-xl" title={i18n.t("redo")} disabled={!canRedo || recState !== "idle"} onClick={redo}>
+                <Redo2 className="w-4 h-4"/>
+              </Button>
+              <HistoryDialog history={history} onJump={(index) => goToHistory(() => index)} />
+              <Button size="sm" variant="outline" className="rounded-xl" disabled={library.length === 0 && timeline.length === 0} onClick={saveProject}>
+                <Save className="w-4 h-4 mr-1"/> {i18n.t("saveProject")}
+              </Button>
+              <Button size="sm" variant="outline" className="rounded-xl" disabled={recState !== "idle"} onClick={() => projectInputRef.current?.click()}>
+                <FolderOpen className="w-4 h-4 mr-1"/> {i18n.t("openProject")}
+              </Button>
+              <StorageDialog
+                sessions={storageInfo.sessions}
+                estimate={storageInfo.estimate}
+                currentSessionId={sessionId}
+                onOpen={refreshStorageInfo}
+                onRestore={restoreSession}
+                onDelete={removeSession}
+                onClearOld={clearOldSessions}
+              />
+              <input
+                ref={projectInputRef}
+                type="file"
+                accept={`${PROJECT_EXTENSION},.zip`}
+                className="hidden"
+                onChange={(e) => {
+                  const bundle = e.target.files?.[0];
+                  e.target.value = "";
+                  if (bundle) openProject(bundle);
+                }}
+              />
+            </div>
           </CardHeader>
           <CardContent>
             <div className="flex flex-col md:flex-row gap-4">
               <div className="flex-1">
-                <div className="bg-black rounded-2xl overflow-hidden shadow-md">
-                  <canvas ref={canvasRef} width={canvasSize.w} height={canvasSize.h} className="w-full h-auto block"/>
+                <div className="relative bg-black rounded-2xl overflow-hidden shadow-md">
+                  <canvas
+                    ref={canvasRef}
+                    style={{ aspectRatio: `${canvasSize.w} / ${canvasSize.h}` }}
+                    className={`w-full h-auto block ${stageEdit ? `${stageEdit.key === "cursor" ? "cursor-crosshair" : "cursor-move"} touch-none` : ""}`}
+                    onPointerDown={handleStagePointerDown}
+                    onPointerMove={handleStagePointerMove}
+                    onPointerUp={handleStagePointerUp}
+                    onPointerCancel={handleStagePointerUp}
+                  />
+                  {/* Guides only: drawn over the canvas, so they never end up in a recording */}
+                  {showSafeArea && [ACTION_SAFE, TITLE_SAFE].map((fraction) => (
+                    <div
+                      key={fraction}
+                      className="absolute border border-dashed border-white/60 pointer-events-none"
+                      style={{ inset: `${((1 - fraction) / 2) * 100}%` }}
+                    />
+                  ))}
+                  {recState === "idle" && !isPlaying && !stageEdit && overlaysAt(overlays, progress).map((overlay) => {
+                    const lib = library.find((l) => l.id === overlay.libId);
+                    if (!lib) return null;
+                    const box = overlayRect(overlay, lib.width, lib.height, canvasSize.w, canvasSize.h);
+                    const selected = overlay.id === selectedOverlayId;
+                    return (
+                      <div
+                        key={overlay.id}
+                        className={`absolute cursor-move touch-none ${selected ? "outline outline-2 outline-sky-400" : "hover:outline hover:outline-1 hover:outline-white/70"}`}
+                        style={{
+                          left: `${(box.x / canvasSize.w) * 100}%`,
+                          top: `${(box.y / canvasSize.h) * 100}%`,
+                          width: `${(box.w / canvasSize.w) * 100}%`,
+                          height: `${(box.h / canvasSize.h) * 100}%`,
+                        }}
+                        title={itemLabel(lib)}
+                        onPointerDown={(e) => handleOverlayPointerDown(e, overlay, "move")}
+                        onPointerMove={handleOverlayPointerMove}
+                        onPointerUp={handleOverlayPointerUp}
+                        onPointerCancel={handleOverlayPointerUp}
+                      >
+                        {selected && (
+                          <div
+                            className="absolute -right-1.5 -bottom-1.5 w-3 h-3 rounded-sm bg-sky-400 border border-white cursor-nwse-resize"
+                            title={i18n.t("overlayScale")}
+                            onPointerDown={(e) => handleOverlayPointerDown(e, overlay, "scale")}
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                  {gradeCompare && recState === "idle" && (
+                    <div className="absolute inset-y-0 left-1/2 border-l border-white/80 pointer-events-none text-[10px] font-semibold text-white">
+                      <span className="absolute top-2 right-2 px-1.5 py-0.5 rounded bg-black/60">{i18n.t("gradeBefore")}</span>
+                      <span className="absolute top-2 left-2 px-1.5 py-0.5 rounded bg-black/60">{i18n.t("gradeAfter")}</span>
+                    </div>
+                  )}
                 </div>
+                {stageEdit && (
+                  <div className="mt-2 flex items-center gap-2 p-2 rounded-xl border bg-white text-xs">
+                    <Move className="w-4 h-4"/>
+                    <span className="flex-1">
+                      {i18n.t({ from: "editingStartFraming", to: "editingEndFraming", crop: "editingCrop", cursor: "editingCursor" }[stageEdit.key])}
+                    </span>
+                    {(stageEdit.key === "from" || stageEdit.key === "to") && (
+                      <Button size="sm" variant="outline" className="rounded-xl" onClick={() => setStageEdit({ ...stageEdit, key: stageEdit.key === "from" ? "to" : "from" })}>
+                        {i18n.t(stageEdit.key === "from" ? "kenBurnsEnd" : "kenBurnsStart")}
+                      </Button>
+                    )}
+                    <Button size="sm" className="rounded-xl" onClick={() => setStageEdit(null)}>
+                      <Check className="w-4 h-4 mr-1"/> {i18n.t("done")}
+                    </Button>
+                  </div>
+                )}
                 <div className="mt-3 flex items-center gap-2">
                   <Button
                     onClick={() => {
+                      ensureAudioMixer();
                       setIsPlaying((prev) => {
                         if (!prev) {
                           setProgress((p) => (p >= Math.max(0, totalDuration - 1e-3) ? 0 : p));
@@ -622,21 +2108,77 @@ export default function DesktopDocWorkshopApp() {
                     }}
                     className="rounded-2xl"
                     variant={isPlaying ? "secondary" : "default"}
+                    disabled={recState === "rendering"}
                   >
                     {isPlaying ? <Pause className="w-4 h-4 mr-1"/> : <Play className="w-4 h-4 mr-1"/>}
-                    {isPlaying ? "Pause" : "Play"}
+                    {i18n.t(isPlaying ? "pause" : "play")}
                   </Button>
-                  {recState !== "recording" ? (
-                    <Button onClick={startRecording} className="rounded-2xl" variant="destructive">
-                      <Circle className="w-4 h-4 mr-1"/> Record (WebM)
-                    </Button>
-                  ) : (
+                  <Button
+                    size="icon"
+                    variant="outline"
+                    className="rounded-xl"
+                    title={i18n.t("previousFrame")}
+                    disabled={recState !== "idle" || totalDuration <= 0}
+                    onClick={() => stepFrame(-1)}
+                  >
+                    <StepBack className="w-4 h-4"/>
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="outline"
+                    className="rounded-xl"
+                    title={i18n.t("nextFrame")}
+                    disabled={recState !== "idle" || totalDuration <= 0}
+                    onClick={() => stepFrame(1)}
+                  >
+                    <StepForward className="w-4 h-4"/>
+                  </Button>
+                  {recState === "recording" ? (
                     <Button onClick={stopRecording} className="rounded-2xl" variant="secondary">
-                      <StopCircle className="w-4 h-4 mr-1"/> Stop
+                      <StopCircle className="w-4 h-4 mr-1"/> {i18n.t("stop")}
                     </Button>
+                  ) : recState === "converting" || recState === "rendering" ? (
+                    <div className="flex items-center gap-2 text-xs">
+                      <span>{i18n.t(recState === "rendering" ? "rendering" : "converting")}</span>
+                      <div className="w-24 h-1.5 rounded-full bg-neutral-200 overflow-hidden">
+                        <div className="h-full bg-neutral-900" style={{ width: `${Math.round(exportProgress * 100)}%` }} />
+                      </div>
+                      <span className="w-8 text-right">{Math.round(exportProgress * 100)}%</span>
+                      <Button size="sm" variant="ghost" className="rounded-xl" onClick={cancelExport}>
+                        <X className="w-4 h-4 mr-1"/> {i18n.t("cancel")}
+                      </Button>
+                    </div>
+                  ) : (
+                    <>
+                      <Button onClick={() => startRecording("webm")} className="rounded-2xl" variant="destructive">
+                        <Circle className="w-4 h-4 mr-1"/> {i18n.t("recordWebM")}
+                      </Button>
+                      <Button onClick={() => startRecording("mp4")} className="rounded-2xl" variant="destructive">
+                        <Circle className="w-4 h-4 mr-1"/> {i18n.t("recordMP4")}
+                      </Button>
+                    </>
                   )}
 
-                  <div className="ml-auto text-xs text-neutral-600">
+                  <div className="ml-auto flex items-center gap-2 text-xs text-neutral-600">
+                    <Button
+                      size="icon"
+                      variant={showSafeArea ? "secondary" : "ghost"}
+                      className="h-7 w-7"
+                      title={i18n.t("safeAreaGuides")}
+                      onClick={() => setShowSafeArea((v) => !v)}
+                    >
+                      <Scan className="w-4 h-4"/>
+                    </Button>
+                    <Button
+                      size="icon"
+                      variant={gradeCompare ? "secondary" : "ghost"}
+                      className="h-7 w-7"
+                      title={i18n.t("gradeCompare")}
+                      onClick={() => setGradeCompare((v) => !v)}
+                    >
+                      <SquareSplitHorizontal className="w-4 h-4"/>
+                    </Button>
+                    <LevelMeter analyser={audioMixer?.analyser} className="w-16" />
                     {progressReadable} / {totalReadable}
                   </div>
                 </div>
@@ -644,7 +2186,7 @@ export default function DesktopDocWorkshopApp() {
 
               <div className="w-full md:w-72 space-y-4">
                 <div className="p-3 bg-white rounded-2xl border">
-                  <div className="text-xs font-semibold mb-2">Output Resolution</div>
+                  <div className="text-xs font-semibold mb-2">{i18n.t("outputResolution")}</div>
                   <div className="grid grid-cols-2 gap-2">
                     {[
                       { w: 1280, h: 720, label: "720p" },
@@ -657,50 +2199,217 @@ export default function DesktopDocWorkshopApp() {
                   </div>
                 </div>
 
-                <div className="p-3 bg-white rounded-2xl border">
-                  <div className="text-xs font-semibold mb-2">Crossfade (s)</div>
+                <div className="p-3 bg-white rounded-2xl border space-y-2">
+                  <div className="text-xs font-semibold">{i18n.t("frameAccurateRender")}</div>
+                  <div className="grid grid-cols-4 gap-2">
+                    {RENDER_FPS_OPTIONS.map((fps) => (
+                      <Button
+                        key={fps}
+                        size="sm"
+                        variant={renderFps === fps ? "default" : "outline"}
+                        className="rounded-xl"
+                        onClick={() => setRenderFps(fps)}
+                      >
+                        {fps}
+                      </Button>
+                    ))}
+                  </div>
+                  <Button
+                    className="w-full rounded-xl"
+                    variant="outline"
+                    disabled={recState !== "idle" || totalDuration <= 0}
+                    onClick={startOfflineRender}
+                  >
+                    <Film className="w-4 h-4 mr-1"/> {i18n.t("renderMP4")} ({renderFps} fps)
+                  </Button>
+                </div>
+
+                <div className="p-3 bg-white rounded-2xl border space-y-2">
+                  <div className="text-xs font-semibold">{i18n.t("transition")}</div>
+                  <select
+                    className="h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm"
+                    value={transitionType}
+                    onChange={(e) => setTransitionType(e.target.value)}
+                  >
+                    {TRANSITION_TYPES.map((type) => (
+                      <option key={type} value={type}>{i18n.t("transitionNames")[type]}</option>
+                    ))}
+                  </select>
+                  <div className="text-xs font-semibold flex justify-between">
+                    <span>{i18n.t("crossfadeSeconds")}</span>
+                    <span className="font-normal">{crossfade.toFixed(1)}</span>
+                  </div>
                   <Slider min={0} max={3} step={0.1} value={[crossfade]} onValueChange={([v]) => setCrossfade(v)}/>
                 </div>
 
+                <div className="p-3 bg-white rounded-2xl border flex items-center justify-between gap-2 text-xs">
+                  <span>
+                    <span className="font-semibold block">{i18n.t("autoKenBurns")}</span>
+                    <span className="text-neutral-500">{i18n.t("autoKenBurnsHint")}</span>
+                  </span>
+                  <Button size="sm" variant={autoKenBurns ? "default" : "outline"} className="rounded-xl" onClick={toggleAutoKenBurns}>
+                    {i18n.t(autoKenBurns ? "on" : "off")}
+                  </Button>
+                </div>
+
+                <div className="p-3 bg-white rounded-2xl border space-y-2">
+                  <div className="text-xs font-semibold">{i18n.t("fitMode")}</div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      className="h-8 flex-1 rounded-md border border-input bg-transparent px-2 text-xs shadow-sm"
+                      value={fitDefaults.mode}
+                      onChange={(e) => setFitDefaults((f) => ({ ...f, mode: e.target.value }))}
+                    >
+                      {FIT_MODES.filter((mode) => mode !== "crop").map((mode) => (
+                        <option key={mode} value={mode}>{i18n.t("fitModeNames")[mode]}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="color"
+                      className="h-8 w-8 rounded-md border border-input cursor-pointer"
+                      title={i18n.t("letterboxColor")}
+                      value={fitDefaults.background}
+                      onChange={(e) => setFitDefaults((f) => ({ ...f, background: e.target.value }))}
+                    />
+                  </div>
+                </div>
+
                 <div className="p-3 bg-white rounded-2xl border space-y-2">
                   <div className="text-xs font-semibold flex items-center gap-2">
                     <Palette className="w-4 h-4"/>
-                    Cyberpunk Color Theme
+                    <span className="flex-1">{i18n.t("themeHeading")}</span>
+                    <ThemeEditor
+                      customThemes={customThemes}
+                      selected={selectedColor}
+                      onSelect={setSelectedColor}
+                      onChange={setCustomThemes}
+                      onExport={exportTheme}
+                    />
                   </div>
-                  <div className="flex gap-2 items-center">
-                    {Object.entries(cyberColors).map(([colorKey, colorValue]) => (
+                  <div className="flex flex-wrap gap-2 items-center">
+                    {[
+                      ...Object.entries(BUILTIN_THEMES).map(([key, theme]) => ({ key, theme, name: i18n.t("colorNames")[key] })),
+                      ...customThemes.map((theme) => ({ key: theme.id, theme, name: theme.name })),
+                    ].map(({ key, theme, name }) => (
                       <button
-                        key={colorKey}
+                        key={key}
                         className={`w-6 h-6 rounded-full border-2 cursor-pointer transition-all duration-200 hover:scale-110 ${
-                          selectedColor === colorKey 
+                          selectedColor === key 
                             ? 'border-white shadow-lg' 
                             : 'border-transparent hover:border-gray-300'
                         }`}
                         style={{ 
-                          backgroundColor: colorValue.primary,
-                          boxShadow: selectedColor === colorKey 
-                            ? `0 0 15px ${colorValue.primary}` 
+                          backgroundColor: theme.primary,
+                          boxShadow: selectedColor === key 
+                            ? `0 0 15px ${theme.shadow}` 
                             : 'none'
                         }}
-                        onClick={() => setSelectedColor(colorKey)}
-                        title={colorKey.toUpperCase()}
+                        onClick={() => setSelectedColor(key)}
+                        title={name}
                       />
                     ))}
                   </div>
                   <div className="text-xs text-neutral-500 mt-1">
-                    Selected: <span className="font-semibold" style={{ color: getCurrentColor().primary }}>
-                      {selectedColor.toUpperCase()}
+                    {i18n.t("selected")}: <span className="font-semibold" style={{ color: getCurrentColor().primary }}>
+                      {BUILTIN_THEMES[selectedColor] ? i18n.t("colorNames")[selectedColor] : getCurrentColor().name ?? i18n.t("colorNames")[DEFAULT_THEME]}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="p-3 bg-white rounded-2xl border space-y-2 text-xs">
+                  <div className="flex items-center justify-between gap-2">
+                    <span>
+                      <span className="font-semibold block">{i18n.t("crtEffects")}</span>
+                      <span className="text-neutral-500">{i18n.t("crtEffectsHint")}</span>
                     </span>
+                    <Button
+                      size="sm"
+                      variant={crt.enabled ? "default" : "outline"}
+                      className="rounded-xl"
+                      onClick={() => setCrt((c) => ({ ...c, enabled: !c.enabled }))}
+                    >
+                      {i18n.t(crt.enabled ? "on" : "off")}
+                    </Button>
                   </div>
+                  {crt.enabled && (
+                    <>
+                      {CRT_EFFECTS.map((effect) => (
+                        <div key={effect} className="grid grid-cols-[6.5rem_1fr_2rem] items-center gap-2">
+                          <span>{i18n.t("crtEffectNames")[effect]}</span>
+                          <Slider
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={[crt[effect]]}
+                            onValueChange={([v]) => setCrt((c) => ({ ...c, [effect]: v }))}
+                          />
+                          <span className="text-right">{Math.round(crt[effect] * 100)}</span>
+                        </div>
+                      ))}
+                      <Button size="sm" variant="ghost" className="rounded-xl" onClick={() => setCrt({ ...DEFAULT_CRT, enabled: true })}>
+                        <RotateCcw className="w-4 h-4 mr-1"/> {i18n.t("resetToDefault")}
+                      </Button>
+                    </>
+                  )}
+                </div>
+
+                <div className="p-3 bg-white rounded-2xl border flex items-center justify-between gap-2">
+                  <div className="text-xs font-semibold">{i18n.t("colorGrade")}</div>
+                  <GradeDialog
+                    title={i18n.t("colorGrade")}
+                    grade={gradeDefaults}
+                    luts={luts}
+                    onChange={(patch) => setGradeDefaults((grade) => ({ ...grade, ...patch }))}
+                    onReset={() => setGradeDefaults(DEFAULT_GRADE)}
+                    trigger={(
+                      <Button size="sm" variant="outline" className="rounded-xl">
+                        <Blend className="w-4 h-4"/>
+                      </Button>
+                    )}
+                  />
+                </div>
+
+                <div className="p-3 bg-white rounded-2xl border flex items-center justify-between gap-2">
+                  <div className="text-xs font-semibold">{i18n.t("captionStyle")}</div>
+                  <CaptionStyleDialog
+                    title={i18n.t("captionStyle")}
+                    style={captionStyle}
+                    fonts={fonts}
+                    onChange={(patch) => setCaptionStyle((style) => ({ ...style, ...patch }))}
+                    onReset={() => setCaptionStyle(DEFAULT_CAPTION_STYLE)}
+                    trigger={(
+                      <Button size="sm" variant="outline" className="rounded-xl">
+                        <Paintbrush className="w-4 h-4"/>
+                      </Button>
+                    )}
+                  />
                 </div>
 
                 <div className="p-3 bg-white rounded-2xl border space-y-2">
-                  <div className="text-xs font-semibold">Global Title</div>
+                  <div className="text-xs font-semibold">{i18n.t("globalTitleLabel")}</div>
                   <div className="flex items-center gap-2">
-                    <Input placeholder="Project title…" value={globalTitle} onChange={(e) => setGlobalTitle(e.target.value)} />
-                    <Button size="sm" variant={showTitle ? "default" : "outline"} className="rounded-xl" onClick={() => setShowTitle((s) => !s)}>
+                    <Input placeholder={i18n.t("projectTitlePlaceholder")} value={globalTitle} onChange={(e) => setGlobalTitle(e.target.value)} />
+                    <Button
+                      size="sm"
+                      variant={showTitle ? "default" : "outline"}
+                      className="rounded-xl"
+                      title={i18n.t("showTitle")}
+                      onClick={() => setShowTitle((s) => !s)}
+                    >
                       <Type className="w-4 h-4"/>
                     </Button>
+                    <CaptionStyleDialog
+                      title={i18n.t("titleStyle")}
+                      style={titleStyle}
+                      fonts={fonts}
+                      onChange={(patch) => setTitleStyle((style) => ({ ...style, ...patch }))}
+                      onReset={() => setTitleStyle(DEFAULT_TITLE_STYLE)}
+                      trigger={(
+                        <Button size="sm" variant="outline" className="rounded-xl" title={i18n.t("titleStyle")}>
+                          <Paintbrush className="w-4 h-4"/>
+                        </Button>
+                      )}
+                    />
                   </div>
                 </div>
               </div>
@@ -708,85 +2417,745 @@ export default function DesktopDocWorkshopApp() {
 
             {/* Timeline */}
             <div className="mt-6">
-              <div className="text-sm font-semibold mb-2">TIMELINE</div>
-              <div className="space-y-2">
+              <div className="text-sm font-semibold mb-2">
+                {i18n.t("timeline")}
+                {timeline.length > 0 && (
+                  <span className="ml-2 text-xs font-normal text-neutral-500">
+                    {i18n.t("timelineSummary", { count: timeline.length, duration: totalReadable })}
+                  </span>
+                )}
+                {timeline.length > 1 && (
+                  <span className="ml-2 text-xs font-normal text-neutral-500">{i18n.t("timelineReorderHint")}</span>
+                )}
+                <select
+                  className="ml-2 h-7 rounded-md border border-input bg-transparent px-1 text-xs font-normal shadow-sm"
+                  value=""
+                  title={i18n.t("addCard")}
+                  onChange={(e) => e.target.value && addCard(e.target.value)}
+                >
+                  <option value="">{i18n.t("addCard")}…</option>
+                  {Object.keys(CARD_TEMPLATES).map((template) => (
+                    <option key={template} value={template}>{i18n.t("cardTemplates")[template]}</option>
+                  ))}
+                </select>
+              </div>
+              {timeline.length > 0 && (
+                <div className="mb-3">
+                  <TimelineRuler
+                    layout={layout}
+                    duration={totalDuration}
+                    progress={progress}
+                    cues={subtitles}
+                    disabled={recState !== "idle"}
+                    selectedClipId={selectedClipId}
+                    previews={mediaPreviews}
+                    beats={beatMarkers.beats}
+                    onsets={beatMarkers.onsets}
+                    overlays={overlays.map((overlay) => ({ overlay, lib: library.find((l) => l.id === overlay.libId) }))}
+                    selectedOverlayId={selectedOverlayId}
+                    selectedCueId={selectedCueId}
+                    onSelectOverlay={selectOverlay}
+                    onSelectCue={selectCue}
+                    onChangeCue={retimeCue}
+                    onSeek={seekTo}
+                    onResizeClip={(clipId, duration) => updateClip(clipId, { duration })}
+                    onSelectClip={selectClip}
+                  />
+                </div>
+              )}
+              <div className="space-y-2" onDrop={handleClipDrop} onDragOver={(e) => dragClipIndex !== null && e.preventDefault()}>
                 {timeline.length === 0 && (
-                  <div className="text-xs text-neutral-500">No clips yet. Click "Add" in the library.</div>
+                  <div className="text-xs text-neutral-500">{i18n.t("timelineEmpty")}</div>
                 )}
                 {timeline.map((clip, i) => {
                   const lib = library.find((l) => l.id === clip.libId);
+                  const isDragged = dragClipIndex === i;
+                  const fit = getFitSpec(clip, fitDefaults);
+                  const trim = lib?.type === "video" ? getTrimRange(clip, lib) : null;
+                  const playheadInClip = playheadMediaTime(clip.id) != null;
                   
                   return (
-                    <div key={clip.id} className="flex items-center gap-3 p-2 bg-white border rounded-xl">
-                      <Badge variant="secondary">{i + 1}</Badge>
+                    <React.Fragment key={clip.id}>
+                      {showDropMarker(i) && <DropMarker />}
+                      <div
+                        data-clip-row
+                        data-clip-id={clip.id}
+                        className={`flex items-center gap-3 p-2 bg-white border rounded-xl ${isDragged ? "opacity-50" : ""} ${
+                          selectedClipId === clip.id ? "ring-2 ring-neutral-900" : ""
+                        }`}
+                        onClick={() => setSelectedClipId(clip.id)}
+                        onDragOver={(e) => handleClipDragOver(e, i)}
+                        onDrop={handleClipDrop}
+                      >
+                        <button
+                          type="button"
+                          draggable
+                          className="cursor-grab active:cursor-grabbing text-neutral-400 hover:text-neutral-700 rounded focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+                          aria-label={i18n.t("reorderClip")}
+                          title={i18n.t("reorderKeyboardHint")}
+                          onDragStart={(e) => handleClipDragStart(e, i)}
+                          onDragEnd={handleClipDragEnd}
+                          onKeyDown={(e) => handleGripKeyDown(e, i)}
+                        >
+                          <GripVertical className="w-4 h-4"/>
+                        </button>
+                        <Badge variant="secondary">{i + 1}</Badge>
                       
-                      <div className="w-12 h-8 rounded overflow-hidden bg-neutral-100 flex-shrink-0">
-                        {lib?.type === "image" ? (
-                          <img 
-                            src={lib.url} 
-                            alt="preview" 
-                            className="w-full h-full object-cover"
-                          />
-                        ) : lib?.type === "video" ? (
-                          <video 
-                            src={lib.url} 
-                            className="w-full h-full object-cover"
-                            muted
-                            playsInline
-                          />
+                        <div className="w-12 h-8 rounded overflow-hidden bg-neutral-100 flex-shrink-0">
+                          {clip.card ? (
+                            <div className="w-full h-full flex items-center justify-center bg-neutral-900">
+                              <Type className="w-3 h-3" style={{ color: getCurrentColor().primary }}/>
+                            </div>
+                          ) : lib?.type === "image" ? (
+                            <img 
+                              src={lib.url} 
+                              alt={itemLabel(lib) || i18n.t("mediaTypes").image} 
+                              className="w-full h-full object-cover"
+                            />
+                          ) : mediaPreviews[lib?.id]?.filmstrip ? (
+                            <img 
+                              src={filmstripFrameAt(mediaPreviews[lib.id].filmstrip, trim.trimIn)} 
+                              alt={itemLabel(lib)} 
+                              className="w-full h-full object-cover"
+                            />
+                          ) : lib?.type === "video" ? (
+                            <video 
+                              src={`${lib.url}#t=${trim.trimIn}`} 
+                              className="w-full h-full object-cover"
+                              muted
+                              playsInline
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center">
+                              <Film className="w-3 h-3 text-neutral-400" />
+                            </div>
+                          )}
+                        </div>
+                      
+                        <div className="w-24 text-xs truncate">
+                          {clip.card ? cardLabel(clip.card, i18n.t("cardKinds")) : itemLabel(lib) || i18n.t("mediaTypes")[lib?.type]}
+                        </div>
+                      
+                        {clip.card ? (
+                          <div className="flex items-center gap-2 text-xs">
+                            <span>{i18n.t("duration")}:</span>
+                            <Input
+                              type="number"
+                              min={MIN_CARD_DURATION}
+                              step={0.1}
+                              className="h-8 w-20 text-xs"
+                              value={clip.duration}
+                              onChange={(e) => updateClip(clip.id, { duration: Math.max(MIN_CARD_DURATION, Number(e.target.value) || MIN_CARD_DURATION) })}
+                            />
+                            <span>s</span>
+                            <CardDialog
+                              card={getCardSpec(clip)}
+                              fonts={fonts}
+                              onChange={(patch) => updateCard(clip.id, patch)}
+                              trigger={(
+                                <Button size="icon" variant="ghost" className="h-7 w-7" title={i18n.t("cardSettings")}>
+                                  <Settings2 className="w-4 h-4"/>
+                                </Button>
+                              )}
+                            />
+                          </div>
+                        ) : lib?.type === "image" ? (
+                          <div className="flex items-center gap-2 text-xs">
+                            <span>{i18n.t("duration")}:</span>
+                            <Slider
+                              className="w-32"
+                              min={0.05}
+                              max={4}
+                              step={0.05}
+                              value={[Math.min(4, Math.max(0.05, clip.duration))]}
+                              onValueChange={([v]) =>
+                                setTimeline((t) =>
+                                  t.map((c) =>
+                                    c.id === clip.id
+                                      ? {
+                                          ...c,
+                                          duration: Math.min(4, Math.max(0.05, Math.round(v * 20) / 20)),
+                                        }
+                                      : c
+                                  )
+                                )
+                              }
+                            />
+                            <span className="w-12 text-right text-xs">
+                              {Number((Math.min(4, Math.max(0.05, clip.duration))).toFixed(2))}s
+                            </span>
+                            <Button
+                              size="icon"
+                              variant={clip.kenBurns ? "secondary" : "ghost"}
+                              className="h-7 w-7"
+                              title={i18n.t("kenBurns")}
+                              onClick={() => toggleKenBurns(clip.id)}
+                            >
+                              <Move className="w-4 h-4"/>
+                            </Button>
+                            {clip.kenBurns && (
+                              <>
+                                <select
+                                  className="h-8 w-24 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                                  title={i18n.t("easing")}
+                                  value={clip.kenBurns.easing}
+                                  onChange={(e) => updateKenBurns(clip.id, { easing: e.target.value })}
+                                >
+                                  {Object.keys(EASINGS).map((easing) => (
+                                    <option key={easing} value={easing}>{i18n.t("easingNames")[easing]}</option>
+                                  ))}
+                                </select>
+                                {["from", "to"].map((key) => (
+                                  <Button
+                                    key={key}
+                                    size="sm"
+                                    variant={stageEdit?.clipId === clip.id && stageEdit.key === key ? "default" : "outline"}
+                                    className="h-8 px-2 text-xs rounded-lg"
+                                    onClick={() => setStageEdit({ clipId: clip.id, key })}
+                                  >
+                                    {i18n.t(key === "from" ? "kenBurnsStart" : "kenBurnsEnd")}
+                                  </Button>
+                                ))}
+                              </>
+                            )}
+                          </div>
                         ) : (
-                          <div className="w-full h-full flex items-center justify-center">
-                            <Film className="w-3 h-3 text-neutral-400" />
+                          <div className="flex items-center gap-2 text-xs text-neutral-500">
+                            {trim && (
+                              <>
+                                <span title={i18n.t("trimRange")}>
+                                  {formatTimecode(trim.trimIn, renderFps)}–{formatTimecode(trim.trimOut, renderFps)} ({(trim.trimOut - trim.trimIn).toFixed(1)}s)
+                                </span>
+                                <TrimDialog
+                                  lib={lib}
+                                  filmstrip={mediaPreviews[lib.id]?.filmstrip}
+                                  trimIn={trim.trimIn}
+                                  trimOut={trim.trimOut}
+                                  onChange={(range) => trimClip(clip.id, range)}
+                                  trigger={
+                                    <Button
+                                      size="icon"
+                                      variant={trim.trimIn > 0 || trim.trimOut < lib.duration ? "secondary" : "ghost"}
+                                      className="h-7 w-7"
+                                      title={i18n.t("trimClip")}
+                                    >
+                                      <Scissors className="w-4 h-4"/>
+                                    </Button>
+                                  }
+                                />
+                                <Button
+                                  size="icon"
+                                  variant="ghost"
+                                  className="h-7 w-7"
+                                  disabled={!playheadInClip || recState !== "idle"}
+                                  title={i18n.t("trimInAtPlayhead")}
+                                  onClick={() => trimAtPlayhead(clip, lib, "in")}
+                                >
+                                  <ArrowRightToLine className="w-4 h-4"/>
+                                </Button>
+                                <Button
+                                  size="icon"
+                                  variant="ghost"
+                                  className="h-7 w-7"
+                                  disabled={!playheadInClip || recState !== "idle"}
+                                  title={i18n.t("trimOutAtPlayhead")}
+                                  onClick={() => trimAtPlayhead(clip, lib, "out")}
+                                >
+                                  <ArrowLeftToLine className="w-4 h-4"/>
+                                </Button>
+                              </>
+                            )}
+                            <Button
+                              size="icon"
+                              variant="ghost"
+                              className="h-7 w-7"
+                              title={i18n.t(clip.audio === false ? "unmuteClip" : "muteClip")}
+                              onClick={() => updateClip(clip.id, { audio: clip.audio === false })}
+                            >
+                              {clip.audio === false ? <VolumeX className="w-4 h-4"/> : <Volume2 className="w-4 h-4"/>}
+                            </Button>
+                            <Slider
+                              className="w-20"
+                              min={0}
+                              max={1}
+                              step={0.05}
+                              disabled={clip.audio === false}
+                              value={[clip.volume ?? 1]}
+                              onValueChange={([v]) => updateClip(clip.id, { volume: v })}
+                            />
                           </div>
                         )}
-                      </div>
-                      
-                      <div className="w-24 text-xs truncate">{lib?.file?.name || lib?.type}</div>
                       
-                      {lib?.type === "image" ? (
-                        <div className="flex items-center gap-2 text-xs">
-                          <span>Duration:</span>
-                          <Slider
-                            className="w-32"
-                            min={0.05}
-                            max={4}
-                            step={0.05}
-                            value={[Math.min(4, Math.max(0.05, clip.duration))]}
-                            onValueChange={([v]) =>
-                              setTimeline((t) =>
-                                t.map((c) =>
-                                  c.id === clip.id
-                                    ? {
-                                        ...c,
-                                        duration: Math.min(4, Math.max(0.05, Math.round(v * 20) / 20)),
-                                      }
-                                    : c
-                                )
-                              )
-                            }
+                        {!clip.card && (
+                          <div className="flex items-center gap-1" title={i18n.t("fitMode")}>
+                            <select
+                              className="h-8 w-24 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                              value={clip.fit?.mode ?? ""}
+                              onChange={(e) => {
+                                const mode = e.target.value || undefined;
+                                updateClipFit(clip.id, { mode });
+                                if (mode === "crop") setStageEdit({ clipId: clip.id, key: "crop" });
+                                else if (stageEdit?.clipId === clip.id && stageEdit.key === "crop") setStageEdit(null);
+                              }}
+                            >
+                              <option value="">{i18n.t("fitDefault")}</option>
+                              {FIT_MODES.map((mode) => (
+                                <option key={mode} value={mode}>{i18n.t("fitModeNames")[mode]}</option>
+                              ))}
+                            </select>
+                            {(fit.mode === "contain" || fit.mode === "crop") && (
+                              <input
+                                type="color"
+                                className="h-8 w-8 rounded-md border border-input cursor-pointer"
+                                title={i18n.t("letterboxColor")}
+                                value={fit.background}
+                                onChange={(e) => updateClipFit(clip.id, { background: e.target.value })}
+                              />
+                            )}
+                            {fit.mode === "crop" && (
+                              <Button
+                                size="icon"
+                                variant={stageEdit?.clipId === clip.id && stageEdit.key === "crop" ? "default" : "outline"}
+                                className="h-8 w-8"
+                                title={i18n.t("editCrop")}
+                                onClick={() => setStageEdit({ clipId: clip.id, key: "crop" })}
+                              >
+                                <Crop className="w-4 h-4"/>
+                              </Button>
+                            )}
+                          </div>
+                        )}
+
+                        {i > 0 && (
+                          <div className="flex items-center gap-1" title={i18n.t("transition")}>
+                            <select
+                              className="h-8 w-24 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                              value={clip.transition?.type ?? ""}
+                              onChange={(e) => updateClipTransition(clip.id, { type: e.target.value || undefined })}
+                            >
+                              <option value="">{i18n.t("transitionDefault")}</option>
+                              {TRANSITION_TYPES.map((type) => (
+                                <option key={type} value={type}>{i18n.t("transitionNames")[type]}</option>
+                              ))}
+                            </select>
+                            <Input
+                              type="number"
+                              min={0}
+                              max={3}
+                              step={0.1}
+                              className="h-8 w-16 text-xs"
+                              placeholder={String(crossfade)}
+                              title={i18n.t("transitionLength")}
+                              value={clip.transition?.duration ?? ""}
+                              onChange={(e) => updateClipTransition(clip.id, {
+                                duration: e.target.value === "" ? undefined : Math.max(0, Math.min(3, Number(e.target.value) || 0)),
+                              })}
+                            />
+                          </div>
+                        )}
+
+                        <GradeDialog
+                          title={i18n.t("clipGrade")}
+                          grade={getGradeSpec(clip, gradeDefaults)}
+                          luts={luts}
+                          onChange={(patch) => updateClip(clip.id, { grade: { ...clip.grade, ...patch } })}
+                          onReset={() => updateClip(clip.id, { grade: undefined })}
+                          trigger={
+                            <Button
+                              size="icon"
+                              variant={clip.grade ? "secondary" : "ghost"}
+                              className="ml-auto"
+                              title={i18n.t("clipGrade")}
+                            >
+                              <Blend className="w-4 h-4"/>
+                            </Button>
+                          }
+                        />
+                        <ChromeDialog
+                          chrome={getChromeSpec(clip)}
+                          images={library.filter((item) => item.type === "image")}
+                          duration={getClipDuration(clip, lib)}
+                          playheadTime={playheadClipTime(clip.id)}
+                          onToggle={(enable) => toggleChrome(clip, lib, enable)}
+                          onChange={(patch) => updateChrome(clip.id, patch)}
+                          trigger={
+                            <Button size="icon" variant={clip.chrome ? "secondary" : "ghost"} title={i18n.t("chromeSettings")}>
+                              <Monitor className="w-4 h-4"/>
+                            </Button>
+                          }
+                        />
+                        {clip.chrome && (
+                          <Button
+                            size="icon"
+                            variant={stageEdit?.clipId === clip.id && stageEdit.key === "cursor" ? "default" : "ghost"}
+                            title={i18n.t("editCursorPath")}
+                            disabled={recState !== "idle"}
+                            onClick={() => editCursorPath(clip.id)}
+                          >
+                            <MousePointer2 className="w-4 h-4"/>
+                          </Button>
+                        )}
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          title={i18n.t("duplicateClip")}
+                          onClick={() => duplicateClip(clip.id)}
+                        >
+                          <Copy className="w-4 h-4"/>
+                        </Button>
+                        <Button 
+                          size="icon" 
+                          variant="ghost" 
+                          className="hover:bg-red-50 hover:text-red-600" 
+                          onClick={() => removeFromTimeline(clip.id)}
+                        >
+                          <Trash2 className="w-4 h-4"/>
+                        </Button>
+                      </div>
+                    </React.Fragment>
+                  );
+                })}
+                {showDropMarker(timeline.length) && <DropMarker />}
+              </div>
+            </div>
+
+            {/* Music & narration */}
+            <div className="mt-6">
+              <div className="text-sm font-semibold mb-2">{i18n.t("audioTracks")}</div>
+              <div className="space-y-2">
+                {audioTracks.length === 0 && (
+                  <div className="text-xs text-neutral-500">{i18n.t("audioTracksEmpty")}</div>
+                )}
+                {audioTracks.map((track) => {
+                  const lib = library.find((l) => l.id === track.libId);
+                  const envelope = [...(track.envelope || [])].sort((a, b) => a.time - b.time);
+                  const playheadTime = Math.max(0, progress - (track.start || 0));
+
+                  return (
+                    <div key={track.id} className="p-2 bg-white border rounded-xl space-y-2">
+                      <div className="flex items-center gap-3 text-xs">
+                        <Music className="w-4 h-4 text-neutral-500 flex-shrink-0"/>
+                        <div className="w-32 truncate">{itemLabel(lib) || i18n.t("mediaTypes").audio}</div>
+                        <span className="text-neutral-500">{formatSeconds(lib?.duration || 0)}</span>
+                        <label className="flex items-center gap-1">
+                          {i18n.t("trackStart")}
+                          <Input
+                            type="number"
+                            min={0}
+                            step={0.1}
+                            className="h-7 w-20"
+                            value={track.start}
+                            onChange={(e) => updateAudioTrack(track.id, { start: Math.max(0, Number(e.target.value) || 0) })}
                           />
-                          <span className="w-12 text-right text-xs">
-                            {Number((Math.min(4, Math.max(0.05, clip.duration))).toFixed(2))}s
-                          </span>
-                        </div>
-                      ) : (
-                        <div className="text-xs text-neutral-500">
-                          Video ({formatSeconds(lib?.duration || 0)})
-                        </div>
+                        </label>
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="h-7 w-7"
+                          onClick={() => updateAudioTrack(track.id, { muted: !track.muted })}
+                        >
+                          {track.muted ? <VolumeX className="w-4 h-4"/> : <Volume2 className="w-4 h-4"/>}
+                        </Button>
+                        <BeatSyncDialog
+                          track={track}
+                          lib={lib}
+                          onChange={(patch) => updateAudioTrack(track.id, patch)}
+                          onSnap={(step) => snapClipsToBeats(track, step)}
+                        />
+                        <Slider
+                          className="w-24"
+                          min={0}
+                          max={1}
+                          step={0.05}
+                          disabled={track.muted}
+                          value={[track.volume]}
+                          onValueChange={([v]) => updateAudioTrack(track.id, { volume: v })}
+                        />
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="ml-auto hover:bg-red-50 hover:text-red-600"
+                          onClick={() => removeAudioTrack(track.id)}
+                        >
+                          <Trash2 className="w-4 h-4"/>
+                        </Button>
+                      </div>
+
+                      {mediaPreviews[lib?.id]?.waveform && (
+                        <Waveform waveform={mediaPreviews[lib.id].waveform} className="w-full h-8 text-neutral-300"/>
                       )}
-                      
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="text-neutral-500">{i18n.t("volumeEnvelope")}:</span>
+                        {envelope.map((point, pi) => (
+                          <div key={pi} className="flex items-center gap-1 px-2 py-1 border rounded-lg">
+                            <span>{formatSeconds(point.time)}</span>
+                            <Slider
+                              className="w-16"
+                              min={0}
+                              max={1}
+                              step={0.05}
+                              value={[point.gain]}
+                              onValueChange={([v]) => updateAudioTrack(track.id, {
+                                envelope: envelope.map((p, j) => (j === pi ? { ...p, gain: v } : p)),
+                              })}
+                            />
+                            <span className="w-8 text-right">{Math.round(point.gain * 100)}%</span>
+                            <button
+                              type="button"
+                              className="text-neutral-400 hover:text-red-600"
+                              onClick={() => updateAudioTrack(track.id, { envelope: envelope.filter((_, j) => j !== pi) })}
+                            >
+                              <X className="w-3 h-3"/>
+                            </button>
+                          </div>
+                        ))}
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="rounded-xl h-7"
+                          onClick={() => updateAudioTrack(track.id, {
+                            envelope: [...envelope.filter((p) => p.time !== playheadTime), { time: playheadTime, gain: 1 }],
+                          })}
+                        >
+                          <Plus className="w-3 h-3 mr-1"/> {i18n.t("addEnvelopePoint")} ({formatSeconds(playheadTime)})
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Overlays */}
+            <div className="mt-6">
+              <div className="text-sm font-semibold mb-2">{i18n.t("overlayTracks")}</div>
+              <div className="space-y-2">
+                {overlays.length === 0 && (
+                  <div className="text-xs text-neutral-500">{i18n.t("overlayTracksEmpty")}</div>
+                )}
+                {[...overlays].sort((a, b) => a.layer - b.layer || a.start - b.start).map((overlay) => {
+                  const lib = library.find((l) => l.id === overlay.libId);
+                  const span = Math.max(totalDuration, overlay.end) || 1;
+
+                  return (
+                    <div
+                      key={overlay.id}
+                      className={`p-2 bg-white border rounded-xl space-y-2 ${overlay.id === selectedOverlayId ? "border-sky-400" : ""}`}
+                    >
+                      <div className="flex flex-wrap items-center gap-3 text-xs">
+                        <button type="button" className="flex items-center gap-2 w-40 text-left" onClick={() => selectOverlay(overlay)}>
+                          {lib?.type === "video" ? <Film className="w-4 h-4 text-neutral-500 flex-shrink-0"/> : <ImageIcon className="w-4 h-4 text-neutral-500 flex-shrink-0"/>}
+                          <span className="truncate">{itemLabel(lib)}</span>
+                        </button>
+                        <Badge variant="secondary">{i18n.t("overlayLayerBadge", { layer: overlay.layer + 1 })}</Badge>
+                        <label className="flex items-center gap-1">
+                          {i18n.t("overlayStart")}
+                          <Input
+                            type="number"
+                            min={0}
+                            step={0.1}
+                            className="h-7 w-20"
+                            value={overlay.start}
+                            onChange={(e) => {
+                              const start = Math.max(0, Number(e.target.value) || 0);
+                              // Moving the start keeps the length
+                              updateOverlay(overlay.id, { start, end: start + (overlay.end - overlay.start) });
+                            }}
+                          />
+                        </label>
+                        <label className="flex items-center gap-1">
+                          {i18n.t("overlayEnd")}
+                          <Input
+                            type="number"
+                            min={overlay.start + MIN_OVERLAY_DURATION}
+                            step={0.1}
+                            className="h-7 w-20"
+                            value={overlay.end}
+                            onChange={(e) => updateOverlay(overlay.id, { end: Number(e.target.value) || 0 })}
+                          />
+                        </label>
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="h-7 w-7"
+                          title={i18n.t("overlayStartAtPlayhead")}
+                          onClick={() => updateOverlay(overlay.id, { start: progress, end: progress + (overlay.end - overlay.start) })}
+                        >
+                          <ArrowRightToLine className="w-4 h-4"/>
+                        </Button>
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="h-7 w-7"
+                          title={i18n.t("overlayEndAtPlayhead")}
+                          disabled={progress <= overlay.start}
+                          onClick={() => updateOverlay(overlay.id, { end: progress })}
+                        >
+                          <ArrowLeftToLine className="w-4 h-4"/>
+                        </Button>
+                        <OverlayDialog
+                          overlay={overlay}
+                          lib={lib}
+                          onChange={(patch) => updateOverlay(overlay.id, patch)}
+                          trigger={(
+                            <Button size="icon" variant="ghost" className="h-7 w-7" title={i18n.t("overlaySettings")}>
+                              <Settings2 className="w-4 h-4"/>
+                            </Button>
+                          )}
+                        />
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          className="ml-auto hover:bg-red-50 hover:text-red-600"
+                          onClick={() => removeOverlay(overlay.id)}
+                        >
+                          <Trash2 className="w-4 h-4"/>
+                        </Button>
+                      </div>
+                      {/* Where the overlay sits in the whole edit */}
+                      <div className="relative h-1.5 rounded bg-neutral-100">
+                        <div
+                          className="absolute inset-y-0 rounded bg-sky-400"
+                          style={{ left: `${(overlay.start / span) * 100}%`, width: `${((overlay.end - overlay.start) / span) * 100}%` }}
+                        />
+                        <div className="absolute -inset-y-0.5 w-px bg-red-600" style={{ left: `${(progress / span) * 100}%` }}/>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Subtitles */}
+            <div className="mt-6">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <div className="text-sm font-semibold mr-auto">{i18n.t("subtitles")}</div>
+                <Button size="sm" variant="outline" className="rounded-xl h-7" onClick={addCue}>
+                  <Plus className="w-3 h-3 mr-1"/> {i18n.t("addCue")} ({formatSeconds(progress)})
+                </Button>
+                <Button size="sm" variant="outline" className="rounded-xl h-7" onClick={() => subtitleInputRef.current?.click()}>
+                  <Upload className="w-3 h-3 mr-1"/> {i18n.t("importSubtitles")}
+                </Button>
+                {SUBTITLE_FORMATS.map((format) => (
+                  <Button
+                    key={format}
+                    size="sm"
+                    variant="outline"
+                    className="rounded-xl h-7"
+                    disabled={subtitles.length === 0}
+                    onClick={() => exportSubtitles(format)}
+                  >
+                    <Download className="w-3 h-3 mr-1"/> .{format}
+                  </Button>
+                ))}
+                <input
+                  ref={subtitleInputRef}
+                  type="file"
+                  accept=".srt,.vtt"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = "";
+                    if (file) importSubtitles(file);
+                  }}
+                />
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3 mb-2 text-xs">
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={burnSubtitles} onChange={(e) => setBurnSubtitles(e.target.checked)}/>
+                  {i18n.t("burnSubtitles")}
+                </label>
+                <label className="flex items-center gap-1">
+                  {i18n.t("subtitleSidecar")}
+                  <select
+                    className="h-7 rounded-md border border-input bg-transparent px-1 text-xs shadow-sm"
+                    value={subtitleSidecar}
+                    onChange={(e) => setSubtitleSidecar(e.target.value)}
+                  >
+                    <option value="none">{i18n.t("none")}</option>
+                    {SUBTITLE_FORMATS.map((format) => (
+                      <option key={format} value={format}>.{format}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="space-y-1">
+                {subtitles.length === 0 && (
+                  <div className="text-xs text-neutral-500">{i18n.t("subtitlesEmpty")}</div>
+                )}
+                {subtitles.map((cue) => {
+                  const isActive = progress >= cue.start && progress < cue.end;
+
+                  return (
+                    <div
+                      key={cue.id}
+                      data-cue-id={cue.id}
+                      className={`flex items-center gap-2 p-2 border rounded-xl text-xs ${isActive ? "bg-neutral-100 border-neutral-400" : "bg-white"} ${
+                        selectedCueId === cue.id ? "ring-2 ring-amber-500" : ""
+                      }`}
+                      onClick={() => setSelectedCueId(cue.id)}
+                    >
+                      <button
+                        type="button"
+                        className="w-14 text-left font-mono text-neutral-500 hover:text-neutral-900"
+                        title={i18n.t("jumpToCue")}
+                        onClick={() => seekTo(cue.start)}
+                      >
+                        {formatSeconds(cue.start)}
+                      </button>
                       <Input
-                        className="ml-2 flex-1"
-                        placeholder="Caption…"
-                        value={clip.caption}
-                        onChange={(e) => setTimeline((t) => t.map((c) => (c.id === clip.id ? { ...c, caption: e.target.value } : c)))}
+                        type="number"
+                        min={0}
+                        step={0.1}
+                        className="h-7 w-20"
+                        title={i18n.t("cueStart")}
+                        value={cue.start}
+                        onChange={(e) => updateCue(cue.id, { start: Math.max(0, Number(e.target.value) || 0) })}
+                        onBlur={() => {
+                          const start = Math.max(0, Math.min(cue.start, cue.end - MIN_CUE_LENGTH));
+                          retimeCue(cue.id, { start, end: Math.max(cue.end, start + MIN_CUE_LENGTH) });
+                        }}
                       />
-                      
-                      <Button 
-                        size="icon" 
-                        variant="ghost" 
-                        className="ml-auto hover:bg-red-50 hover:text-red-600" 
-                        onClick={() => removeFromTimeline(clip.id)}
+                      <Input
+                        type="number"
+                        min={0}
+                        step={0.1}
+                        className="h-7 w-20"
+                        title={i18n.t("cueEnd")}
+                        value={cue.end}
+                        onChange={(e) => updateCue(cue.id, { end: Math.max(0, Number(e.target.value) || 0) })}
+                        onBlur={() => updateCue(cue.id, { end: Math.max(cue.end, cue.start + MIN_CUE_LENGTH) })}
+                      />
+                      <Input
+                        className="h-7 flex-1"
+                        placeholder={i18n.t("cueText")}
+                        value={cue.text}
+                        onChange={(e) => updateCue(cue.id, { text: e.target.value })}
+                      />
+                      <CaptionStyleDialog
+                        title={i18n.t("cueStyle")}
+                        style={{ ...captionStyle, ...cue.style }}
+                        fonts={fonts}
+                        onChange={(patch) => updateCue(cue.id, { style: { ...cue.style, ...patch } })}
+                        onReset={() => updateCue(cue.id, { style: undefined })}
+                        trigger={(
+                          <Button
+                            size="icon"
+                            variant={cue.style ? "secondary" : "ghost"}
+                            className="h-7 w-7"
+                            title={i18n.t("cueStyle")}
+                          >
+                            <Paintbrush className="w-4 h-4"/>
+                          </Button>
+                        )}
+                      />
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        className="h-7 w-7 hover:bg-red-50 hover:text-red-600"
+                        onClick={() => removeCue(cue.id)}
                       >
                         <Trash2 className="w-4 h-4"/>
                       </Button>
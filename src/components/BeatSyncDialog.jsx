@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { BEATS_PER_BAR, BEAT_STEPS, TEMPO_OVERRIDE_RANGE, detectBeats } from "@/lib/beats";
+import { useI18n } from "@/i18n";
+import { Drum } from "lucide-react";
+
+const selectClass = "h-8 flex-1 rounded-md border border-input bg-transparent px-2 text-sm shadow-sm";
+
+// Beat detection for a music track and cutting image clips to it. The
+// analysis is kept on the track ({ beats, beatTempo, beatsPerBar }), so its
+// markers show on the timeline ruler.
+export function BeatSyncDialog({ track, lib, onChange, onSnap }) {
+  const { t } = useI18n();
+  const [analysing, setAnalysing] = useState(false);
+  const [step, setStep] = useState("twoBeats");
+  const { beats } = track;
+
+  const detect = async () => {
+    setAnalysing(true);
+    try {
+      onChange({ beats: await detectBeats(lib.file) });
+    } catch (error) {
+      console.error("Beat detection failed:", error);
+    } finally {
+      setAnalysing(false);
+    }
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="icon" variant={beats ? "secondary" : "ghost"} className="h-7 w-7" title={t("beatSync")} disabled={!lib?.file}>
+          <Drum className="w-4 h-4"/>
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("beatSync")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3 text-sm">
+          <div className="flex items-center gap-2">
+            <Button variant="outline" className="rounded-xl" disabled={analysing} onClick={detect}>
+              {t(analysing ? "detectingBeats" : beats ? "detectBeatsAgain" : "detectBeats")}
+            </Button>
+            {beats && (
+              <span className="text-xs text-neutral-500">
+                {t("detectedTempo", { tempo: beats.tempo })} · {t("beatCount", { count: beats.times.length })} · {t("onsetCount", { count: beats.onsets.length })}
+              </span>
+            )}
+          </div>
+
+          {beats && (
+            <>
+              <label className="flex items-center gap-2">
+                <span className="w-36">{t("tempoOverride")}</span>
+                <Input
+                  type="number"
+                  min={TEMPO_OVERRIDE_RANGE[0]}
+                  max={TEMPO_OVERRIDE_RANGE[1]}
+                  step={0.1}
+                  className="h-8 flex-1"
+                  placeholder={String(beats.tempo)}
+                  value={track.beatTempo ?? ""}
+                  onChange={(e) => onChange({ beatTempo: Number(e.target.value) > 0 ? Number(e.target.value) : undefined })}
+                />
+                <span className="text-xs text-neutral-500">BPM</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-36">{t("beatsPerBar")}</span>
+                <select className={selectClass} value={track.beatsPerBar ?? 4} onChange={(e) => onChange({ beatsPerBar: Number(e.target.value) })}>
+                  {BEATS_PER_BAR.map((count) => <option key={count} value={count}>{count}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-36">{t("cutEvery")}</span>
+                <select className={selectClass} value={step} onChange={(e) => setStep(e.target.value)}>
+                  {BEAT_STEPS.map((value) => <option key={value} value={value}>{t("beatSteps")[value]}</option>)}
+                </select>
+              </label>
+              <p className="text-xs text-neutral-500">{t("beatSyncHint")}</p>
+
+              <div className="flex justify-between gap-2">
+                <Button variant="ghost" onClick={() => onChange({ beats: undefined, beatTempo: undefined })}>
+                  {t("clearBeats")}
+                </Button>
+                <Button onClick={() => onSnap(step)}>{t("snapToBeats")}</Button>
+              </div>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,162 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Slider } from "@/components/ui/slider";
+import { BUILTIN_FONTS, TEXT_ALIGNS, TEXT_CASES, TEXT_POSITIONS } from "@/lib/captionStyle";
+import { itemLabel } from "@/lib/library";
+import { useI18n } from "@/i18n";
+
+const selectClass = "h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span>{label}</span>
+      <div className="flex items-center gap-2">{children}</div>
+    </div>
+  );
+}
+
+// Edits a caption/title style. `style` is the effective style; `onChange`
+// receives only the changed fields, and `onReset` (when given) drops an override.
+export function CaptionStyleDialog({ title, style, fonts, onChange, onReset, trigger }) {
+  const { t } = useI18n();
+  const names = t("captionStyleNames");
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <Row label={t("font")}>
+            <select className={selectClass} value={style.font} onChange={(e) => onChange({ font: e.target.value })}>
+              {Object.keys(BUILTIN_FONTS).map((font) => (
+                <option key={font} value={font}>{names.fonts[font]}</option>
+              ))}
+              {fonts.map((item) => (
+                <option key={item.id} value={item.id}>{itemLabel(item) || item.family}</option>
+              ))}
+            </select>
+            <Button
+              size="sm"
+              variant={style.bold ? "default" : "outline"}
+              className="h-8 font-bold"
+              title={t("bold")}
+              onClick={() => onChange({ bold: !style.bold })}
+            >
+              B
+            </Button>
+          </Row>
+
+          <Row label={t("textSize")}>
+            <Slider min={0.02} max={0.12} step={0.002} value={[style.size]} onValueChange={([v]) => onChange({ size: v })}/>
+            <span className="w-10 text-right">{(style.size * 100).toFixed(1)}%</span>
+          </Row>
+
+          <Row label={t("textCase")}>
+            <select className={selectClass} value={style.case} onChange={(e) => onChange({ case: e.target.value })}>
+              {TEXT_CASES.map((mode) => <option key={mode} value={mode}>{names.cases[mode]}</option>)}
+            </select>
+          </Row>
+
+          <Row label={t("textAlign")}>
+            <select className={selectClass} value={style.align} onChange={(e) => onChange({ align: e.target.value })}>
+              {TEXT_ALIGNS.map((align) => <option key={align} value={align}>{names.aligns[align]}</option>)}
+            </select>
+          </Row>
+
+          <Row label={t("textPosition")}>
+            <select className={selectClass} value={style.position} onChange={(e) => onChange({ position: e.target.value })}>
+              {TEXT_POSITIONS.map((position) => <option key={position} value={position}>{names.positions[position]}</option>)}
+            </select>
+          </Row>
+
+          {style.position === "custom" && (
+            <>
+              <Row label="X">
+                <Slider min={0} max={1} step={0.01} value={[style.x]} onValueChange={([v]) => onChange({ x: v })}/>
+                <span className="w-10 text-right">{Math.round(style.x * 100)}%</span>
+              </Row>
+              <Row label="Y">
+                <Slider min={0} max={1} step={0.01} value={[style.y]} onValueChange={([v]) => onChange({ y: v })}/>
+                <span className="w-10 text-right">{Math.round(style.y * 100)}%</span>
+              </Row>
+            </>
+          )}
+
+          <Row label={t("textColor")}>
+            <input
+              type="checkbox"
+              checked={style.color == null}
+              onChange={(e) => onChange({ color: e.target.checked ? null : "#ffffff" })}
+            />
+            <span className="flex-1">{t("themeColor")}</span>
+            {style.color != null && (
+              <input type="color" className="h-8 w-8 cursor-pointer" value={style.color} onChange={(e) => onChange({ color: e.target.value })}/>
+            )}
+          </Row>
+
+          <Row label={t("textBox")}>
+            <input type="checkbox" checked={style.box} onChange={(e) => onChange({ box: e.target.checked })}/>
+            <input
+              type="color"
+              className="h-8 w-8 cursor-pointer"
+              disabled={!style.box}
+              value={style.boxColor}
+              onChange={(e) => onChange({ boxColor: e.target.value })}
+            />
+            <Slider
+              disabled={!style.box}
+              min={0}
+              max={1}
+              step={0.05}
+              value={[style.boxOpacity]}
+              onValueChange={([v]) => onChange({ boxOpacity: v })}
+            />
+            <span className="flex items-center gap-1 whitespace-nowrap">
+              <input
+                type="checkbox"
+                disabled={!style.box}
+                checked={style.boxBorder}
+                onChange={(e) => onChange({ boxBorder: e.target.checked })}
+              />
+              {t("boxBorder")}
+            </span>
+          </Row>
+
+          <Row label={t("textOutline")}>
+            <input type="checkbox" checked={style.outline} onChange={(e) => onChange({ outline: e.target.checked })}/>
+            <input
+              type="color"
+              className="h-8 w-8 cursor-pointer"
+              disabled={!style.outline}
+              value={style.outlineColor}
+              onChange={(e) => onChange({ outlineColor: e.target.value })}
+            />
+            <Slider
+              disabled={!style.outline}
+              min={0.02}
+              max={0.2}
+              step={0.01}
+              value={[style.outlineWidth]}
+              onValueChange={([v]) => onChange({ outlineWidth: v })}
+            />
+          </Row>
+
+          <Row label={t("textShadow")}>
+            <input type="checkbox" checked={style.shadow} onChange={(e) => onChange({ shadow: e.target.checked })}/>
+          </Row>
+        </div>
+
+        {onReset && (
+          <Button variant="outline" className="rounded-xl" onClick={onReset}>
+            {t("resetToDefault")}
+          </Button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
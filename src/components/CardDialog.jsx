@@ -0,0 +1,123 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { CaptionStyleDialog } from "@/components/CaptionStyleDialog";
+import { CARD_BACKGROUNDS, CARD_KINDS, CREDITS_SPEED_RANGE, cardTextStyle } from "@/lib/cards";
+import { useI18n } from "@/i18n";
+import { Type } from "lucide-react";
+
+const selectClass = "h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span>{label}</span>
+      <div className="flex items-center gap-2">{children}</div>
+    </div>
+  );
+}
+
+// Edits a generated card (see cards.js). `card` is the effective card;
+// `onChange` receives only the changed fields.
+export function CardDialog({ card, fonts, onChange, trigger }) {
+  const { t } = useI18n();
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("cardSettings")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <Row label={t("cardKind")}>
+            <select className={selectClass} value={card.kind} onChange={(e) => onChange({ kind: e.target.value })}>
+              {CARD_KINDS.map((kind) => <option key={kind} value={kind}>{t("cardKinds")[kind]}</option>)}
+            </select>
+          </Row>
+
+          {card.kind === "countdown" ? (
+            <Row label={t("countdownFrom")}>
+              <Input
+                type="number"
+                min={1}
+                max={10}
+                step={1}
+                className="h-8 w-20"
+                value={card.from}
+                onChange={(e) => onChange({ from: Math.max(1, Math.min(10, Math.round(Number(e.target.value) || 1))) })}
+              />
+            </Row>
+          ) : (
+            <textarea
+              className="w-full min-h-28 rounded-md border border-input bg-transparent px-2 py-1 text-sm shadow-sm"
+              placeholder={t(card.kind === "credits" ? "creditsPlaceholder" : "cardTextPlaceholder")}
+              value={card.text}
+              onChange={(e) => onChange({ text: e.target.value })}
+            />
+          )}
+
+          {card.kind === "credits" && (
+            <Row label={t("creditsSpeed")}>
+              <Slider
+                min={CREDITS_SPEED_RANGE[0]}
+                max={CREDITS_SPEED_RANGE[1]}
+                step={0.01}
+                value={[card.speed]}
+                onValueChange={([v]) => onChange({ speed: v })}
+              />
+              <span className="w-12 text-right">{card.speed.toFixed(2)}</span>
+            </Row>
+          )}
+
+          {card.kind === "title" && (
+            <Row label={t("typewriter")}>
+              <input type="checkbox" checked={card.typewriter} onChange={(e) => onChange({ typewriter: e.target.checked })}/>
+              {card.typewriter && (
+                <>
+                  <Slider min={2} max={60} step={1} value={[card.typeSpeed]} onValueChange={([v]) => onChange({ typeSpeed: v })}/>
+                  <span className="w-16 text-right">{t("charsPerSecond", { count: card.typeSpeed })}</span>
+                </>
+              )}
+            </Row>
+          )}
+
+          <Row label={t("cardBackground")}>
+            <select className={selectClass} value={card.background} onChange={(e) => onChange({ background: e.target.value })}>
+              {CARD_BACKGROUNDS.map((background) => (
+                <option key={background} value={background}>{t("cardBackgrounds")[background]}</option>
+              ))}
+            </select>
+            {(card.background === "solid" || card.background === "gradient") && (
+              <input type="color" className="h-8 w-8 cursor-pointer" value={card.color} onChange={(e) => onChange({ color: e.target.value })}/>
+            )}
+            {card.background === "gradient" && (
+              <input type="color" className="h-8 w-8 cursor-pointer" value={card.color2} onChange={(e) => onChange({ color2: e.target.value })}/>
+            )}
+          </Row>
+          {card.background === "gradient" && (
+            <Row label={t("gradientAngle")}>
+              <Slider min={0} max={360} step={5} value={[card.angle]} onValueChange={([v]) => onChange({ angle: v })}/>
+              <span className="w-12 text-right">{card.angle}°</span>
+            </Row>
+          )}
+
+          <CaptionStyleDialog
+            title={t("cardTextStyle")}
+            style={cardTextStyle(card)}
+            fonts={fonts}
+            onChange={(patch) => onChange({ style: { ...card.style, ...patch } })}
+            onReset={card.style ? () => onChange({ style: undefined }) : undefined}
+            trigger={(
+              <Button variant="outline" size="sm" className="rounded-xl">
+                <Type className="w-4 h-4 mr-1"/> {t("cardTextStyle")}
+              </Button>
+            )}
+          />
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,171 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { CHROME_BACKGROUNDS, FRAME_STYLES, WINDOW_SCALE_RANGE, ZOOM_RANGE, cursorAt, sortKeyframes } from "@/lib/chrome";
+import { itemLabel } from "@/lib/library";
+import { useI18n } from "@/i18n";
+import { Plus, Trash2 } from "lucide-react";
+
+const selectClass = "h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span>{label}</span>
+      <div className="flex items-center gap-2">{children}</div>
+    </div>
+  );
+}
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+// Edits a clip's desktop chrome (see chrome.js). `chrome` is the effective
+// spec, or null while the clip has none; `onToggle` turns it on or off and
+// `onChange` receives only the changed fields. `images` are the library
+// images usable as wallpaper; `playheadTime` is the playhead in seconds into
+// the clip, or null when it is elsewhere.
+export function ChromeDialog({ chrome, images, duration, playheadTime, onToggle, onChange, trigger }) {
+  const { t } = useI18n();
+  const keyframes = chrome ? sortKeyframes(chrome.cursor) : [];
+
+  const setKeyframe = (index, patch) => {
+    onChange({ cursor: sortKeyframes(keyframes.map((p, i) => (i === index ? { ...p, ...patch } : p))) });
+  };
+
+  const addKeyframe = () => {
+    const here = cursorAt(keyframes, playheadTime) || { x: 0.5, y: 0.5, zoom: 1 };
+    onChange({ cursor: sortKeyframes([...keyframes, { time: playheadTime, ...here, click: false }]) });
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("chromeSettings")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={!!chrome} onChange={(e) => onToggle(e.target.checked)}/>
+            {t("chromeEnabled")}
+          </label>
+
+          {chrome && (
+            <>
+              <Row label={t("windowFrame")}>
+                <select className={selectClass} value={chrome.frame} onChange={(e) => onChange({ frame: e.target.value })}>
+                  {FRAME_STYLES.map((frame) => <option key={frame} value={frame}>{t("windowFrames")[frame]}</option>)}
+                </select>
+              </Row>
+              {chrome.frame !== "none" && (
+                <>
+                  <Row label={t("windowTitle")}>
+                    <Input className="h-8" value={chrome.title} onChange={(e) => onChange({ title: e.target.value })}/>
+                  </Row>
+                  <Row label={t("windowSize")}>
+                    <Slider
+                      min={WINDOW_SCALE_RANGE[0]}
+                      max={WINDOW_SCALE_RANGE[1]}
+                      step={0.01}
+                      value={[chrome.scale]}
+                      onValueChange={([v]) => onChange({ scale: v })}
+                    />
+                    <span className="w-10 text-right">{percent(chrome.scale)}</span>
+                  </Row>
+                  <Row label={t("dropShadow")}>
+                    <input type="checkbox" checked={chrome.shadow} onChange={(e) => onChange({ shadow: e.target.checked })}/>
+                  </Row>
+                </>
+              )}
+
+              <Row label={t("wallpaper")}>
+                <select className={selectClass} value={chrome.background} onChange={(e) => onChange({ background: e.target.value })}>
+                  {CHROME_BACKGROUNDS.map((background) => (
+                    <option key={background} value={background}>{t("chromeBackgrounds")[background]}</option>
+                  ))}
+                </select>
+                {(chrome.background === "solid" || chrome.background === "gradient") && (
+                  <input type="color" className="h-8 w-8 cursor-pointer" value={chrome.color} onChange={(e) => onChange({ color: e.target.value })}/>
+                )}
+                {chrome.background === "gradient" && (
+                  <input type="color" className="h-8 w-8 cursor-pointer" value={chrome.color2} onChange={(e) => onChange({ color2: e.target.value })}/>
+                )}
+              </Row>
+              {chrome.background === "gradient" && (
+                <Row label={t("gradientAngle")}>
+                  <Slider min={0} max={360} step={5} value={[chrome.angle]} onValueChange={([v]) => onChange({ angle: v })}/>
+                  <span className="w-12 text-right">{chrome.angle}°</span>
+                </Row>
+              )}
+              {chrome.background === "image" && (
+                <Row label={t("wallpaperImage")}>
+                  <select
+                    className={selectClass}
+                    value={chrome.wallpaper ?? ""}
+                    onChange={(e) => onChange({ wallpaper: e.target.value || null })}
+                  >
+                    <option value="">{t("noWallpaper")}</option>
+                    {images.map((item) => <option key={item.id} value={item.id}>{itemLabel(item)}</option>)}
+                  </select>
+                </Row>
+              )}
+
+              <div className="pt-2 border-t space-y-2">
+                <div className="flex items-center gap-2 text-xs font-semibold">
+                  <span className="flex-1">{t("cursorPath")}</span>
+                  <Button size="sm" variant="outline" className="h-7" disabled={playheadTime == null} onClick={addKeyframe}>
+                    <Plus className="w-3 h-3 mr-1"/> {t("addKeyframeAtPlayhead")}
+                  </Button>
+                </div>
+                {keyframes.length === 0 && <div className="text-xs text-neutral-500">{t("cursorPathEmpty")}</div>}
+                {keyframes.map((point, index) => (
+                  <div key={index} className="flex items-center gap-2 text-xs">
+                    <Input
+                      type="number"
+                      min={0}
+                      max={duration}
+                      step={0.1}
+                      className="h-7 w-20"
+                      title={t("keyframeTime")}
+                      value={point.time}
+                      onChange={(e) => setKeyframe(index, { time: Math.max(0, Math.min(duration, Number(e.target.value) || 0)) })}
+                    />
+                    <span className="w-20 text-neutral-500">{percent(point.x)}, {percent(point.y)}</span>
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={!!point.click} onChange={(e) => setKeyframe(index, { click: e.target.checked })}/>
+                      {t("cursorClick")}
+                    </label>
+                    <Slider
+                      className="flex-1"
+                      min={ZOOM_RANGE[0]}
+                      max={ZOOM_RANGE[1]}
+                      step={0.1}
+                      title={t("cursorZoom")}
+                      value={[point.zoom || 1]}
+                      onValueChange={([v]) => setKeyframe(index, { zoom: v })}
+                    />
+                    <span className="w-8 text-right">{(point.zoom || 1).toFixed(1)}×</span>
+                    <Button
+                      size="icon"
+                      variant="ghost"
+                      className="h-7 w-7"
+                      onClick={() => onChange({ cursor: keyframes.filter((_, i) => i !== index) })}
+                    >
+                      <Trash2 className="w-3 h-3"/>
+                    </Button>
+                  </div>
+                ))}
+                <Row label={t("cursorSize")}>
+                  <Slider min={0.5} max={3} step={0.1} value={[chrome.cursorSize]} onValueChange={([v]) => onChange({ cursorSize: v })}/>
+                  <span className="w-10 text-right">{chrome.cursorSize.toFixed(1)}×</span>
+                </Row>
+              </div>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { IMPORT_ORDERS, isImportable } from "@/lib/mediaImport";
+import { useI18n } from "@/i18n";
+import { FolderInput } from "lucide-react";
+
+// Options for importing a folder: the order its files go into the library
+// and, optionally, onto the end of the timeline. Open while `files`
+// ([{ file, path }]) is set; the choices stay for the next folder.
+export function FolderImportDialog({ files, onImport, onCancel }) {
+  const { t } = useI18n();
+  const [order, setOrder] = useState("name");
+  const [addAll, setAddAll] = useState(true);
+  const [imageDuration, setImageDuration] = useState(4);
+
+  const importable = files ? files.filter(({ file }) => isImportable(file)) : [];
+  const skipped = files ? files.length - importable.length : 0;
+
+  return (
+    <Dialog open={!!files} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("importFolder")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3 text-sm">
+          <div>
+            {t("folderImportFiles", { count: importable.length })}
+            {skipped > 0 && <span className="text-neutral-500"> · {t("folderImportSkipped", { count: skipped })}</span>}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <span className="w-32">{t("importOrder")}</span>
+            <select
+              className="h-8 flex-1 rounded-md border border-input bg-transparent px-2 text-sm shadow-sm"
+              value={order}
+              onChange={(e) => setOrder(e.target.value)}
+            >
+              {IMPORT_ORDERS.map((value) => (
+                <option key={value} value={value}>{t("importOrders")[value]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={addAll} onChange={(e) => setAddAll(e.target.checked)}/>
+            {t("addAllToTimeline")}
+          </label>
+          {addAll && (
+            <label className="flex items-center gap-2">
+              <span className="w-32">{t("imageDuration")}</span>
+              <Input
+                type="number"
+                min={0.05}
+                step={0.05}
+                className="h-8 w-24"
+                value={imageDuration}
+                onChange={(e) => setImageDuration(e.target.value)}
+              />
+              <span className="text-neutral-500">s</span>
+            </label>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={onCancel}>{t("cancel")}</Button>
+          <Button
+            disabled={!importable.length}
+            onClick={() => onImport(importable, {
+              order,
+              addToTimeline: addAll,
+              imageDuration: Math.max(0.05, Number(imageDuration) || 4),
+            })}
+          >
+            <FolderInput className="w-4 h-4 mr-1"/> {t("importAction")}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,73 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Slider } from "@/components/ui/slider";
+import { GRADE_ADJUSTMENTS, GRADE_MODES } from "@/lib/grade";
+import { useI18n } from "@/i18n";
+
+const selectClass = "h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span>{label}</span>
+      <div className="flex items-center gap-2">{children}</div>
+    </div>
+  );
+}
+
+// Edits a colour grade. `grade` is the effective grade; `onChange` receives
+// only the changed fields, and `onReset` (when given) drops an override.
+// `luts` are the "lut" library items to choose from.
+export function GradeDialog({ title, grade, luts, onChange, onReset, trigger }) {
+  const { t } = useI18n();
+  const names = t("gradeNames");
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {Object.entries(GRADE_ADJUSTMENTS).map(([key, { min, max }]) => (
+            <Row key={key} label={names.adjustments[key]}>
+              <Slider min={min} max={max} step={0.05} value={[grade[key]]} onValueChange={([v]) => onChange({ [key]: v })}/>
+              <span className="w-10 text-right">{grade[key] > 0 ? "+" : ""}{grade[key].toFixed(2)}</span>
+            </Row>
+          ))}
+
+          <Row label={names.mode}>
+            <select className={selectClass} value={grade.mode} onChange={(e) => onChange({ mode: e.target.value })}>
+              {GRADE_MODES.map((mode) => <option key={mode} value={mode}>{names.modes[mode]}</option>)}
+            </select>
+          </Row>
+
+          <Row label="LUT">
+            <select className={selectClass} value={grade.lut ?? ""} onChange={(e) => onChange({ lut: e.target.value || null })}>
+              <option value="">{t("none")}</option>
+              {luts.map((item) => (
+                <option key={item.id} value={item.id}>{item.label || item.lut.title || item.file?.name}</option>
+              ))}
+            </select>
+          </Row>
+
+          {grade.lut && (
+            <Row label={names.lutAmount}>
+              <Slider min={0} max={1} step={0.05} value={[grade.lutAmount]} onValueChange={([v]) => onChange({ lutAmount: v })}/>
+              <span className="w-10 text-right">{Math.round(grade.lutAmount * 100)}%</span>
+            </Row>
+          )}
+          {luts.length === 0 && <div className="text-xs text-neutral-500">{t("lutHint")}</div>}
+        </div>
+
+        {onReset && (
+          <Button variant="outline" className="rounded-xl" onClick={onReset}>
+            {t("resetToDefault")}
+          </Button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
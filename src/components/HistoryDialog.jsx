@@ -0,0 +1,50 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { History } from "lucide-react";
+import { useI18n } from "@/i18n";
+
+// Lists the undo history, newest first; clicking a step jumps to that state.
+// Steps after the current one are redo steps and shown faded.
+export function HistoryDialog({ history, onJump }) {
+  const { t, lang } = useI18n();
+  const labels = t("historyLabels");
+
+  const describe = (entry, i) => {
+    if (i === 0) return labels.initial;
+    const names = entry.changed.map((key) => labels[key] || key);
+    return names.length > 2 ? `${names.slice(0, 2).join(", ")} +${names.length - 2}` : names.join(", ");
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline" className="rounded-xl" title={t("history")}>
+          <History className="w-4 h-4"/>
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("history")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-1 max-h-80 overflow-y-auto">
+          {history.entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+            <button
+              key={entry.time + ":" + i}
+              type="button"
+              className={`w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded-lg border text-left text-xs ${
+                i === history.index ? "bg-neutral-900 text-white border-neutral-900" : "hover:bg-neutral-100"
+              } ${i > history.index ? "opacity-50" : ""}`}
+              onClick={() => onJump(i)}
+            >
+              <span className="truncate">{describe(entry, i)}</span>
+              <span className={i === history.index ? "text-neutral-300" : "text-neutral-500"}>
+                {new Date(entry.time).toLocaleTimeString(lang)}
+              </span>
+            </button>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
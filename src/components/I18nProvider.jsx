@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { FALLBACK_LANG, I18nContext, LANGUAGES, createTranslator, detectLanguage, dict, loadLocale, storeLanguage } from "@/i18n";
+
+// Holds the UI language; changing it re-renders every component using useI18n().
+// A lazily loaded locale shows English until its file has arrived.
+export function I18nProvider({ children }) {
+  const [lang, setLangState] = useState(detectLanguage);
+  const [loaded, setLoaded] = useState(() => Boolean(dict[lang]));
+
+  useEffect(() => {
+    if (dict[lang]) return;
+    let cancelled = false;
+    loadLocale(lang)
+      .then(() => !cancelled && setLoaded(true))
+      .catch((error) => console.error("Locale load failed:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [lang]);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const setLang = useCallback(async (next) => {
+    try {
+      await loadLocale(next);
+    } catch (error) {
+      console.error("Locale load failed:", error);
+      return;
+    }
+    storeLanguage(next);
+    setLoaded(true);
+    setLangState(next);
+  }, []);
+
+  const value = useMemo(
+    () => ({ lang, languages: LANGUAGES, setLang, t: createTranslator(loaded ? lang : FALLBACK_LANG) }),
+    [lang, loaded, setLang]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
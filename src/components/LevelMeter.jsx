@@ -0,0 +1,41 @@
+import { useEffect, useRef } from "react";
+
+const FLOOR_DB = -60;
+
+// Master output meter fed by the mixer's AnalyserNode.
+// Updates the DOM directly from requestAnimationFrame to stay out of React renders.
+export function LevelMeter({ analyser, className = "" }) {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    const bar = barRef.current;
+    if (!analyser || !bar) return;
+
+    const data = new Float32Array(analyser.fftSize);
+    let raf = 0;
+
+    const draw = () => {
+      analyser.getFloatTimeDomainData(data);
+      let peak = 0;
+      for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+
+      const db = 20 * Math.log10(peak || 1e-6);
+      const level = Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB));
+      bar.style.width = `${level * 100}%`;
+      bar.style.backgroundColor = peak >= 0.99 ? "#dc2626" : level > 0.8 ? "#f59e0b" : "#16a34a";
+      raf = requestAnimationFrame(draw);
+    };
+
+    raf = requestAnimationFrame(draw);
+    return () => {
+      cancelAnimationFrame(raf);
+      bar.style.width = "0%";
+    };
+  }, [analyser]);
+
+  return (
+    <div className={`h-2 rounded-full bg-neutral-200 overflow-hidden ${className}`}>
+      <div ref={barRef} className="h-full w-0" />
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { formatBytes, itemLabel, sniffCodecs } from "@/lib/library";
+import { useI18n } from "@/i18n";
+import { Trash2 } from "lucide-react";
+
+const selectClass = "h-8 w-full rounded-md border border-input bg-transparent px-2 text-xs shadow-sm";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span className="text-neutral-500">{label}</span>
+      <div className="min-w-0 break-words">{children}</div>
+    </div>
+  );
+}
+
+// Details of a library item, where it can be renamed, put in a bin or
+// deleted. `usage` counts the places that use it; deleting a used item asks
+// again first, since its clips and tracks go with it.
+export function LibraryItemDialog({ item, bins, usage, onChange, onDelete, trigger }) {
+  const { t, lang } = useI18n();
+  const [codecs, setCodecs] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+
+  const onOpenChange = (open) => {
+    if (!open) return;
+    setConfirming(false);
+    setCodecs(null);
+    if (item.file && (item.type === "video" || item.type === "audio")) sniffCodecs(item.file).then(setCodecs);
+  };
+
+  const deleteItem = () => {
+    if (usage > 0 && !confirming) setConfirming(true);
+    else onDelete();
+  };
+
+  return (
+    <Dialog onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="truncate">{itemLabel(item) || t("mediaTypes")[item.type]}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Row label={t("itemName")}>
+            <Input
+              className="h-8 text-xs"
+              value={item.label ?? ""}
+              placeholder={item.file?.name}
+              onChange={(e) => onChange({ label: e.target.value || undefined })}
+            />
+          </Row>
+          <Row label={t("bin")}>
+            <select className={selectClass} value={item.binId ?? ""} onChange={(e) => onChange({ binId: e.target.value || undefined })}>
+              <option value="">{t("unsorted")}</option>
+              {bins.map((bin) => <option key={bin.id} value={bin.id}>{bin.name}</option>)}
+            </select>
+          </Row>
+
+          <Row label={t("itemType")}>{t("mediaTypes")[item.type]}</Row>
+          {item.width > 0 && <Row label={t("resolution")}>{item.width} × {item.height}</Row>}
+          {item.duration > 0 && <Row label={t("duration")}>{item.duration.toFixed(2)}s</Row>}
+          {item.file && <Row label={t("fileSize")}>{formatBytes(item.file.size)}</Row>}
+          {item.file?.type && <Row label={t("fileFormat")}>{item.file.type}</Row>}
+          {codecs && <Row label={t("codecs")}>{codecs.length ? codecs.join(", ") : t("unknown")}</Row>}
+          {item.addedAt && <Row label={t("addedAt")}>{new Date(item.addedAt).toLocaleString(lang)}</Row>}
+          <Row label={t("usage")}>{usage > 0 ? t("usedIn", { count: usage }) : t("notUsed")}</Row>
+        </div>
+
+        {confirming && (
+          <div className="p-2 rounded-xl border border-red-200 bg-red-50 text-xs text-red-700">
+            {t("deleteInUseWarning", { count: usage })}
+          </div>
+        )}
+        <Button variant="outline" className="rounded-xl hover:bg-red-50 hover:text-red-600" onClick={deleteItem}>
+          <Trash2 className="w-4 h-4 mr-1"/> {t(confirming ? "deleteAnyway" : "delete")}
+        </Button>
+      </DialogContent>
+    </Dialog>
+  );
+}
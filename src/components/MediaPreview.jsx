@@ -0,0 +1,41 @@
+import { useState } from "react";
+import { peaksBetween } from "@/lib/mediaPreview";
+
+// A video's first filmstrip frame; moving the pointer across it scrubs
+// through the strip
+export function FilmstripThumbnail({ filmstrip, alt, className = "" }) {
+  const [index, setIndex] = useState(null);
+  const count = filmstrip.frames.length;
+
+  const handlePointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / (rect.width || 1);
+    setIndex(Math.max(0, Math.min(count - 1, Math.floor(x * count))));
+  };
+
+  return (
+    <div className={`relative ${className}`} onPointerMove={handlePointerMove} onPointerLeave={() => setIndex(null)}>
+      <img src={filmstrip.frames[index ?? 0]} alt={alt} className="w-full h-full object-cover" draggable={false}/>
+      {index !== null && (
+        <div className="absolute bottom-0 left-0 h-0.5 bg-red-600" style={{ width: `${((index + 1) / count) * 100}%` }}/>
+      )}
+    </div>
+  );
+}
+
+// Peak levels between `from` and `to` seconds, mirrored around the middle
+// and stretched to fill the element. Colour comes from `currentColor`.
+export function Waveform({ waveform, from, to, className = "" }) {
+  const peaks = peaksBetween(waveform, from, to);
+  if (!peaks.length) return null;
+
+  const top = Array.from(peaks, (p, i) => `${i} ${(0.5 - p / 2).toFixed(3)}`);
+  const bottom = Array.from(peaks, (p, i) => `${i} ${(0.5 + p / 2).toFixed(3)}`).reverse();
+  const path = `M${top.join("L")}L${bottom.join("L")}Z`;
+
+  return (
+    <svg className={className} viewBox={`0 0 ${Math.max(1, peaks.length - 1)} 1`} preserveAspectRatio="none" aria-hidden="true">
+      <path d={path} fill="currentColor"/>
+    </svg>
+  );
+}
@@ -0,0 +1,119 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { OVERLAY_PRESETS, OVERLAY_SCALE_RANGE } from "@/lib/overlays";
+import { useI18n } from "@/i18n";
+
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] items-center gap-2 text-xs">
+      <span>{label}</span>
+      <div className="flex items-center gap-2">{children}</div>
+    </div>
+  );
+}
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+// Edits the box and look of an overlay (see overlays.js); the box can also be
+// dragged on the stage. `onChange` receives only the changed fields.
+export function OverlayDialog({ overlay, lib, onChange, trigger }) {
+  const { t } = useI18n();
+  const presetNames = t("overlayPresets");
+  const isVideo = lib?.type === "video";
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("overlaySettings")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <Row label={t("overlayPreset")}>
+            <div className="flex flex-wrap gap-1">
+              {Object.keys(OVERLAY_PRESETS).map((preset) => (
+                <Button key={preset} size="sm" variant="outline" className="h-7" onClick={() => onChange(OVERLAY_PRESETS[preset])}>
+                  {presetNames[preset]}
+                </Button>
+              ))}
+            </div>
+          </Row>
+
+          <Row label="X">
+            <Slider min={0} max={1} step={0.005} value={[overlay.x]} onValueChange={([v]) => onChange({ x: v })}/>
+            <span className="w-10 text-right">{percent(overlay.x)}</span>
+          </Row>
+          <Row label="Y">
+            <Slider min={0} max={1} step={0.005} value={[overlay.y]} onValueChange={([v]) => onChange({ y: v })}/>
+            <span className="w-10 text-right">{percent(overlay.y)}</span>
+          </Row>
+          <Row label={t("overlayScale")}>
+            <Slider min={OVERLAY_SCALE_RANGE[0]} max={OVERLAY_SCALE_RANGE[1]} step={0.005} value={[overlay.scale]} onValueChange={([v]) => onChange({ scale: v })}/>
+            <span className="w-10 text-right">{percent(overlay.scale)}</span>
+          </Row>
+          <Row label={t("opacity")}>
+            <Slider min={0} max={1} step={0.01} value={[overlay.opacity]} onValueChange={([v]) => onChange({ opacity: v })}/>
+            <span className="w-10 text-right">{percent(overlay.opacity)}</span>
+          </Row>
+          <Row label={t("cornerRadius")}>
+            <Slider min={0} max={1} step={0.01} value={[overlay.radius]} onValueChange={([v]) => onChange({ radius: v })}/>
+            <span className="w-10 text-right">{percent(overlay.radius)}</span>
+          </Row>
+          <Row label={t("overlayBorder")}>
+            <Slider min={0} max={24} step={1} value={[overlay.border]} onValueChange={([v]) => onChange({ border: v })}/>
+            <span className="w-10 text-right">{overlay.border}px</span>
+            <input
+              type="color"
+              className="h-8 w-8 cursor-pointer"
+              value={overlay.borderColor}
+              onChange={(e) => onChange({ borderColor: e.target.value })}
+            />
+          </Row>
+          <Row label={t("overlayLayer")}>
+            <Input
+              type="number"
+              min={1}
+              step={1}
+              className="h-8 w-20"
+              value={overlay.layer + 1}
+              onChange={(e) => onChange({ layer: Math.max(0, Math.round(Number(e.target.value) || 1) - 1) })}
+            />
+            <span className="text-neutral-500">{t("overlayLayerHint")}</span>
+          </Row>
+
+          {isVideo && (
+            <>
+              <Row label={t("overlayTrimIn")}>
+                <Input
+                  type="number"
+                  min={0}
+                  max={lib.duration}
+                  step={0.1}
+                  className="h-8 w-24"
+                  value={overlay.trimIn}
+                  onChange={(e) => onChange({ trimIn: Math.max(0, Math.min(lib.duration || 0, Number(e.target.value) || 0)) })}
+                />
+                <span className="text-neutral-500">s</span>
+              </Row>
+              <Row label={t("overlayAudio")}>
+                <input type="checkbox" checked={overlay.audio !== false} onChange={(e) => onChange({ audio: e.target.checked })}/>
+                <Slider
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  disabled={overlay.audio === false}
+                  value={[overlay.volume ?? 1]}
+                  onValueChange={([v]) => onChange({ volume: v })}
+                />
+                <span className="w-10 text-right">{percent(overlay.volume ?? 1)}</span>
+              </Row>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
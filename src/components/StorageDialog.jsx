@@ -0,0 +1,77 @@
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { HardDrive, RotateCcw, Trash2 } from "lucide-react";
+import { formatBytes } from "@/lib/library";
+import { useI18n } from "@/i18n";
+
+// Lists autosaved sessions with their size; lets the user restore or delete
+// them and shows how much of the browser's storage quota is in use.
+export function StorageDialog({ sessions, estimate, currentSessionId, onOpen, onRestore, onDelete, onClearOld }) {
+  const { t, lang } = useI18n();
+  const usedPercent = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+  const oldSessions = sessions.filter((s) => s.id !== currentSessionId);
+
+  return (
+    <Dialog onOpenChange={(open) => open && onOpen()}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline" className="rounded-xl" title={t("storage")}>
+          <HardDrive className="w-4 h-4"/>
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("storage")}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-1 text-xs">
+          <div className="flex justify-between">
+            <span>{t("storageUsed")}</span>
+            <span>
+              {estimate ? `${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}` : "–"}
+            </span>
+          </div>
+          <div className="h-2 rounded-full bg-neutral-200 overflow-hidden">
+            <div className="h-full bg-neutral-900" style={{ width: `${usedPercent}%` }} />
+          </div>
+        </div>
+
+        <div className="space-y-2 max-h-72 overflow-y-auto">
+          {sessions.length === 0 && <div className="text-xs text-neutral-500">{t("noSessions")}</div>}
+          {sessions.map((session) => (
+            <div key={session.id} className="flex items-center gap-2 p-2 border rounded-xl text-xs">
+              <div className="flex-1 min-w-0">
+                <div className="font-semibold truncate">
+                  {session.title || t("untitledSession")}
+                  {session.id === currentSessionId && (
+                    <span className="ml-2 font-normal text-neutral-500">({t("currentSession")})</span>
+                  )}
+                </div>
+                <div className="text-neutral-500">
+                  {new Date(session.updatedAt).toLocaleString(lang)} · {t("clipCount", { count: session.clipCount })} · {formatBytes(session.size)}
+                </div>
+              </div>
+              {session.id !== currentSessionId && (
+                <Button size="icon" variant="ghost" title={t("restore")} onClick={() => onRestore(session.id)}>
+                  <RotateCcw className="w-4 h-4"/>
+                </Button>
+              )}
+              <Button
+                size="icon"
+                variant="ghost"
+                className="hover:bg-red-50 hover:text-red-600"
+                title={t("delete")}
+                onClick={() => onDelete(session.id)}
+              >
+                <Trash2 className="w-4 h-4"/>
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        <Button variant="outline" className="rounded-xl" disabled={oldSessions.length === 0} onClick={onClearOld}>
+          <Trash2 className="w-4 h-4 mr-1"/> {t("clearOldSessions")}
+        </Button>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,137 @@
+import { useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { BUILTIN_THEMES, DEFAULT_THEME, THEME_EXTENSION, createTheme, parseTheme, resolveTheme } from "@/lib/themes";
+import { useI18n } from "@/i18n";
+import { Download, Palette, Plus, Trash2, Upload } from "lucide-react";
+
+function Swatch({ theme, label, selected, onClick }) {
+  return (
+    <button
+      type="button"
+      className={`flex items-center gap-2 px-2 py-1.5 rounded-lg border text-xs text-left ${selected ? "border-neutral-900 bg-neutral-100" : "hover:bg-neutral-50"}`}
+      onClick={onClick}
+    >
+      <span className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: theme.primary, boxShadow: `0 0 6px ${theme.shadow}` }}/>
+      <span className="truncate">{label}</span>
+    </button>
+  );
+}
+
+// Picks the colour theme and edits custom ones. `customThemes` is the list
+// of user themes; `onChange` receives the whole new list.
+export function ThemeEditor({ customThemes, selected, onSelect, onChange, onExport }) {
+  const { t } = useI18n();
+  const importRef = useRef(null);
+  const current = resolveTheme(selected, customThemes);
+  const editing = customThemes.find((theme) => theme.id === selected);
+
+  const addTheme = () => {
+    const theme = createTheme(t("newThemeName", { count: customThemes.length + 1 }), current);
+    onChange([...customThemes, theme]);
+    onSelect(theme.id);
+  };
+
+  const updateTheme = (patch) => {
+    onChange(customThemes.map((theme) => (theme.id === editing.id ? { ...theme, ...patch } : theme)));
+  };
+
+  const deleteTheme = () => {
+    onChange(customThemes.filter((theme) => theme.id !== editing.id));
+    onSelect(DEFAULT_THEME);
+  };
+
+  const importTheme = async (file) => {
+    try {
+      const theme = parseTheme(await file.text());
+      onChange([...customThemes, theme]);
+      onSelect(theme.id);
+    } catch (error) {
+      console.error("Theme import failed:", error);
+    }
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline" className="h-7 rounded-xl" title={t("themeEditor")}>
+          <Palette className="w-4 h-4"/>
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("themeEditor")}</DialogTitle>
+        </DialogHeader>
+
+        <div
+          className="rounded-xl bg-black p-4 font-mono font-bold text-lg"
+          style={{ color: current.primary, textShadow: `0 0 8px ${current.shadow}` }}
+        >
+          {t("themePreview")}
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-xs font-semibold">{t("builtInThemes")}</div>
+          <div className="grid grid-cols-3 gap-1">
+            {Object.entries(BUILTIN_THEMES).map(([key, theme]) => (
+              <Swatch key={key} theme={theme} label={t("colorNames")[key]} selected={selected === key} onClick={() => onSelect(key)}/>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-xs font-semibold">{t("customThemes")}</div>
+          {customThemes.length === 0 && <div className="text-xs text-neutral-500">{t("customThemesEmpty")}</div>}
+          <div className="grid grid-cols-3 gap-1">
+            {customThemes.map((theme) => (
+              <Swatch key={theme.id} theme={theme} label={theme.name} selected={selected === theme.id} onClick={() => onSelect(theme.id)}/>
+            ))}
+          </div>
+        </div>
+
+        {editing && (
+          <div className="space-y-2 p-3 border rounded-xl text-xs">
+            <Input className="h-8" value={editing.name} placeholder={t("themeName")} onChange={(e) => updateTheme({ name: e.target.value })}/>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-1">
+                <input type="color" className="h-8 w-8 cursor-pointer" value={editing.primary} onChange={(e) => updateTheme({ primary: e.target.value })}/>
+                {t("themePrimary")}
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="color" className="h-8 w-8 cursor-pointer" value={editing.shadow} onChange={(e) => updateTheme({ shadow: e.target.value })}/>
+                {t("themeGlow")}
+              </label>
+              <Button size="sm" variant="outline" className="ml-auto rounded-xl" onClick={() => onExport(editing)}>
+                <Download className="w-4 h-4 mr-1"/> {t("exportTheme")}
+              </Button>
+              <Button size="icon" variant="ghost" className="hover:bg-red-50 hover:text-red-600" title={t("delete")} onClick={deleteTheme}>
+                <Trash2 className="w-4 h-4"/>
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <Button variant="outline" className="rounded-xl" onClick={addTheme}>
+            <Plus className="w-4 h-4 mr-1"/> {t("newTheme")}
+          </Button>
+          <Button variant="outline" className="rounded-xl" onClick={() => importRef.current?.click()}>
+            <Upload className="w-4 h-4 mr-1"/> {t("importTheme")}
+          </Button>
+          <input
+            ref={importRef}
+            type="file"
+            accept={`${THEME_EXTENSION},.json`}
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) importTheme(file);
+            }}
+          />
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
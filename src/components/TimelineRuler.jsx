@@ -0,0 +1,334 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+import { nearestMarker } from "@/lib/beats";
+import { cardLabel } from "@/lib/cards";
+import { itemLabel } from "@/lib/library";
+import { MIN_CUE_LENGTH } from "@/lib/subtitles";
+import { filmstripFramesBetween } from "@/lib/mediaPreview";
+import { Waveform } from "@/components/MediaPreview";
+import { Maximize2, ZoomIn, ZoomOut } from "lucide-react";
+import { useI18n } from "@/i18n";
+
+const MIN_PX_PER_SECOND = 4;
+const MAX_PX_PER_SECOND = 400;
+// Tick spacings to choose from, so labels stay at least MIN_TICK_PX apart
+const TICK_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+const MIN_TICK_PX = 64;
+// A dragged clip end snaps to a beat or onset this close on screen
+const SNAP_PX = 8;
+// Beats closer together on screen than this are shown as bar lines only
+const MIN_BEAT_PX = 4;
+// Onsets are shown from this zoom level
+const MIN_ONSET_SCALE = 40;
+// Shortest image clip (as the duration slider)
+const MIN_CLIP_DURATION = 0.05;
+
+function formatTime(s, step) {
+  const mm = String(Math.floor(s / 60)).padStart(2, "0");
+  const ss = String(Math.floor(s % 60)).padStart(2, "0");
+  return step < 1 ? `${mm}:${ss}.${Math.round((s % 1) * 10) % 10}` : `${mm}:${ss}`;
+}
+
+// Horizontal view of the timeline: clip blocks sized by duration with their
+// transition overlaps, subtitle cues, and a playhead that seeks on click/drag.
+// Video clips show the frames and waveform of their trimmed part (`previews`
+// by library id, see mediaPreview.js). Beat markers ({ time, bar }) and
+// onsets of the music line up with clips; dragging the end of an image or
+// card clip changes its length and snaps to them. Overlays ({ overlay, lib }) get a
+// lane per layer under the clips. Cues can be dragged along their lane and by
+// their ends, snapping the same way; `onChangeCue` receives { start, end }.
+export function TimelineRuler({
+  layout, duration, progress, cues = [], beats = [], onsets = [], overlays = [], disabled, selectedClipId,
+  selectedOverlayId, selectedCueId, previews = {}, onSeek, onSelectClip, onResizeClip, onSelectOverlay,
+  onSelectCue, onChangeCue,
+}) {
+  const { t } = useI18n();
+  const scrollRef = useRef(null);
+  const contentRef = useRef(null);
+  const scrubbingRef = useRef(false);
+  // Image clip whose end is being dragged: { clipId, start }
+  const resizingRef = useRef(null);
+  // Cue being dragged: { cueId, edge ("start", "end" or null to move it),
+  // time (where the drag began), start, end }
+  const cueDragRef = useRef(null);
+  const [viewWidth, setViewWidth] = useState(0);
+  // null fits the whole project into view
+  const [pxPerSecond, setPxPerSecond] = useState(null);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => setViewWidth(el.clientWidth));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const fitScale = duration > 0 && viewWidth > 0 ? viewWidth / duration : 50;
+  const scale = pxPerSecond ?? fitScale;
+  const contentWidth = Math.max(viewWidth, duration * scale);
+  const tickStep = TICK_STEPS.find((step) => step * scale >= MIN_TICK_PX) ?? TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  for (let i = 0; i * tickStep <= duration + 1e-6; i++) ticks.push(i * tickStep);
+
+  // Keep the playhead in view while it moves
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || scrubbingRef.current) return;
+    const x = progress * scale;
+    if (x < el.scrollLeft || x > el.scrollLeft + el.clientWidth - 16) {
+      el.scrollLeft = Math.max(0, x - el.clientWidth / 4);
+    }
+  }, [progress, scale]);
+
+  const zoomBy = (factor) => {
+    setPxPerSecond(Math.max(MIN_PX_PER_SECOND, Math.min(MAX_PX_PER_SECOND, scale * factor)));
+  };
+
+  const pointerTime = (e) => (e.clientX - contentRef.current.getBoundingClientRect().left) / scale;
+  const timeAt = (e) => Math.max(0, Math.min(duration, pointerTime(e)));
+
+  const beatSpacing = beats.length > 1 ? (beats[beats.length - 1].time - beats[0].time) / (beats.length - 1) : 0;
+  // Markers past the content (music running longer than the clips) still snap
+  const inView = (time) => time * scale <= contentWidth;
+  const shownBeats = beats.filter((beat) => inView(beat.time) && (beat.bar || beatSpacing * scale >= MIN_BEAT_PX));
+  const shownOnsets = scale >= MIN_ONSET_SCALE ? onsets.filter(inView) : [];
+  const overlayLayers = [...new Set(overlays.map(({ overlay }) => overlay.layer))].sort((a, b) => a - b);
+
+  const handleResizeDown = (e, clipId, start) => {
+    if (disabled) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    resizingRef.current = { clipId, start };
+    onSelectClip?.(clipId);
+  };
+
+  const snap = (time) => {
+    const markers = [...beats.map((beat) => beat.time), ...onsets];
+    return nearestMarker(markers, time, SNAP_PX / scale) ?? time;
+  };
+
+  const handleResizeMove = (e) => {
+    const resizing = resizingRef.current;
+    if (!resizing) return;
+    const end = snap(pointerTime(e));
+    onResizeClip(resizing.clipId, Math.max(MIN_CLIP_DURATION, Math.round((end - resizing.start) * 1000) / 1000));
+  };
+
+  const handleResizeUp = () => {
+    resizingRef.current = null;
+  };
+
+  const handleCueDown = (e, cue, edge) => {
+    if (disabled) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    cueDragRef.current = { cueId: cue.id, edge, time: pointerTime(e), start: cue.start, end: cue.end };
+    onSelectCue?.(cue);
+  };
+
+  const handleCueMove = (e) => {
+    const drag = cueDragRef.current;
+    if (!drag || !onChangeCue) return;
+    const round = (v) => Math.round(v * 1000) / 1000;
+    if (drag.edge === "start") {
+      onChangeCue(drag.cueId, { start: round(Math.max(0, Math.min(drag.end - MIN_CUE_LENGTH, snap(pointerTime(e))))), end: drag.end });
+    } else if (drag.edge === "end") {
+      onChangeCue(drag.cueId, { start: drag.start, end: round(Math.max(drag.start + MIN_CUE_LENGTH, snap(pointerTime(e)))) });
+    } else {
+      // The start snaps; the length stays
+      const start = Math.max(0, snap(drag.start + pointerTime(e) - drag.time));
+      onChangeCue(drag.cueId, { start: round(start), end: round(start + drag.end - drag.start) });
+    }
+  };
+
+  const handleCueUp = () => {
+    cueDragRef.current = null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || duration <= 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    scrubbingRef.current = true;
+    onSeek(timeAt(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (scrubbingRef.current) onSeek(timeAt(e));
+  };
+
+  const handlePointerUp = () => {
+    scrubbingRef.current = false;
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2 text-xs">
+        <Button size="icon" variant="ghost" className="h-7 w-7" title={t("zoomOut")} onClick={() => zoomBy(1 / 1.5)}>
+          <ZoomOut className="w-4 h-4"/>
+        </Button>
+        <Slider
+          className="w-32"
+          min={Math.log(MIN_PX_PER_SECOND)}
+          max={Math.log(MAX_PX_PER_SECOND)}
+          step={0.01}
+          value={[Math.log(Math.max(MIN_PX_PER_SECOND, Math.min(MAX_PX_PER_SECOND, scale)))]}
+          onValueChange={([v]) => setPxPerSecond(Math.exp(v))}
+        />
+        <Button size="icon" variant="ghost" className="h-7 w-7" title={t("zoomIn")} onClick={() => zoomBy(1.5)}>
+          <ZoomIn className="w-4 h-4"/>
+        </Button>
+        <Button size="icon" variant="ghost" className="h-7 w-7" title={t("zoomToFit")} onClick={() => setPxPerSecond(null)}>
+          <Maximize2 className="w-4 h-4"/>
+        </Button>
+      </div>
+
+      <div ref={scrollRef} className="overflow-x-auto rounded-xl border bg-white">
+        <div
+          ref={contentRef}
+          className={`relative select-none touch-none ${disabled ? "opacity-60" : "cursor-pointer"}`}
+          style={{ width: contentWidth }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          {/* Ruler */}
+          <div className="relative h-5 border-b text-[10px] text-neutral-500">
+            {ticks.map((time) => (
+              <div key={time} className="absolute top-0 h-full border-l border-neutral-300 pl-1" style={{ left: time * scale }}>
+                {formatTime(time, tickStep)}
+              </div>
+            ))}
+          </div>
+
+          {/* Clips */}
+          <div className="relative h-12">
+            {layout.map(({ clip, lib, start, duration: clipDuration, mediaOffset, transition }, i) => clipDuration > 0 && (
+              <div
+                key={clip.id}
+                className={`absolute top-1 bottom-1 rounded-md border overflow-hidden text-[10px] px-1 ${
+                  clip.id === selectedClipId ? "bg-neutral-800 text-white border-neutral-900" : "bg-neutral-200 border-neutral-400"
+                }`}
+                style={{ left: start * scale, width: clipDuration * scale, zIndex: i }}
+                title={clip.card ? cardLabel(clip.card, t("cardKinds")) : itemLabel(lib)}
+                onPointerDown={() => onSelectClip?.(clip.id)}
+              >
+                {lib?.type === "video" && previews[lib.id]?.filmstrip && (
+                  <div className="absolute inset-0 flex opacity-50 pointer-events-none">
+                    {filmstripFramesBetween(previews[lib.id].filmstrip, mediaOffset, mediaOffset + clipDuration).map((frame, fi) => (
+                      <img key={fi} src={frame} alt="" className="flex-1 min-w-0 h-full object-cover" draggable={false}/>
+                    ))}
+                  </div>
+                )}
+                {lib?.type === "video" && clip.audio !== false && previews[lib.id]?.waveform && (
+                  <Waveform
+                    waveform={previews[lib.id].waveform}
+                    from={mediaOffset}
+                    to={mediaOffset + clipDuration}
+                    className="absolute bottom-0 inset-x-0 w-full h-3 text-sky-600/80 pointer-events-none"
+                  />
+                )}
+                {transition.duration > 0 && (
+                  <div
+                    className="absolute inset-y-0 left-0 bg-[repeating-linear-gradient(135deg,rgba(0,0,0,0.25)_0_3px,transparent_3px_7px)]"
+                    style={{ width: transition.duration * scale }}
+                    title={`${t("transitionNames")[transition.type]} · ${transition.duration.toFixed(1)}s`}
+                  />
+                )}
+                <span className="relative truncate block leading-10" style={{ paddingLeft: transition.duration * scale }}>
+                  {i + 1}. {clip.card ? cardLabel(clip.card, t("cardKinds")) : itemLabel(lib) || lib?.type}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {/* Beats and onsets over the clips, then the ends of image clips,
+              which can be dragged */}
+          <div className="absolute left-0 right-0 top-5 h-12 pointer-events-none" style={{ zIndex: layout.length }}>
+            {shownBeats.map((beat, i) => (
+              <div
+                key={`b${i}`}
+                className={`absolute inset-y-0 w-px ${beat.bar ? "bg-sky-600/70" : "bg-sky-500/30"}`}
+                style={{ left: beat.time * scale }}
+              />
+            ))}
+            {shownOnsets.map((time, i) => (
+              <div key={`o${i}`} className="absolute top-0 h-1.5 w-px bg-amber-500" style={{ left: time * scale }}/>
+            ))}
+          </div>
+          {onResizeClip && (
+            <div className="absolute left-0 right-0 top-5 h-12 pointer-events-none" style={{ zIndex: layout.length }}>
+              {layout.map(({ clip, lib, start, duration: clipDuration }) => (lib?.type === "image" || clip.card) && (
+                <div
+                  key={clip.id}
+                  className="absolute top-2 bottom-2 w-2 -ml-1 rounded-sm cursor-ew-resize pointer-events-auto hover:bg-black/30"
+                  style={{ left: (start + clipDuration) * scale }}
+                  title={t("dragToResize")}
+                  onPointerDown={(e) => handleResizeDown(e, clip.id, start)}
+                  onPointerMove={handleResizeMove}
+                  onPointerUp={handleResizeUp}
+                  onPointerCancel={handleResizeUp}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* Overlay lanes, bottom layer first */}
+          {overlayLayers.map((layer) => (
+            <div key={layer} className="relative h-5 border-t">
+              {overlays.filter(({ overlay }) => overlay.layer === layer).map(({ overlay, lib }) => (
+                <div
+                  key={overlay.id}
+                  className={`absolute top-0.5 bottom-0.5 rounded-sm text-[9px] leading-4 px-1 truncate ${
+                    overlay.id === selectedOverlayId ? "bg-sky-600 text-white" : "bg-sky-200"
+                  }`}
+                  style={{ left: overlay.start * scale, width: Math.max(2, (overlay.end - overlay.start) * scale) }}
+                  title={itemLabel(lib)}
+                  onPointerDown={() => onSelectOverlay?.(overlay)}
+                >
+                  {itemLabel(lib)}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {/* Subtitle cues */}
+          {cues.length > 0 && (
+            <div className="relative h-5 border-t">
+              {cues.map((cue) => (
+                <div
+                  key={cue.id}
+                  className={`absolute top-0.5 bottom-0.5 rounded-sm text-[9px] leading-4 px-1 truncate cursor-grab ${
+                    cue.id === selectedCueId ? "bg-amber-500 text-white" : "bg-amber-300/80"
+                  }`}
+                  style={{ left: cue.start * scale, width: Math.max(2, (cue.end - cue.start) * scale) }}
+                  title={`${cue.text}\n${t("cueDragHint")}`}
+                  onPointerDown={(e) => handleCueDown(e, cue, null)}
+                  onPointerMove={handleCueMove}
+                  onPointerUp={handleCueUp}
+                  onPointerCancel={handleCueUp}
+                >
+                  {cue.text}
+                  {["start", "end"].map((edge) => (
+                    // Moves and releases bubble to the cue block
+                    <div
+                      key={edge}
+                      className={`absolute inset-y-0 w-1.5 cursor-ew-resize hover:bg-black/30 ${edge === "start" ? "left-0" : "right-0"}`}
+                      onPointerDown={(e) => handleCueDown(e, cue, edge)}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Playhead */}
+          <div className="absolute top-0 bottom-0 w-px bg-red-600 pointer-events-none" style={{ left: progress * scale, zIndex: layout.length + 1 }}>
+            <div className="absolute top-0 -left-1.5 w-3 h-3 bg-red-600 rounded-b-sm"/>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
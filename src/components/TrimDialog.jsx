@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Slider } from "@/components/ui/slider";
+import { itemLabel } from "@/lib/library";
+import { captureFrames } from "@/lib/media";
+import { MIN_TRIM_LENGTH } from "@/lib/timeline";
+import { Pause, Play } from "lucide-react";
+import { useI18n } from "@/i18n";
+
+const FILMSTRIP_FRAMES = 10;
+
+const round = (v) => Math.round(v * 100) / 100;
+
+// Edits the in/out points of a video clip over a filmstrip of the source:
+// the library's `filmstrip` (see mediaPreview.js) if it is made yet, else
+// one captured on opening. `onChange` receives the new { trimIn, trimOut } in
+// seconds.
+export function TrimDialog({ lib, filmstrip, trimIn, trimOut, onChange, trigger }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [captured, setCaptured] = useState([]);
+  const [playing, setPlaying] = useState(false);
+  const videoRef = useRef(null);
+  const length = lib.duration || 0;
+
+  const frames = filmstrip?.frames || captured;
+
+  useEffect(() => {
+    if (!open || length <= 0 || filmstrip) return;
+    let cancelled = false;
+    const times = Array.from({ length: FILMSTRIP_FRAMES }, (_, i) => ((i + 0.5) * length) / FILMSTRIP_FRAMES);
+    captureFrames(lib.url, times)
+      .then((result) => !cancelled && setCaptured(result))
+      .catch((error) => console.error("Filmstrip failed:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, lib.url, length, filmstrip]);
+
+  // Preview only the trimmed range
+  const handleTimeUpdate = () => {
+    const v = videoRef.current;
+    if (v && v.currentTime >= trimOut) {
+      v.pause();
+      v.currentTime = trimOut;
+    }
+  };
+
+  const togglePreview = () => {
+    const v = videoRef.current;
+    if (!v) return;
+    if (!v.paused) {
+      v.pause();
+      return;
+    }
+    if (v.currentTime < trimIn || v.currentTime >= trimOut - 0.05) v.currentTime = trimIn;
+    v.play().catch((error) => console.error("Trim preview failed:", error));
+  };
+
+  const seekPreview = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const change = (nextIn, nextOut) => {
+    const clampedIn = Math.max(0, Math.min(nextIn, length - MIN_TRIM_LENGTH));
+    const clampedOut = Math.min(length, Math.max(nextOut, clampedIn + MIN_TRIM_LENGTH));
+    onChange({ trimIn: round(clampedIn), trimOut: round(clampedOut) });
+  };
+
+  const setIn = (value) => {
+    change(value, trimOut);
+    seekPreview(value);
+  };
+
+  const setOut = (value) => {
+    change(trimIn, value);
+    seekPreview(value);
+  };
+
+  const percent = (time) => `${length > 0 ? (time / length) * 100 : 0}%`;
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{t("trimClip")} · {itemLabel(lib)}</DialogTitle>
+        </DialogHeader>
+
+        <div className="relative aspect-video bg-black rounded-xl overflow-hidden">
+          <video
+            ref={videoRef}
+            src={lib.url}
+            className="w-full h-full object-contain"
+            muted
+            playsInline
+            onLoadedMetadata={(e) => (e.currentTarget.currentTime = trimIn)}
+            onTimeUpdate={handleTimeUpdate}
+            onPlay={() => setPlaying(true)}
+            onPause={() => setPlaying(false)}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="relative h-12 rounded-md overflow-hidden bg-neutral-200 flex">
+            {frames.map((src, i) => (
+              <img key={i} src={src} alt="" className="h-full flex-1 min-w-0 object-cover"/>
+            ))}
+            <div className="absolute inset-y-0 left-0 bg-black/60" style={{ width: percent(trimIn) }}/>
+            <div className="absolute inset-y-0 right-0 bg-black/60" style={{ left: percent(trimOut) }}/>
+            <div className="absolute inset-y-0 border-2 border-yellow-400 rounded-sm pointer-events-none" style={{ left: percent(trimIn), right: `calc(100% - ${percent(trimOut)})` }}/>
+          </div>
+          <Slider
+            min={0}
+            max={length}
+            step={0.01}
+            minStepsBetweenThumbs={1}
+            value={[trimIn, trimOut]}
+            onValueChange={([nextIn, nextOut]) => {
+              if (nextIn !== trimIn) setIn(nextIn);
+              else setOut(nextOut);
+            }}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          <Button size="sm" variant="outline" className="rounded-xl" title={t(playing ? "pause" : "play")} onClick={togglePreview}>
+            {playing ? <Pause className="w-4 h-4"/> : <Play className="w-4 h-4"/>}
+          </Button>
+          <label className="flex items-center gap-1">
+            {t("trimIn")}
+            <Input
+              type="number"
+              className="h-8 w-20"
+              min={0}
+              max={length}
+              step={0.01}
+              value={round(trimIn)}
+              onChange={(e) => setIn(Number(e.target.value) || 0)}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            {t("trimOut")}
+            <Input
+              type="number"
+              className="h-8 w-20"
+              min={0}
+              max={length}
+              step={0.01}
+              value={round(trimOut)}
+              onChange={(e) => setOut(Number(e.target.value) || 0)}
+            />
+          </label>
+          <span className="text-neutral-500">
+            {t("trimLength")}: {(trimOut - trimIn).toFixed(2)}s / {length.toFixed(2)}s
+          </span>
+          <Button size="sm" variant="ghost" className="ml-auto rounded-xl" onClick={() => change(0, length)}>
+            {t("resetTrim")}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
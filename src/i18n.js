@@ -1,3 +1,5 @@
+import { createContext, useContext } from "react";
+
 export const dict = {
   tr: {
     mediaLibrary: "Medya Kütüphanesi",
@@ -6,8 +8,8 @@ export const dict = {
     guideSteps: [
       "Görsel ve videoları bu kutuya sürükleyip bırakın.",
       "Her birini zaman çizelgesine ekleyin.",
-      "Gerekirse başlık ve captions yazın; crossfade süresini ayarlayın.",
-      "Play ile önizleyin; Record ile kaydedip WebM dosyası olarak indirin.",
+      "Gerekirse başlık ve altyazı ekleyin; crossfade süresini ayarlayın.",
+      "Play ile önizleyin; Record ile kaydedip WebM ya da MP4 dosyası olarak indirin.",
     ],
     ffmpegHint:
       "MP4'e dönüştürmek için: ffmpeg -i input.webm -c:v libx264 -pix_fmt yuv420p output.mp4",
@@ -22,6 +24,10 @@ export const dict = {
     crossfadeSeconds: "Crossfade (sn)",
     themeHeading: "Cyberpunk Renk Teması",
     selected: "Seçili",
+    colorNames: { green: "Yeşil", amber: "Kehribar", red: "Kırmızı", blue: "Mavi", purple: "Mor" },
+    mediaTypes: { image: "Görsel", video: "Video", audio: "Ses", font: "Yazı tipi", lut: "LUT" },
+    showTitle: "Başlığı göster/gizle",
+    bold: "Kalın",
     globalTitleLabel: "Genel Başlık",
     projectTitlePlaceholder: "Proje başlığı…",
     timeline: "ZAMAN ÇİZELGESİ",
@@ -29,12 +35,312 @@ export const dict = {
     timelineEmpty:
       'Henüz bir klip eklenmedi. Kütüphaneden "Ekle" butonuna tıklayın.',
     duration: "Süre",
-    videoLabel: "Video",
-    captionPlaceholder: "Caption…",
     dropHere: "Buraya bırakın",
+    reorderClip: "Klibi taşı",
+    reorderKeyboardHint: "Sürükleyin ya da ↑/↓, Home/End tuşlarıyla taşıyın",
     language: "Dil",
     recordMP4: "Kaydet (MP4)",
     converting: "Dönüştürülüyor...",
+    cancel: "İptal",
+    frameAccurateRender: "Kare Hassasiyetinde Render",
+    renderMP4: "Render (MP4)",
+    rendering: "Render ediliyor...",
+    audioTracks: "MÜZİK VE ANLATIM",
+    audioTracksEmpty: 'Ses dosyası ekleyip kütüphanede "Ekle" butonuna tıklayın.',
+    trackStart: "Başlangıç (sn)",
+    volumeEnvelope: "Ses zarfı",
+    addEnvelopePoint: "Oynatma noktasına ekle",
+    muteClip: "Klip sesini kapat",
+    unmuteClip: "Klip sesini aç",
+    saveProject: "Projeyi kaydet",
+    openProject: "Proje aç",
+    restorePrompt: "Önceki oturum geri yüklensin mi?",
+    restore: "Geri yükle",
+    dismiss: "Kapat",
+    openProjectFailed: "Proje açılamadı.",
+    restoreSessionFailed: "Oturum geri yüklenemedi.",
+    untitledSession: "Başlıksız oturum",
+    currentSession: "şu anki",
+    clipCount: { other: "{count} klip" },
+    timelineSummary: { other: "{count} klip, {duration}" },
+    storage: "Depolama",
+    storageUsed: "Kullanılan alan",
+    noSessions: "Kayıtlı oturum yok.",
+    delete: "Sil",
+    clearOldSessions: "Eski oturumları temizle",
+    transition: "Geçiş",
+    transitionDefault: "Varsayılan",
+    transitionLength: "Geçiş süresi (sn); boş bırakılırsa genel crossfade kullanılır",
+    transitionNames: {
+      cut: "Kesme",
+      dissolve: "Çözülme",
+      dipToBlack: "Siyaha geçiş",
+      wipe: "Silme",
+      slide: "Kaydırma",
+      zoom: "Yakınlaştırma",
+      glitch: "Glitch / RGB",
+    },
+    kenBurns: "Ken Burns kaydırma/yakınlaştırma",
+    kenBurnsStart: "Başlangıç",
+    kenBurnsEnd: "Bitiş",
+    editingStartFraming: "Başlangıç kadrajı: sürükleyerek kaydırın, tekerlekle yakınlaştırın.",
+    editingEndFraming: "Bitiş kadrajı: sürükleyerek kaydırın, tekerlekle yakınlaştırın.",
+    done: "Tamam",
+    easing: "Yumuşatma",
+    easingNames: {
+      linear: "Doğrusal",
+      easeIn: "Yavaş başla",
+      easeOut: "Yavaş bitir",
+      easeInOut: "Yavaş başla/bitir",
+    },
+    autoKenBurns: "Otomatik Ken Burns",
+    autoKenBurnsHint: "Her görsele rastgele hafif bir kaydırma veya yakınlaştırma verir.",
+    on: "Açık",
+    off: "Kapalı",
+    fitMode: "Sığdırma",
+    fitDefault: "Varsayılan",
+    fitModeNames: {
+      cover: "Doldur (kırp)",
+      contain: "Sığdır (kenar boşluklu)",
+      blur: "Sığdır (bulanık arka plan)",
+      crop: "Elle kırp",
+    },
+    letterboxColor: "Kenar boşluğu rengi",
+    editCrop: "Kırpma alanını düzenle",
+    editingCrop: "Kırpma: sahnede sürükleyerek gösterilecek alanı çizin.",
+    subtitles: "Altyazılar",
+    subtitlesEmpty: "Henüz altyazı yok. Oynatma konumuna bir satır ekleyin veya .srt/.vtt dosyası içe aktarın.",
+    addCue: "Satır ekle",
+    importSubtitles: "SRT/VTT içe aktar",
+    burnSubtitles: "Dışa aktarımda videoya göm",
+    subtitleSidecar: "Yan dosya:",
+    none: "Yok",
+    jumpToCue: "Bu satıra git",
+    cueDragHint: "Taşımak için sürükleyin; zamanlamasını değiştirmek için uçlarını sürükleyin",
+    cueStart: "Başlangıç (sn)",
+    cueEnd: "Bitiş (sn)",
+    cueText: "Altyazı metni…",
+    captionStyle: "Altyazı stili",
+    titleStyle: "Başlık stili",
+    cueStyle: "Bu satırın stili",
+    font: "Yazı tipi",
+    textSize: "Boyut",
+    textCase: "Harf durumu",
+    textAlign: "Hizalama",
+    textPosition: "Konum",
+    textColor: "Renk",
+    themeColor: "Tema rengi",
+    textBox: "Kutu",
+    boxBorder: "Çerçeve",
+    textOutline: "Kontur",
+    textShadow: "Gölge",
+    resetToDefault: "Varsayılana dön",
+    safeAreaGuides: "Güvenli alan kılavuzları",
+    useFont: "Kullan",
+    useFontForCaptions: "Altyazılarda bu yazı tipini kullan",
+    previousFrame: "Önceki kare",
+    nextFrame: "Sonraki kare",
+    zoomIn: "Yakınlaştır",
+    zoomOut: "Uzaklaştır",
+    zoomToFit: "Tümünü göster",
+    undo: "Geri al (Ctrl+Z)",
+    redo: "Yinele (Shift+Ctrl+Z)",
+    history: "Geçmiş",
+    trimClip: "Kırp (giriş/çıkış)",
+    trimRange: "Giriş–çıkış (uzunluk)",
+    trimIn: "Giriş",
+    trimOut: "Çıkış",
+    trimLength: "Uzunluk",
+    resetTrim: "Tüm video",
+    trimInAtPlayhead: "Girişi oynatma kafasına ayarla",
+    trimOutAtPlayhead: "Çıkışı oynatma kafasına ayarla",
+    duplicateClip: "Klibi çoğalt",
+    crtEffects: "CRT efektleri",
+    crtEffectsHint: "Önizlemeye ve dışa aktarılan videoya eski ekran görünümü verir.",
+    crtEffectNames: {
+      scanlines: "Tarama çizgileri",
+      glow: "Fosfor parlaması",
+      grain: "Gren / parazit",
+      vignette: "Vinyet",
+      aberration: "Renk kayması",
+      barrel: "Ekran eğriliği",
+      flicker: "Titreme",
+    },
+    themeEditor: "Tema düzenleyici",
+    themePreview: "REC ● 00:12 KAYIT",
+    builtInThemes: "Hazır temalar",
+    customThemes: "Özel temalar",
+    customThemesEmpty: "Henüz özel tema yok. Yeni bir tema oluşturun ya da bir tema dosyası içe aktarın.",
+    themeName: "Tema adı",
+    themePrimary: "Ana renk",
+    themeGlow: "Parlama",
+    newTheme: "Yeni tema",
+    newThemeName: "Tema {count}",
+    importTheme: "Tema içe aktar",
+    exportTheme: "Dışa aktar",
+    colorGrade: "Renk düzenleme",
+    clipGrade: "Bu klibin renk düzenlemesi",
+    gradeCompare: "Öncesi / sonrası karşılaştır",
+    gradeBefore: "Önce",
+    gradeAfter: "Sonra",
+    gradeNames: {
+      adjustments: {
+        exposure: "Pozlama",
+        contrast: "Kontrast",
+        saturation: "Doygunluk",
+        temperature: "Sıcaklık",
+        tint: "Ton",
+      },
+      mode: "Mod",
+      modes: { color: "Renkli", mono: "Siyah-beyaz", duotone: "Çift ton (tema rengi)" },
+      lutAmount: "LUT miktarı",
+    },
+    lutHint: "Bir LUT kullanmak için kütüphaneye .cube dosyası içe aktarın.",
+    useLut: "Kullan",
+    useLutForProject: "Bu LUT'u proje renk düzenlemesinde kullan",
+    itemDetails: "Ayrıntılar",
+    itemName: "Ad",
+    itemType: "Tür",
+    resolution: "Çözünürlük",
+    fileSize: "Dosya boyutu",
+    fileFormat: "Biçim",
+    codecs: "Kodekler",
+    unknown: "Bilinmiyor",
+    addedAt: "Eklenme",
+    usage: "Kullanım",
+    usedIn: { other: "{count} yerde kullanılıyor" },
+    notUsed: "Kullanılmıyor",
+    deleteInUseWarning: { other: "Bu öğe {count} yerde kullanılıyor. Silinirse klipleri ve parçaları da kaldırılır." },
+    deleteAnyway: "Yine de sil",
+    searchLibrary: "Kütüphanede ara",
+    allTypes: "Tüm türler",
+    librarySorts: { added: "Eklenme sırası", name: "Ad", duration: "Süre" },
+    sortAscending: "Artan sıralama",
+    sortDescending: "Azalan sıralama",
+    libraryNoMatches: "Filtreye uyan öğe yok.",
+    bin: "Klasör",
+    allBins: "Tümü",
+    unsorted: "Sınıflandırılmamış",
+    newBin: "Yeni klasör",
+    newBinName: "Klasör {count}",
+    binName: "Klasör adı",
+    deleteBin: "Klasörü sil (öğeler kalır)",
+    moveToBinHint: "Öğeleri taşımak için bir klasörün üzerine sürükleyin",
+    importFolder: "Klasör içe aktar",
+    folderImportFiles: { other: "İçe aktarılacak {count} dosya" },
+    folderImportSkipped: { other: "{count} diğer dosya atlanır" },
+    importOrder: "Sıralama",
+    importOrders: { name: "Dosya adı", modified: "Değiştirilme tarihi", captured: "Çekim tarihi (EXIF)" },
+    addAllToTimeline: "Hepsini zaman çizelgesine ekle",
+    imageDuration: "Görsel süresi",
+    importAction: "İçe aktar",
+    importProgress: "İçe aktarılıyor: {done} / {total}",
+    beatSync: "Ritme göre kes",
+    detectBeats: "Vuruşları algıla",
+    detectBeatsAgain: "Yeniden algıla",
+    detectingBeats: "Analiz ediliyor…",
+    detectedTempo: "{tempo} BPM",
+    beatCount: { other: "{count} vuruş" },
+    onsetCount: { other: "{count} atak" },
+    tempoOverride: "Tempo (elle)",
+    beatsPerBar: "Ölçü başına vuruş",
+    cutEvery: "Kesme aralığı",
+    beatSteps: { beat: "Her vuruş", twoBeats: "2 vuruşta bir", fourBeats: "4 vuruşta bir", bar: "Her ölçü" },
+    beatSyncHint: "Görsel klipler vuruşlarda bitecek şekilde uzatılır veya kısaltılır; videolar aynı kalır. Vuruşlar zaman çizelgesinde işaretlenir; bir görselin sonunu sürüklerken işaretlere yapışır.",
+    clearBeats: "Vuruşları kaldır",
+    snapToBeats: "Görsel sürelerini vuruşlara hizala",
+    dragToResize: "Süreyi değiştirmek için sürükleyin",
+    overlayTracks: "KATMANLAR",
+    overlayTracksEmpty: 'Kütüphanede bir görsel veya videonun katman butonuna tıklayarak filigran, köşe kamera ya da alt yazı grafiği ekleyin.',
+    addAsOverlay: "Katman olarak ekle (oynatma kafasında)",
+    overlayLayerBadge: "Katman {layer}",
+    overlayStart: "Başlangıç",
+    overlayEnd: "Bitiş",
+    overlayStartAtPlayhead: "Oynatma kafasında başlat",
+    overlayEndAtPlayhead: "Oynatma kafasında bitir",
+    overlaySettings: "Katman ayarları",
+    overlayPreset: "Hazır ayar",
+    overlayPresets: { pip: "Köşe kamera", pipRound: "Yuvarlak kamera", watermark: "Filigran", lowerThird: "Alt bant" },
+    overlayScale: "Boyut",
+    opacity: "Opaklık",
+    cornerRadius: "Köşe yuvarlama",
+    overlayBorder: "Kenarlık",
+    overlayLayer: "Katman",
+    overlayLayerHint: "Yüksek katmanlar üstte çizilir",
+    overlayTrimIn: "Videonun başlangıcı",
+    overlayAudio: "Ses",
+    addCard: "Kart ekle",
+    cardTemplates: { intro: "Giriş kartı", chapter: "Bölüm kartı", credits: "Kayan jenerik", countdown: "Geri sayım" },
+    cardTemplateTexts: { intro: "Belgeselim", chapter: "Bölüm 1", credits: "Yapım\nAdınız\n\nMüzik\nSanatçı\n\nİzlediğiniz için teşekkürler", countdown: "" },
+    cardKinds: { title: "Başlık kartı", credits: "Jenerik", countdown: "Geri sayım" },
+    cardSettings: "Kart ayarları",
+    cardKind: "Tür",
+    countdownFrom: "Şuradan say",
+    cardTextPlaceholder: "Kart metni (birden çok satır olabilir)",
+    creditsPlaceholder: "Her satır bir jenerik satırı; boş satırlar boşluk bırakır",
+    creditsSpeed: "Kayma hızı",
+    typewriter: "Daktilo efekti",
+    charsPerSecond: "{count} krk/sn",
+    cardBackground: "Arka plan",
+    cardBackgrounds: { theme: "Tema ışıltısı", solid: "Düz renk", gradient: "Gradyan", crt: "CRT ekranı" },
+    gradientAngle: "Gradyan açısı",
+    cardTextStyle: "Metin stili",
+    chromeSettings: "Masaüstü penceresi",
+    chromeEnabled: "Bu klibi bir masaüstü penceresinde göster",
+    windowFrame: "Pencere çerçevesi",
+    windowFrames: { none: "Çerçevesiz", modern: "Modern", retro: "Retro", terminal: "Terminal" },
+    windowTitle: "Başlık çubuğu",
+    windowSize: "Pencere boyutu",
+    dropShadow: "Gölge",
+    wallpaper: "Duvar kağıdı",
+    chromeBackgrounds: { theme: "Tema ışıltısı", solid: "Düz renk", gradient: "Gradyan", crt: "CRT ekranı", image: "Görsel" },
+    wallpaperImage: "Duvar kağıdı görseli",
+    noWallpaper: "Yok",
+    cursorPath: "İmleç yolu",
+    cursorPathEmpty: "Henüz anahtar kare yok. Oynatma konumuna ekleyin ya da yolu düzenlerken sahneye tıklayın.",
+    addKeyframeAtPlayhead: "Oynatma konumuna ekle",
+    keyframeTime: "Klibin başından saniye",
+    cursorClick: "Tıklama",
+    cursorZoom: "İmlece yakınlaştır",
+    cursorSize: "İmleç boyutu",
+    editCursorPath: "İmleç yolunu sahnede düzenle",
+    editingCursor: "İmleç yolu: imleci oynatma konumuna yerleştirmek için sahneye tıklayın ya da sürükleyin; sonraki anahtar kare için oynatma konumunu taşıyın.",
+    historyLabels: {
+      initial: "Başlangıç",
+      library: "Kütüphane",
+      timeline: "Zaman çizelgesi",
+      audioTracks: "Müzik ve anlatım",
+      overlays: "Katmanlar",
+      subtitles: "Altyazılar",
+      crossfade: "Crossfade",
+      transitionType: "Geçiş",
+      autoKenBurns: "Otomatik Ken Burns",
+      fitDefaults: "Sığdırma",
+      burnSubtitles: "Altyazı gömme",
+      subtitleSidecar: "Altyazı yan dosyası",
+      captionStyle: "Altyazı stili",
+      titleStyle: "Başlık stili",
+      canvasSize: "Çözünürlük",
+      globalTitle: "Başlık",
+      showTitle: "Başlık görünürlüğü",
+      selectedColor: "Renk teması",
+      crt: "CRT efektleri",
+      gradeDefaults: "Renk düzenleme",
+      renderFps: "Kare hızı",
+      bins: "Klasörler",
+    },
+    captionStyleNames: {
+      fonts: {
+        monospace: "Monospace",
+        sans: "Sans-serif",
+        serif: "Serif",
+        impact: "Impact",
+        typewriter: "Daktilo",
+      },
+      cases: { none: "Olduğu gibi", upper: "BÜYÜK HARF", lower: "küçük harf", title: "Baş Harfler Büyük" },
+      aligns: { left: "Sol", center: "Orta", right: "Sağ" },
+      positions: { top: "Üst", bottom: "Alt", lowerThird: "Alt üçte bir", custom: "Özel (x/y)" },
+    },
   },
   en: {
     mediaLibrary: "Media Library",
@@ -43,8 +349,8 @@ export const dict = {
     guideSteps: [
       "Drag and drop images/videos here.",
       "Add each to the timeline.",
-      "Optionally add title and captions; set crossfade.",
-      "Preview with Play; Record to save as WebM.",
+      "Optionally add a title and subtitles; set crossfade.",
+      "Preview with Play; Record to save as WebM or MP4.",
     ],
     ffmpegHint:
       "To convert to MP4: ffmpeg -i input.webm -c:v libx264 -pix_fmt yuv420p output.mp4",
@@ -59,36 +365,382 @@ export const dict = {
     crossfadeSeconds: "Crossfade (s)",
     themeHeading: "Cyberpunk Color Theme",
     selected: "Selected",
+    colorNames: { green: "Green", amber: "Amber", red: "Red", blue: "Blue", purple: "Purple" },
+    mediaTypes: { image: "Image", video: "Video", audio: "Audio", font: "Font", lut: "LUT" },
+    showTitle: "Show/hide title",
+    bold: "Bold",
     globalTitleLabel: "Global Title",
     projectTitlePlaceholder: "Project title…",
     timeline: "TIMELINE",
     timelineReorderHint: "(Drag and drop to reorder)",
     timelineEmpty: 'No clips yet. Click "Add" in the library.',
     duration: "Duration",
-    videoLabel: "Video",
-    captionPlaceholder: "Caption…",
     dropHere: "Drop here",
+    reorderClip: "Move clip",
+    reorderKeyboardHint: "Drag, or use ↑/↓, Home/End to move",
     language: "Language",
     recordMP4: "Record (MP4)",
     converting: "Converting...",
+    cancel: "Cancel",
+    frameAccurateRender: "Frame-accurate Render",
+    renderMP4: "Render (MP4)",
+    rendering: "Rendering...",
+    audioTracks: "MUSIC & NARRATION",
+    audioTracksEmpty: 'Import an audio file and click "Add" in the library.',
+    trackStart: "Start (s)",
+    volumeEnvelope: "Volume envelope",
+    addEnvelopePoint: "Add at playhead",
+    muteClip: "Mute clip audio",
+    unmuteClip: "Unmute clip audio",
+    saveProject: "Save project",
+    openProject: "Open project",
+    restorePrompt: "Restore your previous session?",
+    restore: "Restore",
+    dismiss: "Dismiss",
+    openProjectFailed: "The project could not be opened.",
+    restoreSessionFailed: "The session could not be restored.",
+    untitledSession: "Untitled session",
+    currentSession: "current",
+    clipCount: { one: "{count} clip", other: "{count} clips" },
+    timelineSummary: { one: "{count} clip, {duration}", other: "{count} clips, {duration}" },
+    storage: "Storage",
+    storageUsed: "Storage used",
+    noSessions: "No saved sessions.",
+    delete: "Delete",
+    clearOldSessions: "Clear old sessions",
+    transition: "Transition",
+    transitionDefault: "Default",
+    transitionLength: "Transition length (s); leave empty to use the global crossfade",
+    transitionNames: {
+      cut: "Cut",
+      dissolve: "Dissolve",
+      dipToBlack: "Dip to black",
+      wipe: "Wipe",
+      slide: "Slide",
+      zoom: "Zoom",
+      glitch: "Glitch / RGB split",
+    },
+    kenBurns: "Ken Burns pan & zoom",
+    kenBurnsStart: "Start",
+    kenBurnsEnd: "End",
+    editingStartFraming: "Start framing: drag to pan, scroll to zoom.",
+    editingEndFraming: "End framing: drag to pan, scroll to zoom.",
+    done: "Done",
+    easing: "Easing",
+    easingNames: {
+      linear: "Linear",
+      easeIn: "Ease in",
+      easeOut: "Ease out",
+      easeInOut: "Ease in-out",
+    },
+    autoKenBurns: "Auto Ken Burns",
+    autoKenBurnsHint: "Gives every image a random gentle pan or zoom.",
+    on: "On",
+    off: "Off",
+    fitMode: "Fit",
+    fitDefault: "Default",
+    fitModeNames: {
+      cover: "Cover (crop)",
+      contain: "Contain (letterbox)",
+      blur: "Contain (blurred fill)",
+      crop: "Manual crop",
+    },
+    letterboxColor: "Letterbox colour",
+    editCrop: "Edit crop rectangle",
+    editingCrop: "Crop: drag on the stage to draw the area to show.",
+    subtitles: "Subtitles",
+    subtitlesEmpty: "No subtitles yet. Add a cue at the playhead or import an .srt/.vtt file.",
+    addCue: "Add cue",
+    importSubtitles: "Import SRT/VTT",
+    burnSubtitles: "Burn into exported video",
+    subtitleSidecar: "Sidecar file:",
+    none: "None",
+    jumpToCue: "Jump to this cue",
+    cueDragHint: "Drag to move; drag its ends to change its timing",
+    cueStart: "Start (s)",
+    cueEnd: "End (s)",
+    cueText: "Subtitle text…",
+    captionStyle: "Caption style",
+    titleStyle: "Title style",
+    cueStyle: "Style for this cue",
+    font: "Font",
+    textSize: "Size",
+    textCase: "Case",
+    textAlign: "Alignment",
+    textPosition: "Position",
+    textColor: "Colour",
+    themeColor: "Theme colour",
+    textBox: "Box",
+    boxBorder: "Border",
+    textOutline: "Outline",
+    textShadow: "Shadow",
+    resetToDefault: "Reset to default",
+    safeAreaGuides: "Safe area guides",
+    useFont: "Use",
+    useFontForCaptions: "Use this font for captions",
+    previousFrame: "Previous frame",
+    nextFrame: "Next frame",
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    zoomToFit: "Fit to view",
+    undo: "Undo (Ctrl+Z)",
+    redo: "Redo (Shift+Ctrl+Z)",
+    history: "History",
+    trimClip: "Trim (in/out)",
+    trimRange: "In–out (length)",
+    trimIn: "In",
+    trimOut: "Out",
+    trimLength: "Length",
+    resetTrim: "Whole video",
+    trimInAtPlayhead: "Set in point at playhead",
+    trimOutAtPlayhead: "Set out point at playhead",
+    duplicateClip: "Duplicate clip",
+    crtEffects: "CRT effects",
+    crtEffectsHint: "Gives the preview and exported video an old-screen look.",
+    crtEffectNames: {
+      scanlines: "Scanlines",
+      glow: "Phosphor glow",
+      grain: "Grain / noise",
+      vignette: "Vignette",
+      aberration: "Colour fringing",
+      barrel: "Screen curvature",
+      flicker: "Flicker",
+    },
+    themeEditor: "Theme editor",
+    themePreview: "REC ● 00:12 RECORDING",
+    builtInThemes: "Built-in themes",
+    customThemes: "Custom themes",
+    customThemesEmpty: "No custom themes yet. Create a new theme or import a theme file.",
+    themeName: "Theme name",
+    themePrimary: "Main colour",
+    themeGlow: "Glow",
+    newTheme: "New theme",
+    newThemeName: "Theme {count}",
+    importTheme: "Import theme",
+    exportTheme: "Export",
+    colorGrade: "Colour grade",
+    clipGrade: "Colour grade for this clip",
+    gradeCompare: "Compare before / after",
+    gradeBefore: "Before",
+    gradeAfter: "After",
+    gradeNames: {
+      adjustments: {
+        exposure: "Exposure",
+        contrast: "Contrast",
+        saturation: "Saturation",
+        temperature: "Temperature",
+        tint: "Tint",
+      },
+      mode: "Mode",
+      modes: { color: "Colour", mono: "Monochrome", duotone: "Duotone (theme colour)" },
+      lutAmount: "LUT amount",
+    },
+    lutHint: "Import a .cube file into the library to use a LUT.",
+    useLut: "Use",
+    useLutForProject: "Use this LUT for the project grade",
+    itemDetails: "Details",
+    itemName: "Name",
+    itemType: "Type",
+    resolution: "Resolution",
+    fileSize: "File size",
+    fileFormat: "Format",
+    codecs: "Codecs",
+    unknown: "Unknown",
+    addedAt: "Added",
+    usage: "Usage",
+    usedIn: { one: "Used in {count} place", other: "Used in {count} places" },
+    notUsed: "Not used",
+    deleteInUseWarning: {
+      one: "This item is used in {count} place. Deleting it also removes its clips and tracks.",
+      other: "This item is used in {count} places. Deleting it also removes its clips and tracks.",
+    },
+    deleteAnyway: "Delete anyway",
+    searchLibrary: "Search library",
+    allTypes: "All types",
+    librarySorts: { added: "Date added", name: "Name", duration: "Duration" },
+    sortAscending: "Ascending order",
+    sortDescending: "Descending order",
+    libraryNoMatches: "No items match the filter.",
+    bin: "Bin",
+    allBins: "All",
+    unsorted: "Unsorted",
+    newBin: "New bin",
+    newBinName: "Bin {count}",
+    binName: "Bin name",
+    deleteBin: "Delete bin (keeps its items)",
+    moveToBinHint: "Drag items onto a bin to move them",
+    importFolder: "Import folder",
+    folderImportFiles: { one: "{count} file to import", other: "{count} files to import" },
+    folderImportSkipped: { one: "{count} other file is skipped", other: "{count} other files are skipped" },
+    importOrder: "Order",
+    importOrders: { name: "File name", modified: "Date modified", captured: "Capture date (EXIF)" },
+    addAllToTimeline: "Add all to the timeline",
+    imageDuration: "Image duration",
+    importAction: "Import",
+    importProgress: "Importing {done} / {total}",
+    beatSync: "Cut to the beat",
+    detectBeats: "Detect beats",
+    detectBeatsAgain: "Detect again",
+    detectingBeats: "Analysing…",
+    detectedTempo: "{tempo} BPM",
+    beatCount: { one: "{count} beat", other: "{count} beats" },
+    onsetCount: { one: "{count} onset", other: "{count} onsets" },
+    tempoOverride: "Tempo override",
+    beatsPerBar: "Beats per bar",
+    cutEvery: "Cut every",
+    beatSteps: { beat: "Beat", twoBeats: "2 beats", fourBeats: "4 beats", bar: "Bar" },
+    beatSyncHint: "Image clips are lengthened or shortened to end on the beat; videos keep their length. Beats are marked on the timeline, and dragging the end of an image snaps to them.",
+    clearBeats: "Remove beats",
+    snapToBeats: "Snap image durations to beats",
+    dragToResize: "Drag to change the duration",
+    overlayTracks: "OVERLAYS",
+    overlayTracksEmpty: 'Click the overlay button of an image or video in the library to add a watermark, face-cam or lower third.',
+    addAsOverlay: "Add as overlay (at the playhead)",
+    overlayLayerBadge: "Layer {layer}",
+    overlayStart: "Start",
+    overlayEnd: "End",
+    overlayStartAtPlayhead: "Start at playhead",
+    overlayEndAtPlayhead: "End at playhead",
+    overlaySettings: "Overlay settings",
+    overlayPreset: "Preset",
+    overlayPresets: { pip: "Corner cam", pipRound: "Round cam", watermark: "Watermark", lowerThird: "Lower third" },
+    overlayScale: "Size",
+    opacity: "Opacity",
+    cornerRadius: "Corner radius",
+    overlayBorder: "Border",
+    overlayLayer: "Layer",
+    overlayLayerHint: "Higher layers are drawn on top",
+    overlayTrimIn: "Video starts at",
+    overlayAudio: "Sound",
+    addCard: "Add card",
+    cardTemplates: { intro: "Intro card", chapter: "Chapter slate", credits: "Scrolling credits", countdown: "Countdown" },
+    cardTemplateTexts: { intro: "My documentary", chapter: "Chapter 1", credits: "Directed by\nYour Name\n\nMusic\nArtist\n\nThanks for watching", countdown: "" },
+    cardKinds: { title: "Title card", credits: "Credits", countdown: "Countdown" },
+    cardSettings: "Card settings",
+    cardKind: "Kind",
+    countdownFrom: "Count down from",
+    cardTextPlaceholder: "Card text (may span several lines)",
+    creditsPlaceholder: "One credit line per line; empty lines add space",
+    creditsSpeed: "Scroll speed",
+    typewriter: "Typewriter reveal",
+    charsPerSecond: "{count} chars/s",
+    cardBackground: "Background",
+    cardBackgrounds: { theme: "Theme glow", solid: "Solid colour", gradient: "Gradient", crt: "CRT screen" },
+    gradientAngle: "Gradient angle",
+    cardTextStyle: "Text style",
+    chromeSettings: "Desktop window",
+    chromeEnabled: "Show this clip in a desktop window",
+    windowFrame: "Window frame",
+    windowFrames: { none: "No frame", modern: "Modern", retro: "Retro", terminal: "Terminal" },
+    windowTitle: "Title bar",
+    windowSize: "Window size",
+    dropShadow: "Drop shadow",
+    wallpaper: "Wallpaper",
+    chromeBackgrounds: { theme: "Theme glow", solid: "Solid colour", gradient: "Gradient", crt: "CRT screen", image: "Image" },
+    wallpaperImage: "Wallpaper image",
+    noWallpaper: "None",
+    cursorPath: "Cursor path",
+    cursorPathEmpty: "No keyframes yet. Add one at the playhead or click on the stage while editing the path.",
+    addKeyframeAtPlayhead: "Add at playhead",
+    keyframeTime: "Seconds into the clip",
+    cursorClick: "Click",
+    cursorZoom: "Zoom to the cursor",
+    cursorSize: "Cursor size",
+    editCursorPath: "Edit cursor path on the stage",
+    editingCursor: "Cursor path: click or drag on the stage to place the cursor at the playhead; move the playhead for the next keyframe.",
+    historyLabels: {
+      initial: "Start",
+      library: "Library",
+      timeline: "Timeline",
+      audioTracks: "Music & narration",
+      overlays: "Overlays",
+      subtitles: "Subtitles",
+      crossfade: "Crossfade",
+      transitionType: "Transition",
+      autoKenBurns: "Auto Ken Burns",
+      fitDefaults: "Fit",
+      burnSubtitles: "Subtitle burn-in",
+      subtitleSidecar: "Subtitle sidecar",
+      captionStyle: "Caption style",
+      titleStyle: "Title style",
+      canvasSize: "Resolution",
+      globalTitle: "Title",
+      showTitle: "Title visibility",
+      selectedColor: "Colour theme",
+      crt: "CRT effects",
+      gradeDefaults: "Colour grade",
+      renderFps: "Frame rate",
+      bins: "Bins",
+    },
+    captionStyleNames: {
+      fonts: {
+        monospace: "Monospace",
+        sans: "Sans-serif",
+        serif: "Serif",
+        impact: "Impact",
+        typewriter: "Typewriter",
+      },
+      cases: { none: "As typed", upper: "UPPER CASE", lower: "lower case", title: "Title Case" },
+      aligns: { left: "Left", center: "Centre", right: "Right" },
+      positions: { top: "Top", bottom: "Bottom", lowerThird: "Lower third", custom: "Custom (x/y)" },
+    },
   },
 };
 
-export function makeI18n() {
-  const storeKey = "desktop-doc:lang";
-  let lang = localStorage.getItem(storeKey) || "tr";
+export const FALLBACK_LANG = "en";
+const STORE_KEY = "desktop-doc:lang";
 
-  const t = (key) => dict[lang]?.[key] ?? dict.en[key] ?? key;
-  const setLang = (newLang) => {
-    lang = newLang;
-    localStorage.setItem(storeKey, newLang);
-  };
+// More languages live in ./locales/<code>.js (default export: a message table
+// like the ones above) and are only downloaded when first chosen.
+const localeLoaders = Object.fromEntries(
+  Object.entries(import.meta.glob("./locales/*.js")).map(([path, load]) => [path.match(/([\w-]+)\.js$/)[1], load])
+);
 
-  return {
-    t,
-    setLang,
-    get lang() {
-      return lang;
-    },
+export const LANGUAGES = [...new Set([...Object.keys(dict), ...Object.keys(localeLoaders)])];
+
+export async function loadLocale(lang) {
+  if (!dict[lang] && localeLoaders[lang]) {
+    dict[lang] = (await localeLoaders[lang]()).default;
+  }
+  return dict[lang];
+}
+
+// The stored choice, else the first of the browser's languages we have
+export function detectLanguage() {
+  const stored = localStorage.getItem(STORE_KEY);
+  if (LANGUAGES.includes(stored)) return stored;
+
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const base = tag?.toLowerCase().split("-")[0];
+    if (LANGUAGES.includes(base)) return base;
+  }
+  return FALLBACK_LANG;
+}
+
+export function storeLanguage(lang) {
+  localStorage.setItem(STORE_KEY, lang);
+}
+
+// Translator for `lang`, falling back to English and then to the key.
+// `vars` fills {name} placeholders; a message with plural forms
+// ({ one, other, ... }) picks the form for `vars.count`.
+export function createTranslator(lang) {
+  const plurals = new Intl.PluralRules(lang);
+
+  return (key, vars) => {
+    let message = dict[lang]?.[key] ?? dict[FALLBACK_LANG][key] ?? key;
+    if (!vars) return message;
+
+    if (typeof vars.count === "number" && message?.other !== undefined) {
+      message = message[plurals.select(vars.count)] ?? message.other;
+    }
+    if (typeof message !== "string") return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
   };
 }
+
+// { lang, languages, setLang, t }, provided by <I18nProvider>
+export const I18nContext = createContext(null);
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,237 @@
+// Audio mixing. Clip audio and music/narration tracks are described once as a
+// schedule of segments; the live mixer plays that schedule through an
+// AudioContext (preview + recording) and renderAudioMix bounces it offline.
+import { layoutDuration, layoutTimeline } from "@/lib/timeline";
+
+// Short ramp used when gains change live, to avoid clicks
+const LIVE_RAMP = 0.015;
+// Allowed drift between a playing element and the timeline before re-seeking
+const MAX_DRIFT = 0.25;
+
+// Linear interpolation over [{ time, gain }] points sorted by time
+export function gainAt(points, t) {
+  if (!points.length) return 0;
+  if (t <= points[0].time) return points[0].gain;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (t <= b.time) {
+      const span = b.time - a.time;
+      return span > 0 ? a.gain + ((b.gain - a.gain) * (t - a.time)) / span : b.gain;
+    }
+  }
+  return points[points.length - 1].gain;
+}
+
+// Envelope points in time order
+function sortPoints(points) {
+  return [...points].sort((a, b) => a.time - b.time);
+}
+
+// Every audible (or at least playable) piece of media in the project.
+// Segment: { key, kind: "clip" | "track" | "overlay", libId, start, offset,
+// duration, gain } where `gain` holds absolute timeline times. Clip audio
+// crossfades over the same overlap as the picture transition.
+export function buildAudioSchedule({ timeline, library, audioTracks = [], overlays = [], transitionDefaults }) {
+  const segments = [];
+  const layout = layoutTimeline(timeline, library, transitionDefaults);
+  const total = layoutDuration(layout);
+
+  layout.forEach(({ clip, lib, start, duration, mediaOffset, transition }, i) => {
+    if (lib?.type !== "video" || duration <= 0) return;
+    const level = clip.audio === false ? 0 : clip.volume ?? 1;
+    const end = start + duration;
+    const fadeIn = transition.duration;
+    const fadeOut = layout[i + 1]?.transition.duration || 0;
+
+    const gain = [{ time: start, gain: fadeIn > 0 ? 0 : level }];
+    if (fadeIn > 0) gain.push({ time: start + fadeIn, gain: level });
+    if (fadeOut > 0) gain.push({ time: end - fadeOut, gain: level }, { time: end, gain: 0 });
+    segments.push({ key: clip.id, kind: "clip", libId: lib.id, start, offset: mediaOffset, duration, gain });
+  });
+
+  audioTracks.forEach((track) => {
+    const lib = library.find((l) => l.id === track.libId);
+    if (!lib?.duration) return;
+    const start = Math.max(0, track.start || 0);
+    const duration = Math.min(lib.duration, total - start);
+    if (duration <= 0) return;
+    const volume = track.muted ? 0 : track.volume ?? 1;
+    const envelope = sortPoints(track.envelope || []);
+    const gain = envelope.length
+      ? envelope.map((p) => ({ time: start + p.time, gain: p.gain * volume }))
+      : [{ time: start, gain: volume }];
+    segments.push({ key: track.id, kind: "track", libId: lib.id, start, offset: 0, duration, gain });
+  });
+
+  // Video overlays play (silently when muted), like clips, so their picture moves
+  overlays.forEach((overlay) => {
+    const lib = library.find((l) => l.id === overlay.libId);
+    if (lib?.type !== "video" || !lib.duration) return;
+    const offset = overlay.trimIn || 0;
+    const duration = Math.min(overlay.end, total) - overlay.start;
+    if (duration <= 0) return;
+    const level = overlay.audio === false ? 0 : overlay.volume ?? 1;
+    segments.push({
+      key: overlay.id,
+      kind: "overlay",
+      libId: lib.id,
+      start: overlay.start,
+      offset,
+      duration: Math.min(duration, lib.duration - offset),
+      gain: [{ time: overlay.start, gain: level }],
+    });
+  });
+
+  return segments;
+}
+
+const isActive = (segment, t) => t >= segment.start && t < segment.start + segment.duration;
+
+// Live mixer for preview and MediaRecorder export. Media elements are routed
+// through per-element gain nodes into a master bus that feeds the speakers,
+// an analyser for metering and a MediaStream for recording.
+export function createAudioMixer() {
+  const ctx = new AudioContext();
+  const master = ctx.createGain();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  const recordDestination = ctx.createMediaStreamDestination();
+
+  master.connect(analyser);
+  analyser.connect(ctx.destination);
+  master.connect(recordDestination);
+
+  const channels = new Map();
+
+  const channelFor = (el) => {
+    let channel = channels.get(el);
+    if (!channel) {
+      const source = ctx.createMediaElementSource(el);
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      source.connect(gain).connect(master);
+      // muted elements feed silence into the graph; gain nodes do the muting now
+      el.muted = false;
+      channel = { source, gain };
+      channels.set(el, channel);
+    }
+    return channel;
+  };
+
+  return {
+    analyser,
+    stream: recordDestination.stream,
+
+    resume() {
+      return ctx.state === "suspended" ? ctx.resume() : Promise.resolve();
+    },
+
+    // Bring every element in line with timeline time `t`.
+    // `getElement(segment)` returns the <video>/<audio> element for a segment.
+    sync(segments, t, playing, getElement) {
+      const active = new Map();
+      for (const segment of segments) {
+        if (!isActive(segment, t)) continue;
+        const el = getElement(segment);
+        if (el) active.set(el, segment);
+      }
+
+      for (const [el, channel] of channels) {
+        if (active.has(el)) continue;
+        channel.gain.gain.setTargetAtTime(0, ctx.currentTime, LIVE_RAMP);
+        if (!el.paused) el.pause();
+      }
+
+      for (const [el, segment] of active) {
+        const channel = channelFor(el);
+        channel.gain.gain.setTargetAtTime(gainAt(segment.gain, t), ctx.currentTime, LIVE_RAMP);
+        if (!playing) {
+          if (!el.paused) el.pause();
+          continue;
+        }
+        const mediaTime = segment.offset + (t - segment.start);
+        if (Math.abs(el.currentTime - mediaTime) > MAX_DRIFT) el.currentTime = mediaTime;
+        if (el.paused) el.play().catch(() => {});
+      }
+    },
+
+    pauseAll() {
+      for (const [el, channel] of channels) {
+        channel.gain.gain.setTargetAtTime(0, ctx.currentTime, LIVE_RAMP);
+        if (!el.paused) el.pause();
+      }
+    },
+
+    // Forget an element that is being thrown away, unhooking it from the graph
+    release(el) {
+      const channel = channels.get(el);
+      if (!channel) return;
+      channel.source.disconnect();
+      channel.gain.disconnect();
+      channels.delete(el);
+    },
+  };
+}
+
+// Bounce the schedule to an AudioBuffer. `decode(libId, ctx)` resolves to an
+// AudioBuffer, or null for media without audio.
+export async function renderAudioMix({ segments, duration, decode, sampleRate = 48000 }) {
+  const length = Math.max(1, Math.ceil(duration * sampleRate));
+  const ctx = new OfflineAudioContext(2, length, sampleRate);
+
+  for (const segment of segments) {
+    if (segment.gain.every((p) => p.gain <= 0)) continue;
+    const buffer = await decode(segment.libId, ctx);
+    if (!buffer) continue;
+
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const gain = ctx.createGain();
+    const [first, ...rest] = segment.gain;
+    // Held before the first point, as in gainAt; the param would sit at 1
+    gain.gain.setValueAtTime(first.gain, 0);
+    gain.gain.setValueAtTime(first.gain, Math.max(0, first.time));
+    rest.forEach((p) => gain.gain.linearRampToValueAtTime(p.gain, Math.max(0, p.time)));
+
+    source.connect(gain).connect(ctx.destination);
+    source.start(segment.start, segment.offset, segment.duration);
+  }
+
+  return ctx.startRendering();
+}
+
+// 16-bit PCM WAV, for handing a mix to ffmpeg
+export function audioBufferToWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytes = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) bytes.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  bytes.setUint32(4, 36 + frames * channels * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  bytes.setUint32(16, 16, true);
+  bytes.setUint16(20, 1, true);
+  bytes.setUint16(22, channels, true);
+  bytes.setUint32(24, buffer.sampleRate, true);
+  bytes.setUint32(28, buffer.sampleRate * channels * 2, true);
+  bytes.setUint16(32, channels * 2, true);
+  bytes.setUint16(34, 16, true);
+  writeString(36, "data");
+  bytes.setUint32(40, frames * channels * 2, true);
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      bytes.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([bytes.buffer], { type: "audio/wav" });
+}
@@ -0,0 +1,88 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { buildAudioSchedule, gainAt, renderAudioMix } from "@/lib/audio";
+
+// An AudioParam that records its automation and evaluates it the way Web
+// Audio does: the default value until the first event, then set values held
+// and linear ramps running from the previous event
+class FakeParam {
+  constructor(value) {
+    this.defaultValue = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push({ type: "set", value, time });
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.events.push({ type: "ramp", value, time });
+  }
+
+  valueAt(t) {
+    let value = this.defaultValue;
+    let from = { time: 0, value };
+    for (const event of this.events) {
+      if (event.time > t) {
+        if (event.type === "ramp") {
+          const span = event.time - from.time;
+          return span > 0 ? from.value + ((event.value - from.value) * (t - from.time)) / span : event.value;
+        }
+        return value;
+      }
+      value = event.value;
+      from = event;
+    }
+    return value;
+  }
+}
+
+// Records the gain node of every scheduled source
+function fakeContext() {
+  const gains = [];
+  class FakeOfflineAudioContext {
+    destination = {};
+
+    createBufferSource() {
+      return { connect: (node) => node, start() {} };
+    }
+
+    createGain() {
+      const node = { gain: new FakeParam(1), connect: (next) => next };
+      gains.push(node);
+      return node;
+    }
+
+    startRendering() {
+      return Promise.resolve(null);
+    }
+  }
+  return { gains, FakeOfflineAudioContext };
+}
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("renderAudioMix", () => {
+  it("follows the live mixer's gainAt, holding the first point before it", async () => {
+    const library = [{ id: "song", type: "audio", duration: 20 }, { id: "pic", type: "image" }];
+    const segments = buildAudioSchedule({
+      timeline: [{ id: 1, libId: "pic", duration: 10 }],
+      library,
+      audioTracks: [{
+        id: "music",
+        libId: "song",
+        start: 0,
+        volume: 0.8,
+        envelope: [{ time: 3, gain: 0.25 }, { time: 5, gain: 1 }],
+      }],
+    });
+    const { gains, FakeOfflineAudioContext } = fakeContext();
+    vi.stubGlobal("OfflineAudioContext", FakeOfflineAudioContext);
+
+    await renderAudioMix({ segments, duration: 10, decode: async () => ({}) });
+
+    expect(gains).toHaveLength(1);
+    for (const t of [0, 1, 2.9, 3, 4, 5, 8]) {
+      expect(gains[0].gain.valueAt(t)).toBeCloseTo(gainAt(segments[0].gain, t));
+    }
+  });
+});
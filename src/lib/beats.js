@@ -0,0 +1,234 @@
+// Beat and onset detection for music tracks, and cutting image clips to the
+// beat. Detection runs offline: the Web Audio API decodes the file and splits
+// it into low/mid/high bands; rises in band loudness give an onset envelope,
+// whose autocorrelation gives the tempo, and dynamic programming (after
+// Ellis, "Beat Tracking by Dynamic Programming") places the beats.
+import { layoutTimeline } from "@/lib/timeline";
+
+const ANALYSIS_RATE = 8000;
+// Onset envelope resolution: 20 ms frames
+const HOP = 160;
+const FRAME_RATE = ANALYSIS_RATE / HOP;
+// Only this much of a file is analysed; later beats follow the tempo
+const MAX_ANALYSIS_SECONDS = 15 * 60;
+const MIN_TEMPO = 60;
+const MAX_TEMPO = 200;
+// Tempo the estimate leans towards when a half or double tempo fits as well
+const PREFERRED_TEMPO = 120;
+// How strongly beats keep to the tempo rather than chase onsets
+const TIGHTNESS = 100;
+// Onsets closer together than this are one
+const MIN_ONSET_GAP = 0.1;
+const BANDS = [
+  { type: "lowpass", frequency: 200 },
+  { type: "bandpass", frequency: 1000, Q: 0.7 },
+  { type: "highpass", frequency: 2500 },
+];
+
+export const BEAT_STEPS = ["beat", "twoBeats", "fourBeats", "bar"];
+export const BEATS_PER_BAR = [2, 3, 4, 6];
+// Tempos a manual override may set
+export const TEMPO_OVERRIDE_RANGE = [20, 300];
+
+// Beats between cuts for `step`
+export function stepBeats(step, beatsPerBar = 4) {
+  return { beat: 1, twoBeats: 2, fourBeats: 4, bar: beatsPerBar }[step] ?? 1;
+}
+
+// The file's sound as one channel per band
+async function bandSignals(file) {
+  const decoder = new OfflineAudioContext(1, 1, ANALYSIS_RATE);
+  const buffer = await decoder.decodeAudioData(await file.arrayBuffer());
+  const length = Math.min(buffer.length, MAX_ANALYSIS_SECONDS * ANALYSIS_RATE);
+
+  const ctx = new OfflineAudioContext(BANDS.length, length, ANALYSIS_RATE);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  const merger = ctx.createChannelMerger(BANDS.length);
+  BANDS.forEach((band, i) => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = band.type;
+    filter.frequency.value = band.frequency;
+    if (band.Q) filter.Q.value = band.Q;
+    source.connect(filter);
+    filter.connect(merger, 0, i);
+  });
+  merger.connect(ctx.destination);
+  source.start();
+  return ctx.startRendering();
+}
+
+// Per frame, how much louder the bands got: summed rises of log loudness,
+// scaled to unit standard deviation
+function onsetEnvelope(bands) {
+  const frames = Math.floor(bands.length / HOP);
+  const envelope = new Float32Array(frames);
+  for (let c = 0; c < bands.numberOfChannels; c++) {
+    const data = bands.getChannelData(c);
+    let prev = 0;
+    for (let f = 0; f < frames; f++) {
+      let sum = 0;
+      const end = Math.min(data.length, (f + 2) * HOP);
+      for (let i = f * HOP; i < end; i++) sum += data[i] * data[i];
+      const level = Math.log1p(1000 * Math.sqrt(sum / (end - f * HOP)));
+      if (f > 0) envelope[f] += Math.max(0, level - prev);
+      prev = level;
+    }
+  }
+
+  const mean = envelope.reduce((a, b) => a + b, 0) / (frames || 1);
+  const sd = Math.sqrt(envelope.reduce((a, b) => a + (b - mean) ** 2, 0) / (frames || 1)) || 1;
+  return envelope.map((v) => v / sd);
+}
+
+// Autocorrelation of `signal` at `lag`, per overlapping frame
+function autocorrelation(signal, lag) {
+  let sum = 0;
+  for (let i = 0; i + lag < signal.length; i++) sum += signal[i] * signal[i + lag];
+  return sum / Math.max(1, signal.length - lag);
+}
+
+// Beat period in frames: the autocorrelation lag within the tempo range that
+// best repeats (at one and two periods), weighted towards PREFERRED_TEMPO.
+// The envelope is smoothed first, so beats falling between frames still line up.
+function estimatePeriod(envelope) {
+  const mean = envelope.reduce((a, b) => a + b, 0) / (envelope.length || 1);
+  const smooth = envelope.map((_, i) => {
+    let sum = 0;
+    for (let k = -2; k <= 2; k++) sum += (3 - Math.abs(k)) * ((envelope[i + k] ?? mean) - mean);
+    return sum / 9;
+  });
+  const minLag = Math.floor((60 * FRAME_RATE) / MAX_TEMPO);
+  const maxLag = Math.ceil((60 * FRAME_RATE) / MIN_TEMPO);
+
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * FRAME_RATE) / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / PREFERRED_TEMPO) ** 2);
+    scores.push((autocorrelation(smooth, lag) + 0.5 * autocorrelation(smooth, 2 * lag)) * prior);
+  }
+
+  const best = scores.reduce((b, s, i) => (s > scores[b] ? i : b), 0);
+  // Parabolic interpolation between neighbouring lags
+  const [a, b, c] = [scores[best - 1], scores[best], scores[best + 1]];
+  const shift = a !== undefined && c !== undefined && a - 2 * b + c !== 0 ? (0.5 * (a - c)) / (a - 2 * b + c) : 0;
+  return minLag + best + Math.max(-0.5, Math.min(0.5, shift));
+}
+
+// Beat frames: each beat adds its onset strength to the best earlier chain,
+// less a penalty for straying from the period
+function trackBeats(envelope, period) {
+  const n = envelope.length;
+  const score = new Float32Array(n);
+  const previous = new Int32Array(n).fill(-1);
+  for (let t = 0; t < n; t++) {
+    let best = 0;
+    for (let tau = Math.max(0, t - Math.round(2 * period)); tau <= t - Math.round(period / 2); tau++) {
+      const s = score[tau] - TIGHTNESS * Math.log((t - tau) / period) ** 2;
+      if (s > best) {
+        best = s;
+        previous[t] = tau;
+      }
+    }
+    score[t] = envelope[t] + best;
+  }
+
+  // Backtrack from the best-scoring frame in the last period
+  let last = Math.max(0, n - Math.round(period));
+  for (let t = last; t < n; t++) if (score[t] > score[last]) last = t;
+  const beats = [];
+  for (let t = last; t >= 0; t = previous[t]) beats.push(t);
+  return beats.reverse();
+}
+
+// Local maxima clearly above their surroundings
+function pickOnsets(envelope) {
+  const onsets = [];
+  const near = 3;
+  const around = 25;
+  const gap = Math.round(MIN_ONSET_GAP * FRAME_RATE);
+  for (let f = 1; f < envelope.length - 1; f++) {
+    const v = envelope[f];
+    let isPeak = true;
+    let sum = 0;
+    let count = 0;
+    for (let i = Math.max(0, f - around); i <= Math.min(envelope.length - 1, f + around); i++) {
+      if (Math.abs(i - f) <= near && envelope[i] > v) isPeak = false;
+      sum += envelope[i];
+      count++;
+    }
+    if (isPeak && v > sum / count + 0.5 && (!onsets.length || f - onsets[onsets.length - 1] >= gap)) onsets.push(f);
+  }
+  return onsets;
+}
+
+// A frame's loudness covers two hops; its time is the middle of that window
+const frameTime = (frame) => Math.round(((frame + 1) / FRAME_RATE) * 1000) / 1000;
+
+// { tempo, times, onsets } of the music in `file`: beats per minute and beat
+// and onset times in seconds
+export async function detectBeats(file) {
+  const envelope = onsetEnvelope(await bandSignals(file));
+  const period = estimatePeriod(envelope);
+  return {
+    tempo: Math.round(((60 * FRAME_RATE) / period) * 10) / 10,
+    times: trackBeats(envelope, period).map(frameTime),
+    onsets: pickOnsets(envelope).map(frameTime),
+  };
+}
+
+// Beat times (seconds into the media) of an analysed audio track up to
+// `duration`. A tempo override keeps the first detected beat and spaces the
+// rest evenly; detected beats are continued at the tempo past the analysis.
+export function trackBeatTimes(track, duration) {
+  const { beats, beatTempo } = track;
+  if (!beats?.times.length) return [];
+  const tempo = beatTempo > 0 ? Math.min(TEMPO_OVERRIDE_RANGE[1], Math.max(TEMPO_OVERRIDE_RANGE[0], beatTempo)) : beats.tempo;
+  const period = 60 / tempo;
+  const times = beatTempo ? [beats.times[0]] : [...beats.times];
+  for (let t = times[times.length - 1] + period; t < duration; t += period) times.push(Math.round(t * 1000) / 1000);
+  return times.filter((t) => t < duration);
+}
+
+// The first time in the sorted `grid` at or after `time`; past its end the
+// grid continues at its last spacing
+function gridTimeAfter(grid, time) {
+  const found = grid.find((g) => g >= time);
+  if (found !== undefined) return found;
+  const spacing = grid.length > 1 ? grid[grid.length - 1] - grid[grid.length - 2] : 1;
+  return grid[grid.length - 1] + Math.ceil((time - grid[grid.length - 1]) / spacing) * spacing;
+}
+
+// `timeline` with the durations of its image clips changed so that each ends
+// on the `grid` (timeline times of the cuts, e.g. every other beat); a
+// transition into the next clip finishes on the beat. Each image (or
+// generated card) lasts about one grid step; videos keep their length.
+export function snapToBeats(timeline, library, transitionDefaults, grid) {
+  if (grid.length < 2) return timeline;
+  const step = (grid[grid.length - 1] - grid[0]) / (grid.length - 1);
+  let snapped = timeline;
+  // Transitions are capped by clip lengths, so changing one clip can move
+  // the next; a second pass settles that
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = 0; i < snapped.length; i++) {
+      const { clip, lib, start, transition } = layoutTimeline(snapped, library, transitionDefaults)[i];
+      if (lib?.type !== "image" && !clip.card) continue;
+      // Counted from where the incoming transition ends, i.e. the last cut
+      const end = gridTimeAfter(grid, start + transition.duration + step / 2);
+      const duration = Math.round((end - start) * 1000) / 1000;
+      if (duration !== snapped[i].duration) {
+        snapped = snapped.map((clip, j) => (j === i ? { ...clip, duration } : clip));
+      }
+    }
+  }
+  return snapped;
+}
+
+// The marker in sorted `times` nearest to `time`, if within `tolerance`
+export function nearestMarker(times, time, tolerance) {
+  let best = null;
+  for (const t of times) {
+    if (Math.abs(t - time) <= tolerance && (best === null || Math.abs(t - time) < Math.abs(best - time))) best = t;
+  }
+  return best;
+}
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { nearestMarker, snapToBeats, stepBeats, trackBeatTimes } from "@/lib/beats";
+import { layoutTimeline } from "@/lib/timeline";
+
+const library = [
+  { id: "img", type: "image" },
+  { id: "vid", type: "video", duration: 2.5 },
+];
+
+// Cut times every `spacing` seconds from 0 to `end`
+const grid = (spacing, end) => Array.from({ length: Math.round(end / spacing) + 1 }, (_, i) => i * spacing);
+
+describe("stepBeats", () => {
+  it("counts beats per cut, a bar following the time signature", () => {
+    expect(stepBeats("twoBeats")).toBe(2);
+    expect(stepBeats("bar", 3)).toBe(3);
+    expect(stepBeats("unknown")).toBe(1);
+  });
+});
+
+describe("trackBeatTimes", () => {
+  it("is empty for a track without detected beats", () => {
+    expect(trackBeatTimes({}, 10)).toEqual([]);
+    expect(trackBeatTimes({ beats: { tempo: 120, times: [] } }, 10)).toEqual([]);
+  });
+
+  it("continues the detected beats at the tempo up to the duration", () => {
+    const track = { beats: { tempo: 120, times: [0.5, 1, 1.5] } };
+    expect(trackBeatTimes(track, 3)).toEqual([0.5, 1, 1.5, 2, 2.5]);
+    expect(trackBeatTimes(track, 1.2)).toEqual([0.5, 1]);
+  });
+
+  it("spaces an overridden tempo evenly from the first detected beat", () => {
+    const track = { beats: { tempo: 120, times: [0.5, 0.9, 1.6] }, beatTempo: 60 };
+    expect(trackBeatTimes(track, 3)).toEqual([0.5, 1.5, 2.5]);
+  });
+
+  it("clamps an overridden tempo to the allowed range", () => {
+    const track = { beats: { tempo: 120, times: [0] }, beatTempo: 1000 };
+    expect(trackBeatTimes(track, 1)).toEqual([0, 0.2, 0.4, 0.6, 0.8]);
+  });
+});
+
+describe("snapToBeats", () => {
+  it("leaves the timeline alone without at least two grid times", () => {
+    const timeline = [{ id: 1, libId: "img", duration: 3 }];
+    expect(snapToBeats(timeline, library, {}, [1])).toBe(timeline);
+  });
+
+  it("ends images and cards on the grid and keeps video lengths", () => {
+    const timeline = [
+      { id: 1, libId: "img", duration: 3 },
+      { id: 2, libId: "vid" },
+      { id: 3, card: { type: "title" }, duration: 2.2 },
+    ];
+    const snapped = snapToBeats(timeline, library, { type: "cut" }, grid(1, 10));
+    expect(snapped.map((clip) => clip.duration)).toEqual([1, undefined, 0.5]);
+    expect(snapped[1]).toBe(timeline[1]);
+  });
+
+  it("finishes transitions into the next clip on the beat", () => {
+    const timeline = [
+      { id: 1, libId: "img", duration: 3 },
+      { id: 2, libId: "img", duration: 3 },
+      { id: 3, libId: "img", duration: 3 },
+    ];
+    const defaults = { type: "fade", duration: 0.5 };
+    const layout = layoutTimeline(snapToBeats(timeline, library, defaults, grid(1, 20)), library, defaults);
+    for (const { start, duration, transition } of layout) {
+      expect(Number.isInteger(start + transition.duration)).toBe(true);
+      expect(Number.isInteger(start + duration)).toBe(true);
+    }
+    expect(layout.slice(1).every((entry) => entry.transition.duration === 0.5)).toBe(true);
+  });
+
+  it("continues the grid at its last spacing past its end", () => {
+    const timeline = [
+      { id: 1, libId: "img", duration: 3 },
+      { id: 2, libId: "img", duration: 3 },
+    ];
+    const snapped = snapToBeats(timeline, library, { type: "cut" }, [0, 0.5]);
+    expect(snapped.map((clip) => clip.duration)).toEqual([0.5, 0.5]);
+  });
+});
+
+describe("nearestMarker", () => {
+  it("picks the closest marker within the tolerance", () => {
+    expect(nearestMarker([1, 2, 3], 2.3, 0.5)).toBe(2);
+    expect(nearestMarker([1, 2, 3], 2.6, 0.5)).toBe(3);
+    expect(nearestMarker([1, 2, 3], 4, 0.5)).toBeNull();
+  });
+});
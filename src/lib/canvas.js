@@ -0,0 +1,10 @@
+// Scratch canvases for off-screen drawing. The compositor may run in a
+// worker, where there is no document, so OffscreenCanvas is preferred.
+export function createCanvas(width = 300, height = 150) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
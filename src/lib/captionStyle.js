@@ -0,0 +1,176 @@
+// Text styling for captions and the title. Sizes are fractions of the
+// shorter canvas side and positions fractions of the frame, so a style looks
+// the same at every output resolution.
+
+export const BUILTIN_FONTS = {
+  monospace: "monospace",
+  sans: "system-ui, sans-serif",
+  serif: "Georgia, serif",
+  impact: "Impact, 'Arial Black', sans-serif",
+  typewriter: "'Courier New', monospace",
+};
+
+export const TEXT_CASES = ["none", "upper", "lower", "title"];
+export const TEXT_ALIGNS = ["left", "center", "right"];
+export const TEXT_POSITIONS = ["top", "bottom", "lowerThird", "custom"];
+
+// Broadcast safe areas, as the fraction of the frame kept on each axis
+export const ACTION_SAFE = 0.93;
+export const TITLE_SAFE = 0.9;
+
+export const DEFAULT_CAPTION_STYLE = {
+  font: "monospace",
+  bold: true,
+  size: 0.039,
+  case: "upper",
+  align: "center",
+  position: "bottom",
+  x: 0.5,
+  y: 0.85,
+  // null uses the theme colour
+  color: "#ffffff",
+  box: true,
+  boxColor: "#000000",
+  boxOpacity: 0.8,
+  boxBorder: true,
+  outline: false,
+  outlineColor: "#000000",
+  outlineWidth: 0.08,
+  shadow: true,
+};
+
+export const DEFAULT_TITLE_STYLE = {
+  ...DEFAULT_CAPTION_STYLE,
+  size: 0.058,
+  align: "left",
+  position: "top",
+  x: 0.05,
+  y: 0.1,
+  color: null,
+  boxOpacity: 0.7,
+  boxBorder: false,
+};
+
+export function fontFamilyFor(font, library = []) {
+  if (BUILTIN_FONTS[font]) return BUILTIN_FONTS[font];
+  const item = library.find((l) => l.id === font && l.type === "font");
+  return item ? `"${item.family}", ${BUILTIN_FONTS.sans}` : BUILTIN_FONTS.monospace;
+}
+
+function applyCase(text, mode) {
+  if (mode === "upper") return text.toUpperCase();
+  if (mode === "lower") return text.toLowerCase();
+  if (mode === "title") return text.toLowerCase().replace(/(^|\s)(\S)/g, (_, space, c) => space + c.toUpperCase());
+  return text;
+}
+
+// Greedy word wrap; a single word wider than `maxWidth` keeps its own line
+export function wrapLines(ctx, text, maxWidth) {
+  const words = text.split(" ");
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const testLine = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(testLine).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = testLine;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+export function safeRect(w, h, fraction = TITLE_SAFE) {
+  const insetX = (w * (1 - fraction)) / 2;
+  const insetY = (h * (1 - fraction)) / 2;
+  return { x: insetX, y: insetY, w: w - insetX * 2, h: h - insetY * 2 };
+}
+
+// Draw `text` (explicit line breaks are kept) with `style` inside the title
+// safe area of a w×h frame. `accent` is the theme's { primary, shadow }.
+// For cards (see cards.js): `reveal` shows only that many characters, each
+// line already where it ends up; `scroll` (px) ignores the position and
+// raises the block that far from just below the frame; `keepBlankLines`
+// keeps empty lines as spacing.
+export function drawStyledText(ctx, text, style, { w, h, accent, library, reveal = null, scroll = null, keepBlankLines = false }) {
+  const px = Math.max(8, Math.round(style.size * Math.min(w, h)));
+  ctx.font = `${style.bold ? "bold " : ""}${px}px ${fontFamilyFor(style.font, library)}`;
+
+  const safe = safeRect(w, h);
+  const padX = px * 0.6;
+  const padY = px * 0.25;
+  const maxWidth = safe.w - padX * 2;
+  const lines = applyCase(text, style.case)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line || keepBlankLines)
+    .flatMap((line) => wrapLines(ctx, line, maxWidth));
+  if (!lines.some(Boolean)) return;
+
+  const lineHeight = px + padY * 2;
+  const blockH = lineHeight * lines.length;
+
+  // Top of the text block
+  const clampTop = (top) => Math.max(safe.y, Math.min(safe.y + safe.h - blockH, top));
+  const top = scroll != null ? h - scroll : clampTop({
+    top: safe.y,
+    bottom: safe.y + safe.h - blockH,
+    lowerThird: h * 0.75 - blockH / 2,
+    custom: style.y * h - blockH / 2,
+  }[style.position] ?? safe.y + safe.h - blockH);
+
+  // Horizontal anchor the lines align to
+  const anchorX = style.position === "custom"
+    ? Math.max(safe.x + padX, Math.min(safe.x + safe.w - padX, style.x * w))
+    : { left: safe.x + padX, center: w / 2, right: safe.x + safe.w - padX }[style.align];
+
+  ctx.save();
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.lineJoin = "round";
+
+  let remaining = reveal ?? Infinity;
+  lines.forEach((fullLine, i) => {
+    const line = fullLine.slice(0, Math.max(0, remaining));
+    remaining -= fullLine.length;
+    const lineTop = top + i * lineHeight;
+    if (!line || lineTop > h || lineTop + lineHeight < 0) return;
+
+    // Lines are placed by their full width, so a revealed line doesn't shift
+    const fullW = ctx.measureText(fullLine).width;
+    const lineW = ctx.measureText(line).width;
+    const lineX = { left: anchorX, center: anchorX - fullW / 2, right: anchorX - fullW }[style.align];
+    const centerY = lineTop + lineHeight / 2;
+
+    if (style.box) {
+      const left = lineX - padX;
+      ctx.globalAlpha = style.boxOpacity;
+      ctx.fillStyle = style.boxColor;
+      ctx.fillRect(left, lineTop, lineW + padX * 2, lineHeight);
+      ctx.globalAlpha = 1;
+      if (style.boxBorder) {
+        ctx.strokeStyle = accent.primary;
+        ctx.lineWidth = Math.max(1, px * 0.07);
+        ctx.strokeRect(left, lineTop, lineW + padX * 2, lineHeight);
+      }
+    }
+
+    if (style.shadow) {
+      ctx.shadowColor = style.color ? "rgba(0,0,0,0.8)" : accent.shadow;
+      ctx.shadowBlur = px * 0.25;
+    }
+    if (style.outline) {
+      ctx.strokeStyle = style.outlineColor;
+      ctx.lineWidth = Math.max(1, px * style.outlineWidth * 2);
+      ctx.strokeText(line, lineX, centerY);
+    }
+    ctx.fillStyle = style.color || accent.primary;
+    ctx.fillText(line, lineX, centerY);
+    ctx.shadowBlur = 0;
+  });
+
+  ctx.restore();
+}
@@ -0,0 +1,178 @@
+// Generated clips: title cards, chapter slates, scrolling credits and
+// countdowns, drawn on the canvas instead of coming from a library item. A
+// card clip is an ordinary timeline clip without `libId`, timed like an image
+// by `duration`, carrying
+//   card = { kind, text, background, color, color2, angle, speed,
+//            typewriter, typeSpeed, from, style }
+// `style` overrides CARD_TEXT_STYLE (see captionStyle.js); a `color` of null
+// there, as in titles, uses the theme colour.
+import { DEFAULT_TITLE_STYLE, drawStyledText } from "@/lib/captionStyle";
+
+export const CARD_KINDS = ["title", "credits", "countdown"];
+export const CARD_BACKGROUNDS = ["theme", "solid", "gradient", "crt"];
+
+export const DEFAULT_CARD = {
+  kind: "title",
+  text: "",
+  background: "theme",
+  color: "#000000",
+  color2: "#1e293b",
+  // Gradient direction in degrees, clockwise from left-to-right
+  angle: 135,
+  // Credits scroll speed, in frame heights per second
+  speed: 0.1,
+  typewriter: false,
+  // Typewriter speed, in characters per second
+  typeSpeed: 15,
+  // Countdowns count down from this number, one step per equal part of the clip
+  from: 3,
+};
+
+export const CARD_TEXT_STYLE = {
+  ...DEFAULT_TITLE_STYLE,
+  size: 0.07,
+  case: "none",
+  align: "center",
+  position: "custom",
+  x: 0.5,
+  y: 0.5,
+  box: false,
+};
+
+// Starting points for new cards; their text is filled in by the caller
+export const CARD_TEMPLATES = {
+  intro: { duration: 4, card: { kind: "title", background: "theme" } },
+  chapter: { duration: 3, card: { kind: "title", background: "gradient", typewriter: true } },
+  credits: { duration: 12, card: { kind: "credits", background: "solid" } },
+  countdown: { duration: 3, card: { kind: "countdown", background: "crt" } },
+};
+
+export const MIN_CARD_DURATION = 0.05;
+export const CREDITS_SPEED_RANGE = [0.02, 0.5];
+
+export function getCardSpec(clip) {
+  return { ...DEFAULT_CARD, ...clip.card };
+}
+
+export function cardTextStyle(card) {
+  return { ...CARD_TEXT_STYLE, ...card.style };
+}
+
+// A new card clip from `template` (a CARD_TEMPLATES key) showing `text`
+export function createCardClip(template, text = "") {
+  const { duration, card } = CARD_TEMPLATES[template] ?? CARD_TEMPLATES.intro;
+  return { id: crypto.randomUUID(), duration, card: { ...DEFAULT_CARD, ...card, text } };
+}
+
+// What a card clip is called in lists: its first line of text, else its kind
+export function cardLabel(card, kindNames) {
+  const firstLine = (card.text || "").split("\n").map((line) => line.trim()).find(Boolean);
+  return card.kind !== "countdown" && firstLine ? firstLine : kindNames[card.kind];
+}
+
+// Fill a w×h frame with the background of `card`; only its { background,
+// color, color2, angle } are used, so desktop wallpapers (see chrome.js) share it
+export function drawCardBackground(ctx, card, w, h, theme) {
+  ctx.save();
+  if (card.background === "solid") {
+    ctx.fillStyle = card.color;
+    ctx.fillRect(0, 0, w, h);
+  } else if (card.background === "gradient") {
+    const angle = ((card.angle ?? DEFAULT_CARD.angle) * Math.PI) / 180;
+    // Long enough for the gradient to reach every corner
+    const half = (Math.abs(w * Math.cos(angle)) + Math.abs(h * Math.sin(angle))) / 2;
+    const dx = Math.cos(angle) * half;
+    const dy = Math.sin(angle) * half;
+    const gradient = ctx.createLinearGradient(w / 2 - dx, h / 2 - dy, w / 2 + dx, h / 2 + dy);
+    gradient.addColorStop(0, card.color);
+    gradient.addColorStop(1, card.color2);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, w, h);
+  } else if (card.background === "crt") {
+    // Phosphor screen: a dark tint of the theme, scanlines and a vignette
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = theme.primary;
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = "#000000";
+    const pitch = Math.max(2, Math.round(h / 270));
+    for (let y = 0; y < h; y += pitch * 2) ctx.fillRect(0, y, w, pitch);
+    ctx.globalAlpha = 1;
+    const vignette = ctx.createRadialGradient(w / 2, h / 2, Math.min(w, h) * 0.3, w / 2, h / 2, Math.hypot(w, h) / 2);
+    vignette.addColorStop(0, "rgba(0,0,0,0)");
+    vignette.addColorStop(1, "rgba(0,0,0,0.7)");
+    ctx.fillStyle = vignette;
+    ctx.fillRect(0, 0, w, h);
+  } else {
+    // Theme: black with a soft glow of the theme colour
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, w, h);
+    const glow = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, Math.hypot(w, h) / 2);
+    glow.addColorStop(0, theme.primary);
+    glow.addColorStop(1, "#000000");
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, w, h);
+  }
+  ctx.restore();
+}
+
+// Film-leader countdown: a sweeping hand over crosshairs and the number
+function drawCountdown(ctx, card, style, { w, h, theme, time, duration, library }) {
+  const count = Math.max(1, Math.round(card.from || DEFAULT_CARD.from));
+  const step = duration / count;
+  const index = Math.min(count - 1, Math.floor(time / step));
+  const sweep = step > 0 ? (time - index * step) / step : 0;
+  const cx = w / 2;
+  const cy = h / 2;
+  const r = Math.min(w, h) * 0.32;
+  const colour = style.color || theme.primary;
+
+  ctx.save();
+  ctx.strokeStyle = colour;
+  ctx.fillStyle = colour;
+  ctx.lineWidth = Math.max(2, r * 0.02);
+  ctx.globalAlpha = 0.2;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy);
+  ctx.arc(cx, cy, r, -Math.PI / 2, -Math.PI / 2 + sweep * Math.PI * 2);
+  ctx.closePath();
+  ctx.fill();
+  ctx.globalAlpha = 0.5;
+  ctx.beginPath();
+  ctx.moveTo(0, cy);
+  ctx.lineTo(w, cy);
+  ctx.moveTo(cx, 0);
+  ctx.lineTo(cx, h);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  [r, r * 0.85].forEach((radius) => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.restore();
+
+  const numberStyle = { ...style, size: style.size * 4, position: "custom", x: 0.5, y: 0.5, align: "center", box: false };
+  drawStyledText(ctx, String(count - index), numberStyle, { w, h, accent: theme, library });
+}
+
+// Draw `card` into a w×h frame, `time` seconds into a clip of `duration`.
+// `theme` is the colour theme; `library` provides custom fonts.
+export function drawCard(ctx, card, { w, h, theme, time, duration, library }) {
+  const style = cardTextStyle(card);
+  drawCardBackground(ctx, card, w, h, theme);
+
+  if (card.kind === "countdown") {
+    drawCountdown(ctx, card, style, { w, h, theme, time, duration, library });
+    return;
+  }
+
+  const options = { w, h, accent: theme, library, keepBlankLines: true };
+  if (card.typewriter) options.reveal = Math.floor(Math.max(0, time) * (card.typeSpeed || DEFAULT_CARD.typeSpeed));
+  // Credits rise from below the frame
+  if (card.kind === "credits") options.scroll = Math.max(0, time) * (card.speed || DEFAULT_CARD.speed) * h;
+  drawStyledText(ctx, card.text || "", style, options);
+}
@@ -0,0 +1,321 @@
+// Desktop chrome: a clip shown in an OS window on a wallpaper, with a
+// keyframed mouse cursor, click ripples and zoom-to-cursor. A clip's `chrome`
+// is
+//   { frame, title, background, color, color2, angle, wallpaper, scale,
+//     shadow, cursor, cursorSize }
+// `background` is a card background (see cards.js) or "image", showing the
+// library image `wallpaper`. `cursor` holds keyframes { time, x, y, click,
+// zoom }: seconds into the clip, a point in the window content (fractions),
+// whether it clicks there and the zoom around it.
+import { CARD_BACKGROUNDS, drawCardBackground } from "@/lib/cards";
+import { coverRect } from "@/lib/fit";
+
+export const FRAME_STYLES = ["none", "modern", "retro", "terminal"];
+export const CHROME_BACKGROUNDS = [...CARD_BACKGROUNDS, "image"];
+
+export const DEFAULT_CHROME = {
+  frame: "modern",
+  title: "",
+  background: "theme",
+  color: "#1e293b",
+  color2: "#0f172a",
+  angle: 135,
+  wallpaper: null,
+  // Largest share of the frame the window takes, on either axis
+  scale: 0.82,
+  shadow: true,
+  cursor: [],
+  cursorSize: 1,
+};
+
+export const WINDOW_SCALE_RANGE = [0.4, 1];
+export const ZOOM_RANGE = [1, 4];
+// How long a click ripple lasts, in seconds
+const RIPPLE_DURATION = 0.6;
+// Title bar heights, as fractions of the frame height
+const BAR_HEIGHTS = { none: 0, modern: 0.045, retro: 0.04, terminal: 0.04 };
+
+export function getChromeSpec(clip) {
+  return clip.chrome ? { ...DEFAULT_CHROME, ...clip.chrome } : null;
+}
+
+// Keyframes in time order
+export function sortKeyframes(points = []) {
+  return [...points].sort((a, b) => a.time - b.time);
+}
+
+// Where the parts of the window go in a w×h frame, for a source of srcW×srcH:
+// { window, bar, content, border }, each rectangle { x, y, w, h }. Without a
+// frame the content fills the whole frame.
+export function chromeLayout(chrome, srcW, srcH, w, h) {
+  if (chrome.frame === "none") return { window: null, bar: null, content: { x: 0, y: 0, w, h }, border: 0 };
+
+  const bar = (BAR_HEIGHTS[chrome.frame] ?? BAR_HEIGHTS.modern) * h;
+  const border = { retro: Math.max(2, h * 0.004), terminal: Math.max(1, h * 0.002) }[chrome.frame] ?? 0;
+  const aspect = srcW && srcH ? srcW / srcH : w / h;
+  const scale = Math.max(WINDOW_SCALE_RANGE[0], Math.min(WINDOW_SCALE_RANGE[1], chrome.scale));
+
+  let cw = w * scale - border * 2;
+  let ch = cw / aspect;
+  if (ch + bar + border * 2 > h * scale) {
+    ch = h * scale - bar - border * 2;
+    cw = ch * aspect;
+  }
+  const ww = cw + border * 2;
+  const wh = ch + bar + border * 2;
+  const x = (w - ww) / 2;
+  const y = (h - wh) / 2;
+  return {
+    window: { x, y, w: ww, h: wh },
+    bar: { x: x + border, y: y + border, w: cw, h: bar },
+    content: { x: x + border, y: y + border + bar, w: cw, h: ch },
+    border,
+  };
+}
+
+const smoothstep = (p) => p * p * (3 - 2 * p);
+
+// The cursor { x, y, zoom } at `time` seconds into the clip, easing between
+// keyframes; null without keyframes
+export function cursorAt(points, time) {
+  const sorted = sortKeyframes(points);
+  if (!sorted.length) return null;
+  const state = (p) => ({ x: p.x, y: p.y, zoom: p.zoom || 1 });
+  if (time <= sorted[0].time) return state(sorted[0]);
+  for (let i = 1; i < sorted.length; i++) {
+    const a = sorted[i - 1];
+    const b = sorted[i];
+    if (time > b.time) continue;
+    const p = b.time > a.time ? smoothstep((time - a.time) / (b.time - a.time)) : 1;
+    const lerp = (u, v) => u + (v - u) * p;
+    return { x: lerp(a.x, b.x), y: lerp(a.y, b.y), zoom: lerp(a.zoom || 1, b.zoom || 1) };
+  }
+  return state(sorted[sorted.length - 1]);
+}
+
+// A point of the window content in frame pixels
+const contentPoint = (layout, x, y) => ({
+  x: layout.content.x + x * layout.content.w,
+  y: layout.content.y + y * layout.content.h,
+});
+
+function windowPath(ctx, chrome, rect, h) {
+  ctx.beginPath();
+  if (chrome.frame === "modern" && ctx.roundRect) {
+    ctx.roundRect(rect.x, rect.y, rect.w, rect.h, h * 0.012);
+  } else {
+    ctx.rect(rect.x, rect.y, rect.w, rect.h);
+  }
+}
+
+// `text` cut down with an ellipsis to fit `maxWidth` in the current font
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let cut = text;
+  while (cut && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1);
+  return cut ? `${cut}…` : "";
+}
+
+function bevel(ctx, { x, y, w, h }, size, raised = true) {
+  ctx.fillStyle = raised ? "#ffffff" : "#404040";
+  ctx.fillRect(x, y, w, size);
+  ctx.fillRect(x, y, size, h);
+  ctx.fillStyle = raised ? "#404040" : "#ffffff";
+  ctx.fillRect(x, y + h - size, w, size);
+  ctx.fillRect(x + w - size, y, size, h);
+}
+
+function drawModernBar(ctx, chrome, bar, h) {
+  ctx.fillStyle = "#e5e7eb";
+  ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+  ["#ff5f57", "#febc2e", "#28c840"].forEach((colour, i) => {
+    ctx.beginPath();
+    ctx.arc(bar.x + bar.h * (0.6 + i * 0.45), bar.y + bar.h / 2, bar.h * 0.14, 0, Math.PI * 2);
+    ctx.fillStyle = colour;
+    ctx.fill();
+  });
+  ctx.font = `${Math.round(bar.h * 0.4)}px system-ui, sans-serif`;
+  ctx.fillStyle = "#374151";
+  ctx.textAlign = "center";
+  ctx.fillText(fitText(ctx, chrome.title, bar.w - bar.h * 4), bar.x + bar.w / 2, bar.y + bar.h / 2);
+  ctx.fillStyle = "rgba(0,0,0,0.12)";
+  ctx.fillRect(bar.x, bar.y + bar.h - Math.max(1, h * 0.001), bar.w, Math.max(1, h * 0.001));
+}
+
+function drawRetroBar(ctx, chrome, bar, border) {
+  const gradient = ctx.createLinearGradient(bar.x, 0, bar.x + bar.w, 0);
+  gradient.addColorStop(0, "#000080");
+  gradient.addColorStop(1, "#1084d0");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+
+  // Minimise, maximise and close buttons
+  const size = bar.h * 0.72;
+  const top = bar.y + (bar.h - size) / 2;
+  ["min", "max", "close"].forEach((kind, i) => {
+    const x = bar.x + bar.w - (3 - i) * (size + border) - border;
+    ctx.fillStyle = "#c0c0c0";
+    ctx.fillRect(x, top, size, size);
+    bevel(ctx, { x, y: top, w: size, h: size }, Math.max(1, border / 2));
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = Math.max(1, size * 0.1);
+    ctx.beginPath();
+    const m = size * 0.28;
+    if (kind === "min") {
+      ctx.moveTo(x + m, top + size - m);
+      ctx.lineTo(x + size - m, top + size - m);
+    } else if (kind === "max") {
+      ctx.rect(x + m, top + m, size - m * 2, size - m * 2);
+    } else {
+      ctx.moveTo(x + m, top + m);
+      ctx.lineTo(x + size - m, top + size - m);
+      ctx.moveTo(x + size - m, top + m);
+      ctx.lineTo(x + m, top + size - m);
+    }
+    ctx.stroke();
+  });
+
+  ctx.font = `bold ${Math.round(bar.h * 0.5)}px Tahoma, "MS Sans Serif", sans-serif`;
+  ctx.fillStyle = "#ffffff";
+  ctx.textAlign = "left";
+  ctx.fillText(fitText(ctx, chrome.title, bar.w - 3 * (size + border) - bar.h * 0.6), bar.x + bar.h * 0.3, bar.y + bar.h / 2);
+}
+
+function drawTerminalBar(ctx, chrome, bar, theme) {
+  ctx.save();
+  ctx.globalAlpha = 0.25;
+  ctx.fillStyle = theme.primary;
+  ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+  ctx.restore();
+  ctx.font = `${Math.round(bar.h * 0.5)}px monospace`;
+  ctx.fillStyle = theme.primary;
+  ctx.textAlign = "center";
+  ctx.fillText(fitText(ctx, `[ ${chrome.title} ]`, bar.w * 0.9), bar.x + bar.w / 2, bar.y + bar.h / 2);
+}
+
+// The wallpaper: a card background, or the `wallpaper` image covering the frame
+export function drawDesktop(ctx, chrome, { w, h, theme, wallpaper }) {
+  if (chrome.background === "image") {
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, w, h);
+    if (wallpaper) {
+      const { x, y, dw, dh } = coverRect(wallpaper.width, wallpaper.height, w, h);
+      ctx.drawImage(wallpaper, x, y, dw, dh);
+    }
+    return;
+  }
+  drawCardBackground(ctx, chrome, w, h, theme);
+}
+
+// The window around `content` (a canvas holding the clip's picture at the
+// content size): drop shadow, frame, title bar and the picture itself
+export function drawWindow(ctx, chrome, layout, content, { h, theme }) {
+  const { window: win, bar, border } = layout;
+  ctx.save();
+  if (win) {
+    if (chrome.shadow) {
+      ctx.shadowColor = "rgba(0,0,0,0.55)";
+      ctx.shadowBlur = h * 0.04;
+      ctx.shadowOffsetY = h * 0.012;
+    }
+    windowPath(ctx, chrome, win, h);
+    ctx.fillStyle = { retro: "#c0c0c0", terminal: "#000000" }[chrome.frame] ?? "#f3f4f6";
+    ctx.fill();
+    ctx.shadowColor = "transparent";
+
+    ctx.save();
+    windowPath(ctx, chrome, win, h);
+    ctx.clip();
+    ctx.textBaseline = "middle";
+    if (chrome.frame === "retro") {
+      bevel(ctx, win, Math.max(1, border / 2));
+      drawRetroBar(ctx, chrome, bar, border);
+    } else if (chrome.frame === "terminal") {
+      drawTerminalBar(ctx, chrome, bar, theme);
+    } else {
+      drawModernBar(ctx, chrome, bar, h);
+    }
+    ctx.drawImage(content, layout.content.x, layout.content.y, layout.content.w, layout.content.h);
+    ctx.restore();
+
+    if (chrome.frame === "terminal") {
+      ctx.strokeStyle = theme.primary;
+      ctx.lineWidth = border;
+      ctx.strokeRect(win.x + border / 2, win.y + border / 2, win.w - border, win.h - border);
+    }
+  } else {
+    ctx.drawImage(content, 0, 0, layout.content.w, layout.content.h);
+  }
+  ctx.restore();
+}
+
+// The cursor and its click ripples at `time`. With `showPath` (while the
+// path is edited) the keyframes are marked and joined.
+export function drawCursor(ctx, chrome, layout, time, { h, theme, showPath = false }) {
+  const points = sortKeyframes(chrome.cursor);
+  const cursor = cursorAt(points, time);
+  if (!cursor) return;
+  ctx.save();
+
+  if (showPath) {
+    ctx.strokeStyle = theme.primary;
+    ctx.fillStyle = theme.primary;
+    ctx.lineWidth = Math.max(1, h * 0.002);
+    ctx.setLineDash([h * 0.01, h * 0.008]);
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      const { x, y } = contentPoint(layout, p.x, p.y);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+    points.forEach((p) => {
+      const { x, y } = contentPoint(layout, p.x, p.y);
+      ctx.beginPath();
+      ctx.arc(x, y, h * (p.click ? 0.008 : 0.005), 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  points.forEach((p) => {
+    const age = time - p.time;
+    if (!p.click || age < 0 || age >= RIPPLE_DURATION) return;
+    const progress = age / RIPPLE_DURATION;
+    const { x, y } = contentPoint(layout, p.x, p.y);
+    ctx.globalAlpha = 1 - progress;
+    ctx.strokeStyle = theme.primary;
+    ctx.lineWidth = Math.max(2, h * 0.005);
+    ctx.beginPath();
+    ctx.arc(x, y, h * (0.01 + 0.05 * progress), 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+
+  // Arrow pointer, its tip on the point; it dips briefly on a click
+  const pressed = points.some((p) => p.click && time >= p.time && time - p.time < 0.15);
+  const size = h * 0.032 * (chrome.cursorSize || 1) * (pressed ? 0.85 : 1);
+  const { x, y } = contentPoint(layout, cursor.x, cursor.y);
+  const arrow = [[0, 0], [0, 0.8], [0.22, 0.62], [0.36, 0.95], [0.48, 0.9], [0.34, 0.58], [0.6, 0.58]];
+  ctx.beginPath();
+  arrow.forEach(([ax, ay], i) => (i === 0 ? ctx.moveTo(x + ax * size, y + ay * size) : ctx.lineTo(x + ax * size, y + ay * size)));
+  ctx.closePath();
+  ctx.shadowColor = "rgba(0,0,0,0.4)";
+  ctx.shadowBlur = size * 0.15;
+  ctx.fillStyle = "#ffffff";
+  ctx.fill();
+  ctx.shadowColor = "transparent";
+  ctx.strokeStyle = "#000000";
+  ctx.lineWidth = Math.max(1, size * 0.06);
+  ctx.lineJoin = "round";
+  ctx.stroke();
+  ctx.restore();
+}
+
+// The point (frame pixels) and factor to zoom around at `time`; null when
+// the cursor is not zoomed in
+export function cursorZoom(chrome, layout, time) {
+  const cursor = cursorAt(chrome.cursor, time);
+  if (!cursor || cursor.zoom <= 1.001) return null;
+  return { ...contentPoint(layout, cursor.x, cursor.y), factor: Math.min(ZOOM_RANGE[1], cursor.zoom) };
+}
@@ -0,0 +1,335 @@
+// The frame compositor: clips (fitted, framed and graded, optionally in a
+// desktop window) and generated cards, transitions, overlays, subtitles, the
+// title and CRT post-processing, drawn onto one canvas. It draws only what it
+// is given, so the same code runs in a worker (see compositor.worker.js) or on
+// the main thread, for the preview and exports.
+//
+// The scene is plain data: the timeline layout without its library items
+// (clips refer to them by `libId`), the project styles and the preview
+// state. Video pictures are handed in with every frame, since only the page
+// can decode them.
+import { drawCard } from "@/lib/cards";
+import { drawStyledText } from "@/lib/captionStyle";
+import { createCanvas } from "@/lib/canvas";
+import { chromeLayout, cursorZoom, drawCursor, drawDesktop, drawWindow, getChromeSpec } from "@/lib/chrome";
+import { applyCrt } from "@/lib/crt";
+import { containRect, drawFitted, getFitSpec } from "@/lib/fit";
+import { applyGrade, bakeGrade, getGradeSpec, isNeutralGrade } from "@/lib/grade";
+import { framingAt, framingSourceRect } from "@/lib/kenBurns";
+import { drawOverlay, overlaysAt } from "@/lib/overlays";
+import { cuesAt } from "@/lib/subtitles";
+import { clipAt } from "@/lib/timeline";
+import { drawTransition } from "@/lib/transitions";
+
+// While a crop is edited the whole source is shown, with the crop marked
+const CROP_EDIT_FIT = { mode: "contain", background: "#111111" };
+
+// The part of a library item the compositor uses
+export function compositorItem({ id, type, url, width, height, family, lut }) {
+  return { id, type, url, width, height, family, lut };
+}
+
+// The clips making up the frame at `t`: the one being framed on the stage
+// (`editClipId`) on its own, or else the current clip and, during a
+// transition, the outgoing one (`transition.fromIndex`)
+export function framePlan(layout, t, editClipId = null) {
+  const editIndex = editClipId ? layout.findIndex((e) => e.clip.id === editClipId) : -1;
+  if (editIndex >= 0) return { index: editIndex, transition: null, editIndex };
+  const { index, transition } = clipAt(layout, t);
+  return { index, transition, editIndex };
+}
+
+// Size a reused scratch canvas, or just clear it: resizing reallocates it
+function resetLayer(layer, width, height) {
+  if (layer.width !== width || layer.height !== height) {
+    layer.width = width;
+    layer.height = height;
+  } else {
+    layer.getContext("2d").clearRect(0, 0, width, height);
+  }
+  return layer;
+}
+
+async function loadBitmap(url) {
+  const response = await fetch(url);
+  return createImageBitmap(await response.blob());
+}
+
+// Draw onto `canvas`. Call setLibrary and setScene whenever they change;
+// render(t, { videos, exact }) then draws the frame at timeline time `t`.
+// `videos` maps clip and overlay ids to { frame, width, height }, the current
+// picture of each visible video. With `exact`, preview-only layers (subtitles
+// that are not burned in, framing edits, the grade split) are left out.
+export function createCompositor(canvas) {
+  const ctx = canvas.getContext("2d");
+  let items = [];
+  let library = new Map();
+  let scene = null;
+  // Decoded images by URL, a scratch canvas and the baked grade (see
+  // bakeGrade) per graded clip, and a pair of canvases per clip shown in a
+  // desktop window
+  const images = new Map();
+  const gradeLayers = new Map();
+  const bakedGrades = new Map();
+  const chromeLayers = new Map();
+
+  const getImage = (url) => {
+    if (!images.has(url)) {
+      images.set(url, loadBitmap(url).catch((error) => {
+        images.delete(url);
+        throw error;
+      }));
+    }
+    return images.get(url);
+  };
+
+  // Draws into a `size` { width, height } area, the whole frame by default
+  const drawMedia = async (target, lib, { fit, framing = null, video, size = null }) => {
+    const { width: w, height: h } = size || canvas;
+
+    if (lib.type === "image") {
+      try {
+        const img = await getImage(lib.url);
+        if (framing) {
+          const { sx, sy, sw, sh } = framingSourceRect(img.width, img.height, w, h, framing);
+          target.drawImage(img, sx, sy, sw, sh, 0, 0, w, h);
+        } else {
+          drawFitted(target, img, img.width, img.height, w, h, fit);
+        }
+      } catch (error) {
+        console.error("Error drawing image:", error);
+      }
+    } else if (lib.type === "video" && video) {
+      drawFitted(target, video.frame, video.width || lib.width, video.height || lib.height, w, h, fit);
+    }
+  };
+
+  // Dim everything outside the crop rectangle of a contained source
+  const drawCropOverlay = (target, lib, crop, accent) => {
+    const { width: w, height: h } = canvas;
+    const { x, y, dw, dh } = containRect(lib.width, lib.height, w, h);
+    const rx = x + crop.x * dw;
+    const ry = y + crop.y * dh;
+    const rw = crop.w * dw;
+    const rh = crop.h * dh;
+
+    target.save();
+    target.fillStyle = "rgba(0,0,0,0.6)";
+    target.beginPath();
+    target.rect(0, 0, w, h);
+    target.rect(rx, ry, rw, rh);
+    target.fill("evenodd");
+    target.strokeStyle = accent;
+    target.lineWidth = 3;
+    target.strokeRect(rx, ry, rw, rh);
+    target.restore();
+  };
+
+  const gradeLayer = (clipId) => {
+    let layer = gradeLayers.get(clipId);
+    if (!layer) {
+      layer = createCanvas(canvas.width, canvas.height);
+      // Graded pixels are read back every frame
+      layer.getContext("2d", { willReadFrequently: true });
+      gradeLayers.set(clipId, layer);
+    }
+    return resetLayer(layer, canvas.width, canvas.height);
+  };
+
+  // A clip's grade is baked again only when it, its LUT or the theme changes
+  const bakedGrade = (clipId, grade, accent) => {
+    const lut = library.get(grade.lut)?.lut || null;
+    const key = JSON.stringify({ grade, accent });
+    const cached = bakedGrades.get(clipId);
+    if (cached?.key === key && cached.lut === lut) return cached.baked;
+    const baked = bakeGrade(grade, { lut, accent });
+    bakedGrades.set(clipId, { key, lut, baked });
+    return baked;
+  };
+
+  // The window content (at `contentW`×`contentH`) and, when zooming, the
+  // whole desktop before it is scaled
+  const chromeLayer = (clipId, contentW, contentH) => {
+    let layers = chromeLayers.get(clipId);
+    if (!layers) {
+      layers = { content: createCanvas(contentW, contentH), frame: createCanvas(canvas.width, canvas.height) };
+      chromeLayers.set(clipId, layers);
+    }
+    resetLayer(layers.content, contentW, contentH);
+    resetLayer(layers.frame, canvas.width, canvas.height);
+    return layers;
+  };
+
+  return {
+    setLibrary(next) {
+      items = next;
+      library = new Map(next.map((item) => [item.id, item]));
+      // Forget images whose object URL is gone
+      const urls = new Set(next.map((item) => item.url));
+      images.forEach((bitmap, url) => {
+        if (urls.has(url)) return;
+        images.delete(url);
+        bitmap.then((b) => b.close(), () => {});
+      });
+    },
+
+    setScene(next) {
+      scene = next;
+      if (canvas.width !== scene.width) canvas.width = scene.width;
+      if (canvas.height !== scene.height) canvas.height = scene.height;
+      const clipIds = new Set(scene.layout.map((entry) => entry.clip.id));
+      gradeLayers.forEach((_, clipId) => clipIds.has(clipId) || gradeLayers.delete(clipId));
+      bakedGrades.forEach((_, clipId) => clipIds.has(clipId) || bakedGrades.delete(clipId));
+      chromeLayers.forEach((_, clipId) => clipIds.has(clipId) || chromeLayers.delete(clipId));
+    },
+
+    async render(t, { videos = new Map(), exact = false } = {}) {
+      // A scene sent while this frame is drawn applies from the next one
+      const current = scene;
+      const { width: w, height: h } = canvas;
+      ctx.clearRect(0, 0, w, h);
+      if (!current?.layout.length) return;
+
+      const { layout, theme } = current;
+      const preview = current.preview && !exact;
+      const editing = exact ? null : current.editing;
+      const { index, transition, editIndex } = framePlan(layout, t, editing?.clipId);
+      if (index < 0) return;
+
+      // Each clip is drawn at its own local time onto the given context
+      const drawClip = async (clipIndex, target) => {
+        const { clip, start, duration } = layout[clipIndex];
+        const lib = clip.card ? null : library.get(clip.libId);
+        if (!lib && !clip.card) return;
+        const video = videos.get(clip.id);
+
+        const isEditing = clipIndex === editIndex;
+        if (isEditing && editing.key === "crop") {
+          await drawMedia(target, lib, { fit: CROP_EDIT_FIT, video });
+          drawCropOverlay(target, lib, getFitSpec(clip, current.fitDefaults).crop, theme.primary);
+          return;
+        }
+
+        let framing = null;
+        if (lib?.type === "image" && clip.kenBurns) {
+          framing = isEditing
+            ? clip.kenBurns[editing.key]
+            : framingAt(clip.kenBurns, duration > 0 ? (t - start) / duration : 0);
+        }
+
+        const grade = getGradeSpec(clip, current.gradeDefaults);
+        const options = { fit: getFitSpec(clip, current.fitDefaults), framing, video };
+        const time = isEditing ? Math.max(0, Math.min(duration, t - start)) : t - start;
+        const drawPicture = (pictureCtx, size) => (clip.card
+          ? drawCard(pictureCtx, clip.card, { w: size.width, h: size.height, theme, time, duration, library: items })
+          : drawMedia(pictureCtx, lib, { ...options, size }));
+
+        // Ken Burns framings are edited on the bare picture
+        const chrome = isEditing && editing.key !== "cursor" ? null : getChromeSpec(clip);
+        const drawSource = async (sourceCtx) => {
+          if (!chrome) return drawPicture(sourceCtx, canvas);
+
+          const srcW = clip.card ? w : video?.width || lib.width;
+          const srcH = clip.card ? h : video?.height || lib.height;
+          const parts = chromeLayout(chrome, srcW, srcH, w, h);
+          const layers = chromeLayer(clip.id, Math.max(1, Math.round(parts.content.w)), Math.max(1, Math.round(parts.content.h)));
+          await drawPicture(layers.content.getContext("2d"), layers.content);
+
+          // Zooming draws the desktop on its own first, then scales it about the cursor
+          const zoom = isEditing ? null : cursorZoom(chrome, parts, time);
+          const desktopCtx = zoom ? layers.frame.getContext("2d") : sourceCtx;
+          const wallpaper = chrome.background === "image" && library.get(chrome.wallpaper)?.type === "image"
+            ? await getImage(library.get(chrome.wallpaper).url)
+            : null;
+          drawDesktop(desktopCtx, chrome, { w, h, theme, wallpaper });
+          drawWindow(desktopCtx, chrome, parts, layers.content, { h, theme });
+          drawCursor(desktopCtx, chrome, parts, time, { h, theme, showPath: isEditing });
+          if (zoom) {
+            const sw = w / zoom.factor;
+            const sh = h / zoom.factor;
+            const sx = Math.max(0, Math.min(w - sw, zoom.x - sw / 2));
+            const sy = Math.max(0, Math.min(h - sh, zoom.y - sh / 2));
+            sourceCtx.drawImage(layers.frame, sx, sy, sw, sh, 0, 0, w, h);
+          }
+        };
+
+        target.save();
+        try {
+          if (isNeutralGrade(grade)) {
+            await drawSource(target);
+          } else {
+            // Grade the clip on its own, so transitions blend graded pictures
+            const layer = gradeLayer(clip.id);
+            const layerCtx = layer.getContext("2d", { willReadFrequently: true });
+            await drawSource(layerCtx);
+            applyGrade(layerCtx, bakedGrade(clip.id, grade, theme.primary), {
+              splitX: preview && current.gradeCompare ? w / 2 : 0,
+            });
+            target.drawImage(layer, 0, 0);
+          }
+        } catch (error) {
+          console.error("Error drawing clip:", error);
+        }
+        target.restore();
+      };
+
+      if (transition) {
+        await drawTransition(
+          ctx,
+          transition.type,
+          transition.progress,
+          {
+            drawOut: (target) => drawClip(transition.fromIndex, target),
+            drawIn: (target) => drawClip(index, target),
+          },
+          { w, h }
+        );
+      } else {
+        await drawClip(index, ctx);
+      }
+
+      // Overlays, bottom layer first; hidden while framing a clip
+      if (editIndex < 0) {
+        for (const overlay of overlaysAt(current.overlays, t)) {
+          const lib = library.get(overlay.libId);
+          try {
+            if (lib?.type === "image") {
+              const img = await getImage(lib.url);
+              drawOverlay(ctx, img, img.width, img.height, overlay, w, h);
+            } else if (lib?.type === "video" && videos.has(overlay.id)) {
+              const video = videos.get(overlay.id);
+              drawOverlay(ctx, video.frame, video.width || lib.width, video.height || lib.height, overlay, w, h);
+            }
+          } catch (error) {
+            console.error("Error drawing overlay:", error);
+          }
+        }
+      }
+
+      // Subtitles always show in the preview, but only reach exports when burned in
+      // Cues sharing a style are stacked into one block so they don't overlap
+      const cues = current.burnSubtitles || preview ? cuesAt(current.subtitles, t) : [];
+      const cueGroups = new Map();
+      cues.forEach((cue) => {
+        const style = cue.style ? { ...current.captionStyle, ...cue.style } : current.captionStyle;
+        const key = cue.style ? JSON.stringify(style) : "";
+        const group = cueGroups.get(key) || { style, texts: [] };
+        group.texts.push(cue.text);
+        cueGroups.set(key, group);
+      });
+      cueGroups.forEach(({ style, texts }) => {
+        drawStyledText(ctx, texts.join("\n"), style, { w, h, accent: theme, library: items });
+      });
+
+      if (current.title) {
+        ctx.save();
+        ctx.globalAlpha = 0.9;
+        drawStyledText(ctx, current.title, current.titleStyle, { w, h, accent: theme, library: items });
+        ctx.restore();
+      }
+
+      // Post-processing; left out while framing, so the stage maps 1:1 to the source
+      if (editIndex < 0) applyCrt(ctx, current.crt, t);
+    },
+  };
+}
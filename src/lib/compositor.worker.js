@@ -0,0 +1,56 @@
+// Runs the compositor off the main thread. It draws into an OffscreenCanvas:
+// the stage's, transferred by the page, or one of its own whose frames are
+// sent back as ImageBitmaps (exports). Spoken to by compositorClient.js.
+import { createCompositor } from "@/lib/compositor";
+
+let canvas = null;
+let compositor = null;
+
+// Caption fonts are registered in the page's document; the worker needs its
+// own copies. Frames wait until they have loaded.
+const fontFaces = new Map();
+let fontsReady = Promise.resolve();
+
+function syncFonts(items) {
+  if (!self.fonts) return;
+  const fonts = items.filter((item) => item.type === "font");
+  const ids = new Set(fonts.map((item) => item.id));
+
+  fontFaces.forEach(({ face }, id) => {
+    if (ids.has(id)) return;
+    self.fonts.delete(face);
+    fontFaces.delete(id);
+  });
+  fonts.forEach((item) => {
+    if (fontFaces.has(item.id)) return;
+    const face = new FontFace(item.family, `url(${item.url})`);
+    self.fonts.add(face);
+    const loaded = face.load().catch((error) => console.error("Could not load font in the compositor:", error));
+    fontFaces.set(item.id, { face, loaded });
+  });
+  fontsReady = Promise.all([...fontFaces.values()].map(({ loaded }) => loaded));
+}
+
+self.onmessage = async ({ data }) => {
+  if (data.type === "init") {
+    canvas = data.canvas || new OffscreenCanvas(data.width, data.height);
+    compositor = createCompositor(canvas);
+  } else if (data.type === "library") {
+    syncFonts(data.items);
+    compositor.setLibrary(data.items);
+  } else if (data.type === "scene") {
+    compositor.setScene(data.scene);
+  } else if (data.type === "render") {
+    let bitmap = null;
+    try {
+      await fontsReady;
+      await compositor.render(data.t, { videos: data.videos, exact: data.exact });
+      if (data.capture) bitmap = canvas.transferToImageBitmap();
+    } catch (error) {
+      console.error("Compositor render failed:", error);
+    } finally {
+      data.videos.forEach(({ frame }) => frame.close());
+    }
+    self.postMessage({ type: "rendered", id: data.id, bitmap }, bitmap ? [bitmap] : []);
+  }
+};
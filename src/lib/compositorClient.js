@@ -0,0 +1,119 @@
+// The page's side of the compositor (see compositor.js). Where the browser
+// allows, frames are composited in a worker on an OffscreenCanvas, so React
+// updates and typing never hold up drawing; otherwise on the main thread.
+import { createCanvas } from "@/lib/canvas";
+import { createCompositor } from "@/lib/compositor";
+
+const canUseWorker = (canvas) =>
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  (!canvas || "transferControlToOffscreen" in canvas);
+
+// The current picture of each <video>, as frames that can be transferred
+async function captureVideos(videos) {
+  const frames = new Map();
+  for (const [clipId, v] of videos) {
+    try {
+      const frame = typeof VideoFrame !== "undefined" ? new VideoFrame(v) : await createImageBitmap(v);
+      frames.set(clipId, { frame, width: v.videoWidth, height: v.videoHeight });
+    } catch (error) {
+      console.error("Could not capture video frame:", error);
+    }
+  }
+  return frames;
+}
+
+function createLocalCompositor(canvas, width, height) {
+  const target = canvas || createCanvas(width, height);
+  const compositor = createCompositor(target);
+
+  return {
+    setLibrary: compositor.setLibrary,
+    setScene: compositor.setScene,
+    async render(t, { videos = new Map(), exact = false } = {}) {
+      const sources = new Map(
+        [...videos].map(([clipId, v]) => [clipId, { frame: v, width: v.videoWidth, height: v.videoHeight }])
+      );
+      await compositor.render(t, { videos: sources, exact });
+      return canvas ? null : createImageBitmap(target);
+    },
+    destroy() {},
+  };
+}
+
+// `canvas` is the stage to draw on; it is handed to the worker for good.
+// Without one, frames are drawn off screen at width×height and render()
+// resolves to an ImageBitmap of each (for exports).
+// render(t, { videos, exact }) takes the visible <video> elements by clip
+// id. Frames are drawn one at a time: a render asked for while another is
+// drawn waits, and a newer request replaces it (resolving with null).
+export function createCompositorClient({ canvas = null, width = 300, height = 150 } = {}) {
+  if (!canUseWorker(canvas)) return createLocalCompositor(canvas, width, height);
+
+  const worker = new Worker(new URL("./compositor.worker.js", import.meta.url), { type: "module" });
+  const offscreen = canvas?.transferControlToOffscreen();
+  worker.postMessage({ type: "init", canvas: offscreen, width, height }, offscreen ? [offscreen] : []);
+
+  let nextId = 0;
+  const replies = new Map();
+  let waiting = null;
+  let drawing = false;
+
+  const settleAll = () => {
+    replies.forEach((resolve) => resolve(null));
+    replies.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type !== "rendered") return;
+    replies.get(data.id)?.(data.bitmap);
+    replies.delete(data.id);
+  };
+  worker.onerror = (error) => {
+    console.error("Compositor worker failed:", error);
+    settleAll();
+  };
+
+  const send = async (t, { videos = new Map(), exact = false }) => {
+    const frames = await captureVideos(videos);
+    const id = nextId++;
+    const reply = new Promise((resolve) => replies.set(id, resolve));
+    worker.postMessage(
+      { type: "render", id, t, exact, videos: frames, capture: !canvas },
+      [...frames.values()].map(({ frame }) => frame)
+    );
+    return reply;
+  };
+
+  const drain = async () => {
+    drawing = true;
+    while (waiting) {
+      const { t, options, resolve } = waiting;
+      waiting = null;
+      resolve(await send(t, options));
+    }
+    drawing = false;
+  };
+
+  return {
+    setLibrary(items) {
+      worker.postMessage({ type: "library", items });
+    },
+    setScene(scene) {
+      worker.postMessage({ type: "scene", scene });
+    },
+    render(t, options = {}) {
+      return new Promise((resolve) => {
+        waiting?.resolve(null);
+        waiting = { t, options, resolve };
+        if (!drawing) drain();
+      });
+    },
+    destroy() {
+      worker.terminate();
+      waiting?.resolve(null);
+      waiting = null;
+      settleAll();
+    },
+  };
+}
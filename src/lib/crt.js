@@ -0,0 +1,219 @@
+// Retro CRT look applied to a finished frame. Each effect has an intensity
+// from 0 (off) to 1. Grain and flicker are seeded from the frame time, so
+// an export looks the same every time it is rendered.
+import { createCanvas } from "@/lib/canvas";
+
+export const CRT_EFFECTS = ["scanlines", "glow", "grain", "vignette", "aberration", "barrel", "flicker"];
+
+export const DEFAULT_CRT = {
+  enabled: false,
+  scanlines: 0.5,
+  glow: 0.35,
+  grain: 0.2,
+  vignette: 0.5,
+  aberration: 0.25,
+  barrel: 0.3,
+  flicker: 0.1,
+};
+
+// Grain cycles through a few pre-made noise tiles, one per frame at NOISE_FPS
+const NOISE_TILES = 8;
+const NOISE_SIZE = 256;
+const NOISE_FPS = 24;
+const FLICKER_FPS = 60;
+
+function hash(a, b) {
+  let x = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x632be5ab, 0xc2b2ae35);
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x7feb352d);
+  x ^= x >>> 15;
+  return (x >>> 0) / 4294967296;
+}
+
+// Scratch canvases are kept between frames; one per name
+const layers = new Map();
+
+function layer(name, w, h) {
+  let canvas = layers.get(name);
+  if (!canvas) {
+    canvas = createCanvas(w, h);
+    layers.set(name, canvas);
+  }
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  } else {
+    canvas.getContext("2d").clearRect(0, 0, w, h);
+  }
+  return canvas;
+}
+
+function copyOf(name, source) {
+  const canvas = layer(name, source.width, source.height);
+  canvas.getContext("2d").drawImage(source, 0, 0);
+  return canvas;
+}
+
+let noiseTiles = null;
+
+function getNoiseTile(index) {
+  noiseTiles ||= Array.from({ length: NOISE_TILES }, (_, tile) => {
+    const canvas = createCanvas(NOISE_SIZE, NOISE_SIZE);
+    const c = canvas.getContext("2d");
+    const image = c.createImageData(NOISE_SIZE, NOISE_SIZE);
+    for (let i = 0; i < NOISE_SIZE * NOISE_SIZE; i++) {
+      const v = Math.round(hash(tile + 1, i) * 255);
+      image.data.set([v, v, v, 255], i * 4);
+    }
+    c.putImageData(image, 0, 0);
+    return canvas;
+  });
+  return noiseTiles[index % NOISE_TILES];
+}
+
+// Curved screen. Rows are squeezed by their distance from the horizontal
+// centre line, then columns by theirs: a cheap separable stand-in for a
+// per-pixel remap that keeps the curved edges and rounded corners.
+function barrel(ctx, source, w, h, amount) {
+  const k = amount * 0.25;
+  const band = Math.max(2, Math.round(h / 360));
+  const rows = layer("barrel", w, h);
+  const rowsCtx = rows.getContext("2d");
+
+  for (let y = 0; y < h; y += band) {
+    const ny = ((y + band / 2) / h) * 2 - 1;
+    const rowW = w / (1 + k * ny * ny);
+    const rowH = Math.min(band, h - y);
+    rowsCtx.drawImage(source, 0, y, w, rowH, (w - rowW) / 2, y, rowW, rowH);
+  }
+
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, w, h);
+  for (let x = 0; x < w; x += band) {
+    const nx = ((x + band / 2) / w) * 2 - 1;
+    const colH = h / (1 + k * nx * nx);
+    const colW = Math.min(band, w - x);
+    ctx.drawImage(rows, x, 0, colW, h, x, (h - colH) / 2, colW, colH);
+  }
+}
+
+// Red and cyan copies pulled apart horizontally
+function aberration(ctx, source, w, h, amount) {
+  const shift = Math.round(w * 0.004 * amount);
+  if (shift < 1) return;
+
+  const channel = (name, color) => {
+    const canvas = copyOf(name, source);
+    const c = canvas.getContext("2d");
+    c.globalCompositeOperation = "multiply";
+    c.fillStyle = color;
+    c.fillRect(0, 0, w, h);
+    c.globalCompositeOperation = "source-over";
+    return canvas;
+  };
+
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, w, h);
+  ctx.globalCompositeOperation = "lighter";
+  ctx.drawImage(channel("red", "#ff0000"), shift, 0);
+  ctx.drawImage(channel("cyan", "#00ffff"), -shift, 0);
+  ctx.globalCompositeOperation = "source-over";
+}
+
+// Phosphor bloom: a blurred copy screened over the frame. Scaling down in
+// two steps and back up blurs without ctx.filter (see fit.js).
+function glow(ctx, source, w, h, amount) {
+  const half = layer("glowHalf", Math.max(1, Math.round(w / 4)), Math.max(1, Math.round(h / 4)));
+  const small = layer("glowSmall", Math.max(1, Math.round(w / 16)), Math.max(1, Math.round(h / 16)));
+  half.getContext("2d").drawImage(source, 0, 0, half.width, half.height);
+  small.getContext("2d").drawImage(half, 0, 0, small.width, small.height);
+
+  ctx.globalCompositeOperation = "screen";
+  ctx.globalAlpha = amount * 0.7;
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(small, 0, 0, w, h);
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = "source-over";
+}
+
+const scanlinePatterns = new Map();
+
+function scanlines(ctx, w, h, amount) {
+  const spacing = Math.max(2, Math.round(h / 270));
+  let tile = scanlinePatterns.get(spacing);
+  if (!tile) {
+    tile = createCanvas(1, spacing);
+    const c = tile.getContext("2d");
+    c.fillStyle = "#000";
+    c.fillRect(0, Math.floor(spacing / 2), 1, Math.ceil(spacing / 2));
+    scanlinePatterns.set(spacing, tile);
+  }
+  ctx.globalAlpha = amount * 0.55;
+  ctx.fillStyle = ctx.createPattern(tile, "repeat");
+  ctx.fillRect(0, 0, w, h);
+  ctx.globalAlpha = 1;
+}
+
+function grain(ctx, w, h, amount, time) {
+  const frame = Math.floor(time * NOISE_FPS);
+  const tile = getNoiseTile(frame);
+  const ox = Math.floor(hash(frame, 1) * NOISE_SIZE);
+  const oy = Math.floor(hash(frame, 2) * NOISE_SIZE);
+
+  ctx.save();
+  ctx.globalCompositeOperation = "overlay";
+  ctx.globalAlpha = amount * 0.5;
+  ctx.translate(-ox, -oy);
+  ctx.fillStyle = ctx.createPattern(tile, "repeat");
+  ctx.fillRect(ox, oy, w, h);
+  ctx.restore();
+}
+
+function vignette(ctx, w, h, amount) {
+  const r = Math.hypot(w, h) / 2;
+  const gradient = ctx.createRadialGradient(w / 2, h / 2, r * 0.45, w / 2, h / 2, r);
+  gradient.addColorStop(0, "rgba(0,0,0,0)");
+  gradient.addColorStop(1, `rgba(0,0,0,${Math.min(1, amount * 0.9)})`);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, w, h);
+}
+
+// Brightness dips from frame to frame plus a slow rolling band
+function flicker(ctx, w, h, amount, time) {
+  const dip = amount * (0.04 + 0.12 * hash(Math.floor(time * FLICKER_FPS), 3));
+  ctx.fillStyle = `rgba(0,0,0,${dip})`;
+  ctx.fillRect(0, 0, w, h);
+
+  const bandH = h * 0.15;
+  const y = ((time * 0.25) % 1) * (h + bandH) - bandH;
+  const gradient = ctx.createLinearGradient(0, y, 0, y + bandH);
+  gradient.addColorStop(0, "rgba(255,255,255,0)");
+  gradient.addColorStop(0.5, `rgba(255,255,255,${amount * 0.06})`);
+  gradient.addColorStop(1, "rgba(255,255,255,0)");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, y, w, bandH);
+}
+
+// Run the enabled effects over everything already drawn on `ctx`.
+// `time` is the frame's timeline time in seconds.
+export function applyCrt(ctx, crt, time = 0) {
+  if (!crt?.enabled) return;
+  const { width: w, height: h } = ctx.canvas;
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = "source-over";
+
+  if (crt.barrel > 0) barrel(ctx, copyOf("frame", ctx.canvas), w, h, crt.barrel);
+  // Colour effects work from the (curved) frame as it is now
+  const source = crt.aberration > 0 || crt.glow > 0 ? copyOf("frame", ctx.canvas) : null;
+  if (crt.aberration > 0) aberration(ctx, source, w, h, crt.aberration);
+  if (crt.glow > 0) glow(ctx, source, w, h, crt.glow);
+  if (crt.scanlines > 0) scanlines(ctx, w, h, crt.scanlines);
+  if (crt.grain > 0) grain(ctx, w, h, crt.grain, time);
+  if (crt.vignette > 0) vignette(ctx, w, h, crt.vignette);
+  if (crt.flicker > 0) flicker(ctx, w, h, crt.flicker, time);
+
+  ctx.restore();
+}
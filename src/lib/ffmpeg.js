@@ -0,0 +1,194 @@
+// In-browser transcoding through ffmpeg.wasm.
+// The wrapper and the ~30 MB core are only fetched the first time an export needs them.
+import coreURL from "@ffmpeg/core?url";
+import wasmURL from "@ffmpeg/core/wasm?url";
+
+let ffmpegPromise = null;
+
+async function loadFFmpeg() {
+  if (!ffmpegPromise) {
+    ffmpegPromise = (async () => {
+      const { FFmpeg } = await import("@ffmpeg/ffmpeg");
+      const ffmpeg = new FFmpeg();
+      await ffmpeg.load({ coreURL, wasmURL });
+      return ffmpeg;
+    })().catch((error) => {
+      ffmpegPromise = null;
+      throw error;
+    });
+  }
+  return ffmpegPromise;
+}
+
+// Tear the worker down; the next call to loadFFmpeg starts a fresh one
+async function resetFFmpeg() {
+  const pending = ffmpegPromise;
+  ffmpegPromise = null;
+  try {
+    (await pending)?.terminate();
+  } catch {
+    // the load itself failed, nothing to terminate
+  }
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function abortError() {
+  return new DOMException("Export cancelled", "AbortError");
+}
+
+// Convert a recorded WebM blob to an H.264/AAC MP4 blob.
+// `duration` (seconds) makes progress reliable, since MediaRecorder output
+// carries no duration header. Aborting `signal` kills the running conversion.
+export async function convertWebMToMP4(webmBlob, { duration = 0, onProgress, signal } = {}) {
+  if (signal?.aborted) throw abortError();
+
+  const onAbort = () => resetFFmpeg();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  const handleProgress = ({ progress, time }) => {
+    const p = duration > 0 ? time / 1e6 / duration : progress;
+    onProgress?.(Math.max(0, Math.min(1, p)));
+  };
+
+  let ffmpeg = null;
+  try {
+    onProgress?.(0);
+    ffmpeg = await loadFFmpeg();
+    if (signal?.aborted) throw abortError();
+
+    const { fetchFile } = await import("@ffmpeg/util");
+    ffmpeg.on("progress", handleProgress);
+    await ffmpeg.writeFile("input.webm", await fetchFile(webmBlob));
+
+    const code = await ffmpeg.exec([
+      "-i", "input.webm",
+      "-c:v", "libx264",
+      "-preset", "veryfast",
+      "-pix_fmt", "yuv420p",
+      "-c:a", "aac",
+      "-b:a", "192k",
+      "-movflags", "+faststart",
+      "output.mp4",
+    ]);
+    if (signal?.aborted) throw abortError();
+    if (code !== 0) throw new Error(`ffmpeg exited with code ${code}`);
+
+    const data = await ffmpeg.readFile("output.mp4");
+    onProgress?.(1);
+    return new Blob([data.buffer], { type: "video/mp4" });
+  } catch (error) {
+    if (signal?.aborted) throw abortError();
+    throw error;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    if (ffmpeg && !signal?.aborted) {
+      ffmpeg.off("progress", handleProgress);
+      await Promise.allSettled([
+        ffmpeg.deleteFile("input.webm"),
+        ffmpeg.deleteFile("output.mp4"),
+      ]);
+    }
+  }
+}
+
+// Frames per intermediate segment; keeps the in-memory file system small
+const SEGMENT_FRAMES = 240;
+
+// Encode a sequence of still frames to an H.264 MP4. Used for offline rendering
+// when WebCodecs is unavailable. Frames are encoded in fixed-size segments that
+// are stream-copied together by `finish()`, where the optional `audio` file
+// (e.g. a WAV mix) is added as an AAC track.
+export async function createFrameSequenceEncoder({ fps, signal, audio = null }) {
+  if (signal?.aborted) throw abortError();
+
+  const onAbort = () => resetFFmpeg();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const cleanup = () => {
+    signal?.removeEventListener("abort", onAbort);
+  };
+
+  let ffmpeg;
+  try {
+    ffmpeg = await loadFFmpeg();
+  } catch (error) {
+    cleanup();
+    throw signal?.aborted ? abortError() : error;
+  }
+  const segments = [];
+  let pending = [];
+
+  const check = () => {
+    if (signal?.aborted) throw abortError();
+  };
+
+  const frameName = (i) => `frame_${String(i).padStart(5, "0")}.jpg`;
+
+  const flushSegment = async () => {
+    if (pending.length === 0) return;
+    const name = `segment_${segments.length}.mp4`;
+    const code = await ffmpeg.exec([
+      "-framerate", String(fps),
+      "-i", "frame_%05d.jpg",
+      "-c:v", "libx264",
+      "-preset", "veryfast",
+      "-pix_fmt", "yuv420p",
+      "-r", String(fps),
+      name,
+    ]);
+    check();
+    if (code !== 0) throw new Error(`ffmpeg exited with code ${code}`);
+    await Promise.all(pending.map((f) => ffmpeg.deleteFile(f)));
+    segments.push(name);
+    pending = [];
+  };
+
+  return {
+    // `frame` is an encoded still (JPEG blob) of the next frame
+    async addFrame(frame) {
+      check();
+      const name = frameName(pending.length);
+      await ffmpeg.writeFile(name, new Uint8Array(await frame.arrayBuffer()));
+      pending.push(name);
+      if (pending.length >= SEGMENT_FRAMES) await flushSegment();
+    },
+
+    async finish() {
+      try {
+        await flushSegment();
+        await ffmpeg.writeFile("segments.txt", segments.map((f) => `file '${f}'`).join("\n"));
+        if (audio) await ffmpeg.writeFile("audio.wav", new Uint8Array(await audio.arrayBuffer()));
+        const code = await ffmpeg.exec([
+          "-f", "concat",
+          "-safe", "0",
+          "-i", "segments.txt",
+          ...(audio
+            ? ["-i", "audio.wav", "-map", "0:v", "-map", "1:a", "-c:v", "copy", "-c:a", "aac", "-b:a", "192k", "-shortest"]
+            : ["-c", "copy"]),
+          "-movflags", "+faststart",
+          "output.mp4",
+        ]);
+        check();
+        if (code !== 0) throw new Error(`ffmpeg exited with code ${code}`);
+        const data = await ffmpeg.readFile("output.mp4");
+        await Promise.allSettled([
+          ...segments.map((f) => ffmpeg.deleteFile(f)),
+          ffmpeg.deleteFile("segments.txt"),
+          ffmpeg.deleteFile("output.mp4"),
+          ...(audio ? [ffmpeg.deleteFile("audio.wav")] : []),
+        ]);
+        return new Blob([data.buffer], { type: "video/mp4" });
+      } finally {
+        cleanup();
+      }
+    },
+
+    async close() {
+      cleanup();
+      if (signal?.aborted) return;
+      await Promise.allSettled([...pending, ...segments].map((f) => ffmpeg.deleteFile(f)));
+    },
+  };
+}
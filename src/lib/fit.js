@@ -0,0 +1,101 @@
+// How a clip's media fills the output frame. A clip may override any field of
+// the project default: { mode, background, crop }, where `crop` is a
+// rectangle { x, y, w, h } in source fractions (0–1).
+import { createCanvas } from "@/lib/canvas";
+
+export const FIT_MODES = ["cover", "contain", "blur", "crop"];
+export const DEFAULT_FIT = { mode: "cover", background: "#000000" };
+export const FULL_CROP = { x: 0, y: 0, w: 1, h: 1 };
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export function getFitSpec(clip, defaults) {
+  return { ...DEFAULT_FIT, crop: FULL_CROP, ...defaults, ...clip.fit };
+}
+
+// Destination rectangle filling the frame, overflowing on one axis
+export function coverRect(srcW, srcH, dstW, dstH) {
+  const scale = Math.max(dstW / srcW, dstH / srcH);
+  const dw = srcW * scale;
+  const dh = srcH * scale;
+  return { x: (dstW - dw) / 2, y: (dstH - dh) / 2, dw, dh };
+}
+
+// Destination rectangle showing all of the source, centred
+export function containRect(srcW, srcH, dstW, dstH) {
+  const scale = Math.min(dstW / srcW, dstH / srcH);
+  const dw = srcW * scale;
+  const dh = srcH * scale;
+  return { x: (dstW - dw) / 2, y: (dstH - dh) / 2, dw, dh };
+}
+
+export function normalizeCrop(crop) {
+  const x = clamp(crop.x, 0, 1);
+  const y = clamp(crop.y, 0, 1);
+  return { x, y, w: clamp(crop.w, 0.01, 1 - x), h: clamp(crop.h, 0.01, 1 - y) };
+}
+
+// Crop rectangle spanning two points given in source fractions
+export function cropFromPoints(a, b) {
+  return normalizeCrop({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    w: Math.abs(b.x - a.x),
+    h: Math.abs(b.y - a.y),
+  });
+}
+
+// Scaling a copy down and back up is a cheap blur that works in every
+// browser, unlike ctx.filter
+let blurLayer = null;
+
+function drawBlurredCover(ctx, source, srcW, srcH, dstW, dstH) {
+  const scale = 1 / 24;
+  const w = Math.max(1, Math.round(dstW * scale));
+  const h = Math.max(1, Math.round(dstH * scale));
+  blurLayer ||= createCanvas();
+  blurLayer.width = w;
+  blurLayer.height = h;
+
+  const layerCtx = blurLayer.getContext("2d");
+  const { x, y, dw, dh } = coverRect(srcW, srcH, w, h);
+  layerCtx.drawImage(source, x, y, dw, dh);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(blurLayer, 0, 0, w, h, 0, 0, dstW, dstH);
+  ctx.fillStyle = "rgba(0,0,0,0.35)";
+  ctx.fillRect(0, 0, dstW, dstH);
+  ctx.restore();
+}
+
+// Draw `source` (an image or video of srcW×srcH) into a dstW×dstH frame
+export function drawFitted(ctx, source, srcW, srcH, dstW, dstH, fit) {
+  if (!srcW || !srcH) return;
+
+  if (fit.mode === "contain" || fit.mode === "blur") {
+    if (fit.mode === "blur") {
+      drawBlurredCover(ctx, source, srcW, srcH, dstW, dstH);
+    } else {
+      ctx.fillStyle = fit.background;
+      ctx.fillRect(0, 0, dstW, dstH);
+    }
+    const { x, y, dw, dh } = containRect(srcW, srcH, dstW, dstH);
+    ctx.drawImage(source, x, y, dw, dh);
+  } else if (fit.mode === "crop") {
+    // The chosen rectangle is shown whole, letterboxed if its shape differs
+    const crop = normalizeCrop(fit.crop);
+    const sx = crop.x * srcW;
+    const sy = crop.y * srcH;
+    const sw = crop.w * srcW;
+    const sh = crop.h * srcH;
+    ctx.fillStyle = fit.background;
+    ctx.fillRect(0, 0, dstW, dstH);
+    const { x, y, dw, dh } = containRect(sw, sh, dstW, dstH);
+    ctx.drawImage(source, sx, sy, sw, sh, x, y, dw, dh);
+  } else {
+    const { x, y, dw, dh } = coverRect(srcW, srcH, dstW, dstH);
+    ctx.drawImage(source, x, y, dw, dh);
+  }
+}
@@ -0,0 +1,274 @@
+// Colour grading of a clip's pixels. A clip may override any field of the
+// project grade: { exposure, contrast, saturation, temperature, tint, mode,
+// lut, lutAmount }. Exposure is in stops (-2…2); contrast, saturation,
+// temperature and tint run from -1 to 1 with 0 meaning unchanged. `lut` is
+// the id of a "lut" library item holding a parsed .cube file.
+
+export const GRADE_MODES = ["color", "mono", "duotone"];
+export const GRADE_ADJUSTMENTS = {
+  exposure: { min: -2, max: 2 },
+  contrast: { min: -1, max: 1 },
+  saturation: { min: -1, max: 1 },
+  temperature: { min: -1, max: 1 },
+  tint: { min: -1, max: 1 },
+};
+
+export const DEFAULT_GRADE = {
+  exposure: 0,
+  contrast: 0,
+  saturation: 0,
+  temperature: 0,
+  tint: 0,
+  mode: "color",
+  lut: null,
+  lutAmount: 1,
+};
+
+export const LUT_FILE_PATTERN = /\.cube$/i;
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const clampByte = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+export function getGradeSpec(clip, defaults) {
+  return { ...DEFAULT_GRADE, ...defaults, ...clip.grade };
+}
+
+export function isNeutralGrade(grade) {
+  return Object.keys(GRADE_ADJUSTMENTS).every((key) => !grade[key]) && grade.mode === "color" && !grade.lut;
+}
+
+// Parse a .cube 3D LUT: { title, size, domainMin, domainMax, data }, where
+// `data` holds size³ RGB triples with red changing fastest.
+export function parseCube(text) {
+  let title = "";
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    const [keyword, ...rest] = line.split(/\s+/);
+
+    if (keyword === "TITLE") title = line.slice(5).trim().replace(/^"|"$/g, "");
+    else if (keyword === "LUT_3D_SIZE") size = Number(rest[0]);
+    else if (keyword === "LUT_1D_SIZE") throw new Error("1D LUTs are not supported");
+    else if (keyword === "DOMAIN_MIN") domainMin = rest.map(Number);
+    else if (keyword === "DOMAIN_MAX") domainMax = rest.map(Number);
+    else if (/^[-+.\d]/.test(keyword)) values.push(Number(keyword), Number(rest[0]), Number(rest[1]));
+  }
+
+  if (!(size >= 2 && size <= 256)) throw new Error("Missing or invalid LUT_3D_SIZE");
+  if (values.length !== size ** 3 * 3 || values.some(Number.isNaN)) {
+    throw new Error(`Expected ${size ** 3} LUT entries, found ${Math.floor(values.length / 3)}`);
+  }
+  return { title, size, domainMin, domainMax, data: Float32Array.from(values) };
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// 256-entry tables for everything that works on each channel alone:
+// exposure, white balance (temperature/tint gains), then contrast
+function channelTables(grade) {
+  const gain = 2 ** grade.exposure;
+  const gains = [
+    gain * (1 + 0.15 * grade.temperature) * (1 + 0.075 * grade.tint),
+    gain * (1 - 0.15 * grade.tint),
+    gain * (1 - 0.15 * grade.temperature) * (1 + 0.075 * grade.tint),
+  ];
+  const contrast = grade.contrast >= 0 ? 1 + grade.contrast * 1.5 : 1 + grade.contrast * 0.8;
+
+  return gains.map((channelGain) => {
+    const table = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      table[v] = clamp01(((v / 255) * channelGain - 0.5) * contrast + 0.5);
+    }
+    return table;
+  });
+}
+
+// Luminance → colour ramp from black through the theme colour to white
+function duotoneRamp(accent) {
+  const [r, g, b] = hexToRgb(accent);
+  const ramp = new Uint8ClampedArray(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const l = v / 255;
+    const mix = (c) => (l < 0.5 ? c * l * 2 : c + (255 - c) * (l * 2 - 1));
+    ramp.set([mix(r), mix(g), mix(b)], v * 3);
+  }
+  return ramp;
+}
+
+// Trilinear lookup of (r, g, b) in 0–1 into `out`
+function sampleLut(lut, r, g, b, out) {
+  const { size, data, domainMin, domainMax } = lut;
+  const max = size - 1;
+  const pos = (v, c) => Math.max(0, Math.min(max, ((v - domainMin[c]) / (domainMax[c] - domainMin[c])) * max));
+  const x = pos(r, 0);
+  const y = pos(g, 1);
+  const z = pos(b, 2);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const z0 = Math.floor(z);
+  const x1 = Math.min(max, x0 + 1);
+  const y1 = Math.min(max, y0 + 1);
+  const z1 = Math.min(max, z0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const fz = z - z0;
+  const at = (xi, yi, zi) => ((zi * size + yi) * size + xi) * 3;
+
+  for (let c = 0; c < 3; c++) {
+    const c00 = data[at(x0, y0, z0) + c] * (1 - fx) + data[at(x1, y0, z0) + c] * fx;
+    const c10 = data[at(x0, y1, z0) + c] * (1 - fx) + data[at(x1, y1, z0) + c] * fx;
+    const c01 = data[at(x0, y0, z1) + c] * (1 - fx) + data[at(x1, y0, z1) + c] * fx;
+    const c11 = data[at(x0, y1, z1) + c] * (1 - fx) + data[at(x1, y1, z1) + c] * fx;
+    out[c] = (c00 * (1 - fy) + c10 * fy) * (1 - fz) + (c01 * (1 - fy) + c11 * fy) * fz;
+  }
+}
+
+// Size of the baked colour cube; looking up between its points is as good as
+// grading every colour exactly
+const CUBE_SIZE = 33;
+
+// Saturation, the LUT and the mode for one colour (after the channel tables,
+// 0–1), packed as 0xBBGGRR
+function gradeColour(r, g, b, { saturation, lut, lutAmount, ramp, mode }, sample) {
+  if (saturation !== 1) {
+    const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    r = clamp01(l + (r - l) * saturation);
+    g = clamp01(l + (g - l) * saturation);
+    b = clamp01(l + (b - l) * saturation);
+  }
+
+  if (lutAmount > 0) {
+    sampleLut(lut, r, g, b, sample);
+    r += (clamp01(sample[0]) - r) * lutAmount;
+    g += (clamp01(sample[1]) - g) * lutAmount;
+    b += (clamp01(sample[2]) - b) * lutAmount;
+  }
+
+  if (mode !== "color") {
+    const l = Math.round((0.2126 * r + 0.7152 * g + 0.0722 * b) * 255);
+    return ramp ? ramp[l * 3] | (ramp[l * 3 + 1] << 8) | (ramp[l * 3 + 2] << 16) : l | (l << 8) | (l << 16);
+  }
+  return Math.round(r * 255) | (Math.round(g * 255) << 8) | (Math.round(b * 255) << 16);
+}
+
+// Everything `grade` does, baked into tables once so a frame is graded by
+// integer lookups. `lut` is the parsed LUT named by grade.lut (if any) and
+// `accent` the theme colour used by duotone.
+//
+// Exposure, white balance and contrast become one 256-entry table per
+// channel. Without a LUT, saturation (fixed point, 256 = unchanged) and the
+// luminance ramp of the mono and duotone modes follow. With one, the graded
+// colours are baked into a colour cube that the channel tables index into.
+export function bakeGrade(grade, { lut = null, accent = "#ffffff" } = {}) {
+  const tables = channelTables(grade);
+  const channels = tables.map((table) => Uint8ClampedArray.from(table, (v) => v * 255));
+  const saturation = 1 + grade.saturation;
+  const lutAmount = lut ? clamp01(grade.lutAmount ?? 1) : 0;
+  const ramp = grade.mode === "duotone" ? duotoneRamp(accent) : null;
+  if (lutAmount === 0) {
+    return { channels, saturation: Math.round(saturation * 256), mono: grade.mode !== "color", ramp };
+  }
+
+  const n = CUBE_SIZE;
+  const max = n - 1;
+  const options = { saturation, lut, lutAmount, ramp, mode: grade.mode };
+  const cube = new Uint32Array(n * n * n);
+  const sample = [0, 0, 0];
+  for (let b = 0, i = 0; b < n; b++) {
+    for (let g = 0; g < n; g++) {
+      for (let r = 0; r < n; r++, i++) cube[i] = gradeColour(r / max, g / max, b / max, options, sample);
+    }
+  }
+
+  // Per channel and input value: the index of the cube cell below it and
+  // the weight (0–256) of the cell above
+  const strides = [1, n, n * n];
+  const offsets = strides.map(() => new Int32Array(256));
+  const weights = strides.map(() => new Int32Array(256));
+  tables.forEach((table, c) => {
+    for (let v = 0; v < 256; v++) {
+      const pos = table[v] * max;
+      const cell = Math.min(max - 1, Math.floor(pos));
+      offsets[c][v] = cell * strides[c];
+      weights[c][v] = Math.round((pos - cell) * 256);
+    }
+  });
+  return { cube, strides, offsets, weights };
+}
+
+// Blend two packed 0xBBGGRR colours, `w` (0–256) of the way from `a` to `b`,
+// red and blue at once
+function mixPacked(a, b, w) {
+  const iw = 256 - w;
+  const rb = ((((a & 0xff00ff) * iw + (b & 0xff00ff) * w + 0x800080) >>> 8) & 0xff00ff);
+  const g = ((((a & 0xff00) * iw + (b & 0xff00) * w + 0x8000) >>> 8) & 0xff00);
+  return rb | g;
+}
+
+// Grade the pixels of `ctx` in place with a grade from bakeGrade. Pixels left
+// of `splitX` stay untouched, for before/after comparison.
+export function applyGrade(ctx, baked, { splitX = 0 } = {}) {
+  const { width, height } = ctx.canvas;
+  const x0 = Math.max(0, Math.min(width, Math.round(splitX)));
+  if (x0 >= width) return;
+
+  const image = ctx.getImageData(x0, 0, width - x0, height);
+  const px = image.data;
+
+  if (baked.cube) {
+    const { cube, strides: [, sy, sz], offsets: [offR, offG, offB], weights: [wR, wG, wB] } = baked;
+    for (let i = 0; i < px.length; i += 4) {
+      const r = px[i];
+      const g = px[i + 1];
+      const b = px[i + 2];
+      const p = offR[r] + offG[g] + offB[b];
+      const wr = wR[r];
+      const wg = wG[g];
+      const c00 = mixPacked(cube[p], cube[p + 1], wr);
+      const c10 = mixPacked(cube[p + sy], cube[p + sy + 1], wr);
+      const c01 = mixPacked(cube[p + sz], cube[p + sz + 1], wr);
+      const c11 = mixPacked(cube[p + sy + sz], cube[p + sy + sz + 1], wr);
+      const v = mixPacked(mixPacked(c00, c10, wg), mixPacked(c01, c11, wg), wB[b]);
+      px[i] = v & 255;
+      px[i + 1] = (v >> 8) & 255;
+      px[i + 2] = v >> 16;
+    }
+  } else {
+    const { channels: [tableR, tableG, tableB], saturation, mono, ramp } = baked;
+    for (let i = 0; i < px.length; i += 4) {
+      let r = tableR[px[i]];
+      let g = tableG[px[i + 1]];
+      let b = tableB[px[i + 2]];
+      if (saturation !== 256) {
+        // Rec. 709 luminance weights out of 256
+        const l = (54 * r + 183 * g + 19 * b + 128) >> 8;
+        r = clampByte(l + (((r - l) * saturation) >> 8));
+        g = clampByte(l + (((g - l) * saturation) >> 8));
+        b = clampByte(l + (((b - l) * saturation) >> 8));
+      }
+      if (mono) {
+        const l = (54 * r + 183 * g + 19 * b + 128) >> 8;
+        if (ramp) {
+          r = ramp[l * 3];
+          g = ramp[l * 3 + 1];
+          b = ramp[l * 3 + 2];
+        } else {
+          r = g = b = l;
+        }
+      }
+      px[i] = r;
+      px[i + 1] = g;
+      px[i + 2] = b;
+    }
+  }
+
+  ctx.putImageData(image, x0, 0);
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_GRADE, applyGrade, bakeGrade, parseCube } from "@/lib/grade";
+
+// An identity LUT of `size` points per axis, red changing fastest
+function identityCube(size, header = "") {
+  const rows = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) rows.push([r, g, b].map((v) => (v / (size - 1)).toFixed(4)).join(" "));
+    }
+  }
+  return `${header}LUT_3D_SIZE ${size}\n${rows.join("\n")}\n`;
+}
+
+describe("parseCube", () => {
+  it("reads the title, domain and entries, skipping comments and blank lines", () => {
+    const text = identityCube(2, '# made by hand\nTITLE "Neutral"\n\nDOMAIN_MIN 0 0 0\nDOMAIN_MAX 1 1 1\n');
+    const lut = parseCube(text);
+    expect(lut.title).toBe("Neutral");
+    expect(lut.size).toBe(2);
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([1, 1, 1]);
+    expect(lut.data).toBeInstanceOf(Float32Array);
+    expect(Array.from(lut.data.slice(0, 6))).toEqual([0, 0, 0, 1, 0, 0]);
+  });
+
+  it("accepts Windows line endings", () => {
+    expect(parseCube(identityCube(2).replace(/\n/g, "\r\n")).size).toBe(2);
+  });
+
+  it("rejects 1D LUTs, a missing size and a wrong number of entries", () => {
+    expect(() => parseCube("LUT_1D_SIZE 4\n0 0 0\n")).toThrow(/1D/);
+    expect(() => parseCube("0 0 0\n1 1 1\n")).toThrow(/LUT_3D_SIZE/);
+    expect(() => parseCube("LUT_3D_SIZE 2\n0 0 0\n")).toThrow(/Expected 8/);
+  });
+});
+
+describe("applyGrade", () => {
+  const pixels = () => new Uint8ClampedArray([0, 0, 0, 255, 200, 100, 50, 255, 255, 255, 255, 128]);
+  const context = (data) => ({
+    canvas: { width: data.length / 4, height: 1 },
+    getImageData: () => ({ data }),
+    putImageData: () => {},
+  });
+  const grade = (data, patch, options) => applyGrade(context(data), bakeGrade({ ...DEFAULT_GRADE, ...patch }, options));
+
+  it("leaves pixels alone for a neutral grade, with or without an identity LUT", () => {
+    const plain = pixels();
+    grade(plain, {});
+    expect(plain).toEqual(pixels());
+
+    const looked = pixels();
+    grade(looked, { lut: "lut" }, { lut: parseCube(identityCube(17)) });
+    Array.from(looked).forEach((v, i) => expect(Math.abs(v - pixels()[i])).toBeLessThanOrEqual(1));
+  });
+
+  it("turns pixels grey in mono mode and keeps alpha", () => {
+    const data = pixels();
+    grade(data, { mode: "mono" });
+    expect(data[4]).toBe(data[5]);
+    expect(data[5]).toBe(data[6]);
+    expect(data[11]).toBe(128);
+  });
+
+  it("brightens with exposure", () => {
+    const data = pixels();
+    grade(data, { exposure: 1 });
+    expect(Array.from(data.slice(4, 7))).toEqual([255, 200, 100]);
+  });
+});
@@ -0,0 +1,45 @@
+// Undo history of editor snapshots. A snapshot is a plain object of state
+// values (see App.jsx); entries keep the same references React state holds,
+// so recording one costs no copying and restoring it is exact.
+
+export const HISTORY_LIMIT = 100;
+// Changes closer together than this become one step (e.g. a slider drag)
+export const HISTORY_GROUP_DELAY = 400;
+
+export function createHistory(state) {
+  return { entries: [{ state, changed: [], time: Date.now() }], index: 0 };
+}
+
+function changedKeys(prev, next) {
+  const keys = [];
+  for (const key of Object.keys(next)) {
+    if (key === "settings") {
+      for (const setting of Object.keys(next.settings)) {
+        if (prev.settings?.[setting] !== next.settings[setting]) keys.push(setting);
+      }
+    } else if (prev[key] !== next[key]) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+export function snapshotsEqual(a, b) {
+  return changedKeys(a, b).length === 0;
+}
+
+export const currentSnapshot = (history) => history.entries[history.index].state;
+
+// Add `state` after the current entry, dropping any redo steps
+export function recordHistory(history, state) {
+  const changed = changedKeys(currentSnapshot(history), state);
+  if (changed.length === 0) return history;
+
+  const entries = [...history.entries.slice(0, history.index + 1), { state, changed, time: Date.now() }];
+  const overflow = Math.max(0, entries.length - HISTORY_LIMIT);
+  return { entries: entries.slice(overflow), index: entries.length - 1 - overflow };
+}
+
+export function moveHistory(history, index) {
+  return { ...history, index: Math.max(0, Math.min(history.entries.length - 1, index)) };
+}
@@ -0,0 +1,87 @@
+// Ken Burns pan-and-zoom for still images. A framing is { x, y, zoom }: the
+// centre of the visible area in image coordinates (0–1) and a zoom factor
+// over the "cover" crop, so it stays valid when the output resolution changes.
+
+export const EASINGS = {
+  linear: (p) => p,
+  easeIn: (p) => p * p,
+  easeOut: (p) => 1 - (1 - p) * (1 - p),
+  easeInOut: (p) => (p < 0.5 ? 2 * p * p : 1 - (-2 * p + 2) ** 2 / 2),
+};
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const lerp = (a, b, p) => a + (b - a) * p;
+
+// Framing `p` (0–1) of the way through the clip
+export function framingAt(kenBurns, p) {
+  const ease = EASINGS[kenBurns.easing] || EASINGS.easeInOut;
+  const e = ease(clamp(p, 0, 1));
+  return {
+    x: lerp(kenBurns.from.x, kenBurns.to.x, e),
+    y: lerp(kenBurns.from.y, kenBurns.to.y, e),
+    zoom: lerp(kenBurns.from.zoom, kenBurns.to.zoom, e),
+  };
+}
+
+// Source rectangle of a `srcW`×`srcH` image that fills a `dstW`×`dstH` frame
+export function framingSourceRect(srcW, srcH, dstW, dstH, framing) {
+  const dstRatio = dstW / dstH;
+  let sw = srcW;
+  let sh = srcW / dstRatio;
+  if (sh > srcH) {
+    sh = srcH;
+    sw = srcH * dstRatio;
+  }
+  const zoom = clamp(framing.zoom, MIN_ZOOM, MAX_ZOOM);
+  sw /= zoom;
+  sh /= zoom;
+
+  const cx = clamp(framing.x * srcW, sw / 2, srcW - sw / 2);
+  const cy = clamp(framing.y * srcH, sh / 2, srcH - sh / 2);
+  return { sx: cx - sw / 2, sy: cy - sh / 2, sw, sh };
+}
+
+// Move a framing by a drag of (`dx`, `dy`) stage fractions, keeping it inside the image
+export function panFraming(framing, dx, dy, srcW, srcH, dstW, dstH) {
+  const { sw, sh } = framingSourceRect(srcW, srcH, dstW, dstH, framing);
+  const halfW = sw / srcW / 2;
+  const halfH = sh / srcH / 2;
+  return {
+    ...framing,
+    x: clamp(framing.x - dx * (sw / srcW), halfW, 1 - halfW),
+    y: clamp(framing.y - dy * (sh / srcH), halfH, 1 - halfH),
+  };
+}
+
+export function zoomFraming(framing, factor) {
+  return { ...framing, zoom: clamp(framing.zoom * factor, MIN_ZOOM, MAX_ZOOM) };
+}
+
+// A gentle random push-in, pull-out or pan, for "auto Ken Burns"
+export function randomKenBurns(random = Math.random) {
+  const near = (v, spread) => v + (random() - 0.5) * spread;
+  const kind = Math.floor(random() * 3);
+
+  if (kind === 2) {
+    // pan across at a fixed zoom, horizontally or vertically
+    const zoom = 1.15 + random() * 0.1;
+    const horizontal = random() < 0.5;
+    const a = 0.35;
+    const b = 0.65;
+    const [startPos, endPos] = random() < 0.5 ? [a, b] : [b, a];
+    return {
+      from: { x: horizontal ? startPos : near(0.5, 0.1), y: horizontal ? near(0.5, 0.1) : startPos, zoom },
+      to: { x: horizontal ? endPos : near(0.5, 0.1), y: horizontal ? near(0.5, 0.1) : endPos, zoom },
+      easing: "easeInOut",
+    };
+  }
+
+  const wide = { x: near(0.5, 0.1), y: near(0.5, 0.1), zoom: 1 + random() * 0.05 };
+  const close = { x: near(0.5, 0.3), y: near(0.5, 0.3), zoom: 1.2 + random() * 0.15 };
+  return kind === 0
+    ? { from: wide, to: close, easing: "easeInOut" }
+    : { from: close, to: wide, easing: "easeInOut" };
+}
@@ -0,0 +1,129 @@
+// Media library organisation: names, bins, search/sort and where items are
+// used. An item may carry a user `label` (otherwise its file name shows), a
+// `binId` (see settings.bins; none means unsorted) and `addedAt` (ms).
+
+export const LIBRARY_TYPES = ["image", "video", "audio", "font", "lut"];
+export const LIBRARY_SORTS = ["added", "name", "duration"];
+// Bin filter values besides bin ids
+export const ALL_BINS = "all";
+export const NO_BIN = "none";
+
+export function itemLabel(item) {
+  return item?.label || item?.file?.name || "";
+}
+
+export function createBin(name) {
+  return { id: crypto.randomUUID(), name };
+}
+
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// How many places refer to library item `id`: timeline clips, audio tracks,
+// overlays, caption/title/cue/card fonts, window wallpapers and colour grade LUTs
+export function libraryUsage(id, { timeline, audioTracks, overlays = [], subtitles, captionStyle, titleStyle, gradeDefaults }) {
+  return (
+    timeline.filter((clip) => clip.libId === id || clip.grade?.lut === id || clip.card?.style?.font === id || clip.chrome?.wallpaper === id).length +
+    audioTracks.filter((track) => track.libId === id).length +
+    overlays.filter((overlay) => overlay.libId === id).length +
+    subtitles.filter((cue) => cue.style?.font === id).length +
+    [captionStyle.font, titleStyle.font, gradeDefaults.lut].filter((ref) => ref === id).length
+  );
+}
+
+// The items to show for `filter` = { query, type, bin, sort, descending }
+export function filterLibrary(library, { query = "", type = "", bin = ALL_BINS, sort = "added", descending = false }) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const items = library.filter((item) => {
+    if (type && item.type !== type) return false;
+    if (bin === NO_BIN ? item.binId : bin !== ALL_BINS && item.binId !== bin) return false;
+    const label = itemLabel(item).toLowerCase();
+    return words.every((word) => label.includes(word));
+  });
+
+  const compare = {
+    added: (a, b) => (a.addedAt || 0) - (b.addedAt || 0),
+    name: (a, b) => itemLabel(a).localeCompare(itemLabel(b), undefined, { numeric: true, sensitivity: "base" }),
+    duration: (a, b) => (a.duration || 0) - (b.duration || 0),
+  }[sort] ?? (() => 0);
+  items.sort(compare);
+  return descending ? items.reverse() : items;
+}
+
+// Codec sniffing. Browsers don't say which codecs a file uses, so the
+// container headers are read: MP4/MOV sample descriptions (stsd) and
+// Matroska/WebM codec ids.
+const MP4_CODECS = {
+  avc1: "H.264", avc3: "H.264", hvc1: "H.265", hev1: "H.265", vp09: "VP9", av01: "AV1",
+  ap4h: "ProRes", apch: "ProRes", apcn: "ProRes", apcs: "ProRes", apco: "ProRes", jpeg: "Motion JPEG",
+  mp4a: "AAC", Opus: "Opus", fLaC: "FLAC", ".mp3": "MP3", "ac-3": "AC-3", "ec-3": "E-AC-3",
+};
+const MATROSKA_CODECS = {
+  V_VP8: "VP8", V_VP9: "VP9", V_AV1: "AV1", "V_MPEG4/ISO/AVC": "H.264", "V_MPEGH/ISO/HEVC": "H.265",
+  A_OPUS: "Opus", A_VORBIS: "Vorbis", A_AAC: "AAC", A_FLAC: "FLAC",
+};
+const MP4_CONTAINERS = new Set(["moov", "trak", "mdia", "minf", "stbl"]);
+const MATROSKA_HEAD = 256 * 1024;
+
+const fourcc = (view, at) => String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + at, 4));
+
+// Box at `at`: { type, size, header }, or null if it doesn't fit in `end`
+function readBox(view, at, end) {
+  if (at + 8 > end) return null;
+  let size = view.getUint32(at);
+  let header = 8;
+  if (size === 1) {
+    if (at + 16 > end) return null;
+    size = Number(view.getBigUint64(at + 8));
+    header = 16;
+  } else if (size === 0) {
+    size = end - at;
+  }
+  return size >= header ? { type: fourcc(view, at + 4), size, header } : null;
+}
+
+// Sample entry formats of every track below [start, end)
+function stsdFormats(view, start, end, out) {
+  for (let at = start, box; (box = readBox(view, at, end)); at += box.size) {
+    if (MP4_CONTAINERS.has(box.type)) stsdFormats(view, at + box.header, Math.min(end, at + box.size), out);
+    // Full box header, entry count, then the first entry's size and format
+    else if (box.type === "stsd" && at + 24 <= end) out.push(fourcc(view, at + 20));
+  }
+  return out;
+}
+
+async function mp4Codecs(file) {
+  // Walk the top-level boxes to the movie header, which may sit at either end
+  for (let at = 0; at < file.size;) {
+    const head = new DataView(await file.slice(at, at + 16).arrayBuffer());
+    const box = readBox(head, 0, Math.min(16, file.size - at));
+    if (!box) break;
+    if (box.type === "moov") {
+      const moov = new DataView(await file.slice(at + box.header, at + box.size).arrayBuffer());
+      return stsdFormats(moov, 0, moov.byteLength, []).map((format) => MP4_CODECS[format] || format.trim());
+    }
+    at += box.size;
+  }
+  return [];
+}
+
+// Codec names found in `file`, e.g. ["H.264", "AAC"]; empty when unknown
+export async function sniffCodecs(file) {
+  try {
+    const head = new Uint8Array(await file.slice(0, MATROSKA_HEAD).arrayBuffer());
+    if (head.length >= 8 && fourcc(new DataView(head.buffer), 4) === "ftyp") {
+      return [...new Set(await mp4Codecs(file))];
+    }
+    if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+      const text = new TextDecoder("latin1").decode(head);
+      return [...new Set(Object.keys(MATROSKA_CODECS).filter((id) => text.includes(id)).map((id) => MATROSKA_CODECS[id]))];
+    }
+  } catch (error) {
+    console.error("Could not read codecs:", error);
+  }
+  return [];
+}
@@ -0,0 +1,67 @@
+// Helpers for driving <video>/<img> elements outside of normal playback.
+
+// Resolve on the next `event` from `el`; reject on "error" or after `timeoutMs`
+export function waitForEvent(el, event, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      el.removeEventListener(event, handleEvent);
+      el.removeEventListener("error", handleError);
+    };
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(el.error || new Error(`Media error while waiting for "${event}"`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeoutMs);
+
+    el.addEventListener(event, handleEvent);
+    el.addEventListener("error", handleError);
+  });
+}
+
+// Seek `v` to `time` and wait until that exact frame is decoded and drawable
+export async function seekVideoExact(v, time) {
+  if (v.readyState < 1) await waitForEvent(v, "loadedmetadata");
+
+  const target = Math.min(Math.max(0, v.duration - 0.001), Math.max(0, time));
+  if (v.seeking || v.currentTime !== target) {
+    const seeked = waitForEvent(v, "seeked");
+    v.currentTime = target;
+    await seeked;
+  }
+  if (v.readyState < 2) await waitForEvent(v, "canplay");
+}
+
+// Grab still frames of the video at `url` at each of `times` (seconds), as
+// data URLs `height` pixels tall. Uses its own element so playback is untouched.
+export async function captureFrames(url, times, { height = 48, type = "image/jpeg" } = {}) {
+  const v = document.createElement("video");
+  v.muted = true;
+  v.preload = "auto";
+  v.src = url;
+  try {
+    await waitForEvent(v, "loadedmetadata");
+    const canvas = document.createElement("canvas");
+    canvas.height = height;
+    canvas.width = Math.max(1, Math.round((height * v.videoWidth) / (v.videoHeight || 1)));
+    const ctx = canvas.getContext("2d");
+
+    const frames = [];
+    for (const time of times) {
+      await seekVideoExact(v, time);
+      ctx.drawImage(v, 0, 0, canvas.width, canvas.height);
+      frames.push(canvas.toDataURL(type, 0.7));
+    }
+    return frames;
+  } finally {
+    v.removeAttribute("src");
+    v.load();
+  }
+}
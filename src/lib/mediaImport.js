@@ -0,0 +1,149 @@
+// Importing many files at once: walking dropped or picked folders, putting
+// their files in order and processing them a few at a time.
+import { LUT_FILE_PATTERN } from "@/lib/grade";
+
+export const FONT_FILE_PATTERN = /\.(ttf|otf|woff2?)$/i;
+// Files processed at the same time while importing
+export const IMPORT_CONCURRENCY = 4;
+export const IMPORT_ORDERS = ["name", "modified", "captured"];
+// Only the start of a JPEG is read for its EXIF block
+const EXIF_HEAD = 128 * 1024;
+
+// Whether the library can take `file`. Hidden files (.DS_Store …) never count.
+export function isImportable(file) {
+  if (file.name.startsWith(".")) return false;
+  return (
+    /^(image|audio|video|font)\//.test(file.type) ||
+    FONT_FILE_PATTERN.test(file.name) ||
+    LUT_FILE_PATTERN.test(file.name)
+  );
+}
+
+// Run `fn(item, index)` over `items` with at most `limit` calls pending;
+// resolves to the results in the order of `items`
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+// The file system entries of a drop. They must be taken while the drop event
+// is handled; the browser clears them afterwards.
+export function droppedEntries(dataTransfer) {
+  return Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+}
+
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+async function directoryEntries(entry) {
+  const reader = entry.createReader();
+  const entries = [];
+  // readEntries hands out a folder in batches, until an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+}
+
+// [{ file, path }] of every file in `entries`, walking into subfolders
+export async function readEntryFiles(entries) {
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      files.push(...(await readEntryFiles(await directoryEntries(entry))));
+    } else if (entry.isFile) {
+      try {
+        files.push({ file: await entryFile(entry), path: entry.fullPath.replace(/^\//, "") });
+      } catch (error) {
+        console.error(`Could not read ${entry.fullPath}:`, error);
+      }
+    }
+  }
+  return files;
+}
+
+// [{ file, path }] of the files of an <input webkitdirectory>
+export function pickedFolderFiles(fileList) {
+  return Array.from(fileList, (file) => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+// The "YYYY:MM:DD HH:MM:SS" date of the first tag found, read from the TIFF
+// structure starting at `tiff` (an EXIF APP1 payload)
+function tiffDate(view, tiff, tags) {
+  const little = view.getUint16(tiff) === 0x4949;
+  const u16 = (offset) => view.getUint16(tiff + offset, little);
+  const u32 = (offset) => view.getUint32(tiff + offset, little);
+
+  // Entries of the IFD at `offset`, by tag: { count, value } where `value`
+  // is the offset of the entry's value field
+  const readIfd = (offset) => {
+    const entries = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      entries.set(u16(at), { count: u32(at + 4), value: at + 8 });
+    }
+    return entries;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exifPointer = ifd0.get(0x8769);
+  const exif = exifPointer ? readIfd(u32(exifPointer.value)) : new Map();
+  const tag = tags.map((id) => exif.get(id) || ifd0.get(id)).find(Boolean);
+  if (!tag || tag.count < 19) return null;
+
+  const start = tiff + u32(tag.value);
+  const text = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + start, 19));
+  const m = /^(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)$/.exec(text);
+  // Cameras store local time without a zone
+  return m ? new Date(m[1], m[2] - 1, m[3], m[4], m[5], m[6]).getTime() : null;
+}
+
+// When a JPEG was taken (ms), from its EXIF DateTimeOriginal, DateTimeDigitized
+// or DateTime; null if it has none
+export async function exifCaptureTime(file) {
+  try {
+    const view = new DataView(await file.slice(0, EXIF_HEAD).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+    for (let at = 2; at + 4 <= view.byteLength;) {
+      const marker = view.getUint16(at);
+      // Image data starts; no EXIF before it
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return null;
+      const isExif = marker === 0xffe1 && view.getUint32(at + 4) === 0x45786966 && view.getUint16(at + 8) === 0;
+      if (isExif) return tiffDate(view, at + 10, [0x9003, 0x9004, 0x0132]);
+      at += 2 + view.getUint16(at + 2);
+    }
+  } catch (error) {
+    // A truncated or odd EXIF block just means no capture date
+    if (!(error instanceof RangeError)) console.error(`Could not read EXIF of ${file.name}:`, error);
+  }
+  return null;
+}
+
+const compareNames = (a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: "base" });
+
+// `files` ([{ file, path }]) in `order`: path with natural numbering
+// ("shot 2" before "shot 10"), file modification time, or capture time
+// (EXIF, else modification time). Ties keep name order.
+export async function sortImportFiles(files, order) {
+  const byName = [...files].sort(compareNames);
+  if (order === "name") return byName;
+
+  const times = order === "captured"
+    ? await mapConcurrent(byName, IMPORT_CONCURRENCY, async ({ file }) => (await exifCaptureTime(file)) ?? file.lastModified)
+    : byName.map(({ file }) => file.lastModified);
+  return byName
+    .map((entry, i) => ({ entry, time: times[i] }))
+    .sort((a, b) => a.time - b.time)
+    .map(({ entry }) => entry);
+}
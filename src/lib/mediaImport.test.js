@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { exifCaptureTime, sortImportFiles } from "@/lib/mediaImport";
+
+// A minimal JPEG: SOI, an APP0 segment, then an EXIF APP1 block whose IFD0
+// holds `ifd0` tags and points to an EXIF IFD holding `exif` tags, each a
+// { tag: "YYYY:MM:DD HH:MM:SS" } date
+function jpeg({ ifd0 = {}, exif = {}, little = true } = {}) {
+  const bytes = [];
+  const u16 = (v) => (little ? [v & 255, v >> 8] : [v >> 8, v & 255]);
+  const u32 = (v) => (little ? [v & 255, (v >> 8) & 255, (v >> 16) & 255, v >>> 24] : [v >>> 24, (v >> 16) & 255, (v >> 8) & 255, v & 255]);
+
+  // Layout: header (8), IFD0, EXIF IFD, then the date strings
+  const ifd0Tags = Object.entries(ifd0).map(([tag, date]) => [Number(tag), date]);
+  const exifTags = Object.entries(exif).map(([tag, date]) => [Number(tag), date]);
+  const ifdSize = (count) => 2 + count * 12 + 4;
+  const ifd0Count = ifd0Tags.length + 1;
+  const exifOffset = 8 + ifdSize(ifd0Count);
+  let dataOffset = exifOffset + ifdSize(exifTags.length);
+  const strings = [];
+  const entry = (tag, date) => {
+    strings.push(date);
+    const bytesOf = [...u16(tag), ...u16(2), ...u32(20), ...u32(dataOffset)];
+    dataOffset += 20;
+    return bytesOf;
+  };
+
+  const tiff = [...(little ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42), ...u32(8)];
+  tiff.push(...u16(ifd0Count));
+  ifd0Tags.forEach(([tag, date]) => tiff.push(...entry(tag, date)));
+  tiff.push(...u16(0x8769), ...u16(4), ...u32(1), ...u32(exifOffset), ...u32(0));
+  tiff.push(...u16(exifTags.length));
+  exifTags.forEach(([tag, date]) => tiff.push(...entry(tag, date)));
+  tiff.push(...u32(0));
+  strings.forEach((date) => tiff.push(...[...date].map((c) => c.charCodeAt(0)), 0));
+
+  const app1 = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  bytes.push(0xff, 0xd8);
+  bytes.push(0xff, 0xe0, 0, 4, 0, 0);
+  bytes.push(0xff, 0xe1, (app1.length + 2) >> 8, (app1.length + 2) & 255, ...app1);
+  bytes.push(0xff, 0xda, 0, 2);
+  return new File([new Uint8Array(bytes)], "photo.jpg", { type: "image/jpeg" });
+}
+
+describe("exifCaptureTime", () => {
+  it("prefers DateTimeOriginal in the EXIF IFD over DateTime", async () => {
+    const file = jpeg({ ifd0: { 0x0132: "2021:01:01 00:00:00" }, exif: { 0x9003: "2020:05:17 14:03:09" } });
+    expect(await exifCaptureTime(file)).toBe(new Date(2020, 4, 17, 14, 3, 9).getTime());
+  });
+
+  it("falls back to DateTime and reads big-endian TIFF", async () => {
+    const file = jpeg({ ifd0: { 0x0132: "2019:12:31 23:59:58" }, little: false });
+    expect(await exifCaptureTime(file)).toBe(new Date(2019, 11, 31, 23, 59, 58).getTime());
+  });
+
+  it("is null without a date, for non-JPEGs and for malformed dates", async () => {
+    expect(await exifCaptureTime(jpeg())).toBeNull();
+    expect(await exifCaptureTime(new File([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], "a.png"))).toBeNull();
+    expect(await exifCaptureTime(jpeg({ exif: { 0x9003: "not a date at all!!" } }))).toBeNull();
+  });
+
+  it("is null for a truncated file", async () => {
+    const full = new Uint8Array(await jpeg({ exif: { 0x9003: "2020:05:17 14:03:09" } }).arrayBuffer());
+    expect(await exifCaptureTime(new File([full.slice(0, 30)], "cut.jpg"))).toBeNull();
+  });
+});
+
+describe("sortImportFiles", () => {
+  const entry = (path, lastModified) => ({ path, file: new File([], path, { lastModified }) });
+
+  it("orders names with natural numbering", async () => {
+    const files = [entry("shot 10.png", 1), entry("shot 2.png", 2), entry("Shot 1.png", 3)];
+    expect((await sortImportFiles(files, "name")).map((f) => f.path)).toEqual(["Shot 1.png", "shot 2.png", "shot 10.png"]);
+  });
+
+  it("orders by modification time, keeping name order for ties", async () => {
+    const files = [entry("c.png", 5), entry("b.png", 1), entry("a.png", 5)];
+    expect((await sortImportFiles(files, "modified")).map((f) => f.path)).toEqual(["b.png", "a.png", "c.png"]);
+  });
+});
@@ -0,0 +1,79 @@
+// Previews of library media: filmstrips of video frames and peak levels for
+// waveforms. They are made once per item when it is imported and kept
+// outside the undo history and project files (see App.jsx), since they can
+// always be made again from the file; autosaved sessions store them.
+import { captureFrames } from "@/lib/media";
+
+export const FILMSTRIP_FRAMES = 12;
+const FILMSTRIP_HEIGHT = 72;
+// Waveform resolution, capped so hour-long recordings stay small
+const PEAKS_PER_SECOND = 25;
+const MAX_PEAKS = 4000;
+// Sound is decoded at a low rate; peaks need no more
+const PEAK_SAMPLE_RATE = 8000;
+// Decoding reads the whole file into memory, so long screen recordings get
+// no waveform
+const MAX_WAVEFORM_FILE_SIZE = 256 * 1024 * 1024;
+
+// The middle of each of `count` equal parts, so no frame is the (often
+// black) very first one
+export function filmstripTimes(duration, count = FILMSTRIP_FRAMES) {
+  return Array.from({ length: count }, (_, i) => ((i + 0.5) * duration) / count);
+}
+
+// { times, frames } with a JPEG data URL per time; null for videos of
+// unknown length
+export async function createFilmstrip(url, duration) {
+  if (!(duration > 0 && Number.isFinite(duration))) return null;
+  const times = filmstripTimes(duration);
+  return { times, frames: await captureFrames(url, times, { height: FILMSTRIP_HEIGHT }) };
+}
+
+const nearestIndex = (times, time) =>
+  times.reduce((best, t, i) => (Math.abs(t - time) < Math.abs(times[best] - time) ? i : best), 0);
+
+// The frame closest to `time`
+export function filmstripFrameAt(filmstrip, time) {
+  return filmstrip.frames[nearestIndex(filmstrip.times, time)];
+}
+
+// Frames taken between `from` and `to`, or the one nearest to that span if
+// it is shorter than the spacing of the strip
+export function filmstripFramesBetween(filmstrip, from, to) {
+  const frames = filmstrip.frames.filter((_, i) => filmstrip.times[i] >= from && filmstrip.times[i] <= to);
+  return frames.length ? frames : [filmstripFrameAt(filmstrip, (from + to) / 2)];
+}
+
+// { peaks, duration }: the loudest sample (0..1) of every slice of the sound
+// in `file`, over all channels; null if the file has no sound or is too big
+export async function computeWaveform(file) {
+  if (file.size > MAX_WAVEFORM_FILE_SIZE) return null;
+  let buffer;
+  try {
+    const ctx = new OfflineAudioContext(1, 1, PEAK_SAMPLE_RATE);
+    buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+  } catch {
+    return null;
+  }
+
+  const count = Math.max(1, Math.min(MAX_PEAKS, Math.ceil(buffer.duration * PEAKS_PER_SECOND)));
+  const peaks = new Float32Array(count);
+  const perPeak = buffer.length / count;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) {
+      const p = Math.min(count - 1, Math.floor(i / perPeak));
+      const level = Math.abs(data[i]);
+      if (level > peaks[p]) peaks[p] = Math.min(1, level);
+    }
+  }
+  return { peaks, duration: buffer.duration };
+}
+
+// The peaks of `waveform` between `from` and `to` seconds
+export function peaksBetween(waveform, from = 0, to = waveform.duration) {
+  const perSecond = waveform.peaks.length / (waveform.duration || 1);
+  const start = Math.max(0, Math.floor(from * perSecond));
+  const end = Math.min(waveform.peaks.length, Math.ceil(to * perSecond));
+  return waveform.peaks.subarray(start, Math.max(start, end));
+}
@@ -0,0 +1,210 @@
+// Frame-accurate export: steps the compositor through the timeline one fixed
+// frame at a time and encodes every frame, so the output never depends on
+// playback speed, dropped frames or machine load.
+import { Muxer, ArrayBufferTarget } from "mp4-muxer";
+import { createFrameSequenceEncoder } from "@/lib/ffmpeg";
+import { audioBufferToWav } from "@/lib/audio";
+
+export const RENDER_FPS_OPTIONS = [24, 25, 30, 60];
+
+// H.264 High, Main and Baseline at level 5.1 (enough for 4K30)
+const AVC_CODECS = ["avc1.640033", "avc1.4d0033", "avc1.420033"];
+const BITS_PER_PIXEL = 0.12;
+const MAX_ENCODE_QUEUE = 8;
+const AUDIO_CODECS = [
+  { codec: "mp4a.40.2", muxerCodec: "aac" },
+  { codec: "opus", muxerCodec: "opus" },
+];
+const AUDIO_BITRATE = 192000;
+const AUDIO_CHUNK_FRAMES = 4096;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function pickEncoderConfig(width, height, fps) {
+  if (typeof VideoEncoder === "undefined") return null;
+
+  for (const codec of AVC_CODECS) {
+    const config = {
+      codec,
+      width,
+      height,
+      framerate: fps,
+      bitrate: Math.round(width * height * fps * BITS_PER_PIXEL),
+      avc: { format: "avc" },
+    };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return config;
+    } catch {
+      // try the next profile
+    }
+  }
+  return null;
+}
+
+async function pickAudioEncoderConfig(buffer) {
+  if (typeof AudioEncoder === "undefined") return null;
+
+  for (const { codec, muxerCodec } of AUDIO_CODECS) {
+    const config = {
+      codec,
+      sampleRate: buffer.sampleRate,
+      numberOfChannels: buffer.numberOfChannels,
+      bitrate: AUDIO_BITRATE,
+    };
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported(config);
+      if (supported) return { config, muxerCodec };
+    } catch {
+      // try the next codec
+    }
+  }
+  return null;
+}
+
+// Feed a whole AudioBuffer through an AudioEncoder into the muxer
+async function encodeAudioBuffer(buffer, config, muxer) {
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+
+  const channels = buffer.numberOfChannels;
+  for (let offset = 0; offset < buffer.length; offset += AUDIO_CHUNK_FRAMES) {
+    if (encodeError) break;
+    const frames = Math.min(AUDIO_CHUNK_FRAMES, buffer.length - offset);
+    const data = new Float32Array(frames * channels);
+    for (let c = 0; c < channels; c++) {
+      data.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+    }
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: buffer.sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: channels,
+      timestamp: Math.round((offset * 1e6) / buffer.sampleRate),
+      data,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) throw encodeError;
+}
+
+// WebCodecs VideoEncoder (plus AudioEncoder for the mix, given its
+// `audioEncoding`) muxed into an MP4 in memory
+async function createWebCodecsEncoder(config, audio, audioEncoding) {
+  const fps = config.framerate;
+
+  const target = new ArrayBufferTarget();
+  const muxer = new Muxer({
+    target,
+    fastStart: "in-memory",
+    video: { codec: "avc", width: config.width, height: config.height, frameRate: fps },
+    audio: audioEncoding
+      ? { codec: audioEncoding.muxerCodec, numberOfChannels: audio.numberOfChannels, sampleRate: audio.sampleRate }
+      : undefined,
+  });
+  if (audioEncoding) await encodeAudioBuffer(audio, audioEncoding.config, muxer);
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+  const keyFrameInterval = Math.round(fps * 2);
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await sleep(5);
+
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((index * 1e6) / fps),
+        duration: Math.round(1e6 / fps),
+      });
+      encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+    },
+
+    async finish() {
+      await encoder.flush();
+      if (encodeError) throw encodeError;
+      muxer.finalize();
+      return new Blob([target.buffer], { type: "video/mp4" });
+    },
+
+    close() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+// ffmpeg.wasm fallback for browsers without WebCodecs, or without an audio
+// encoder for the mix
+async function createFFmpegEncoder(fps, audio, signal) {
+  const sequence = await createFrameSequenceEncoder({
+    fps,
+    signal,
+    audio: audio ? audioBufferToWav(audio) : null,
+  });
+
+  return {
+    async addFrame(canvas) {
+      const jpeg = await new Promise((resolve, reject) =>
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not encode frame"))), "image/jpeg", 0.95)
+      );
+      await sequence.addFrame(jpeg);
+    },
+    finish: () => sequence.finish(),
+    close: () => sequence.close(),
+  };
+}
+
+// Render `duration` seconds at `fps` into an H.264 MP4 blob, with the
+// optional `audio` AudioBuffer as its sound track.
+// `renderFrame(t)` must fully draw time `t` onto `canvas` before resolving.
+export async function renderTimelineOffline({ canvas, duration, fps, audio = null, renderFrame, onProgress, signal }) {
+  signal?.throwIfAborted();
+
+  const frameCount = Math.max(1, Math.ceil(duration * fps - 1e-6));
+  const config = await pickEncoderConfig(canvas.width, canvas.height, fps);
+  const audioEncoding = config && audio ? await pickAudioEncoderConfig(audio) : null;
+  // ffmpeg muxes the mix as WAV where WebCodecs could only drop it
+  const encoder = config && (!audio || audioEncoding)
+    ? await createWebCodecsEncoder(config, audio, audioEncoding)
+    : await createFFmpegEncoder(fps, audio, signal);
+
+  try {
+    let lastYield = performance.now();
+    onProgress?.(0);
+
+    for (let i = 0; i < frameCount; i++) {
+      signal?.throwIfAborted();
+      await renderFrame(i / fps);
+      await encoder.addFrame(canvas, i);
+      onProgress?.((i + 1) / frameCount);
+
+      // Let the UI breathe; only affects speed, never the frames produced
+      if (performance.now() - lastYield > 16) {
+        await sleep(0);
+        lastYield = performance.now();
+      }
+    }
+
+    signal?.throwIfAborted();
+    return await encoder.finish();
+  } finally {
+    await encoder.close();
+  }
+}
@@ -0,0 +1,136 @@
+// Overlay tracks: images and videos drawn over the main sequence, such as a
+// logo watermark, a face-cam in a corner or a lower-third graphic. Each
+// overlay is
+//   { id, libId, layer, start, end, trimIn, x, y, scale, opacity, radius,
+//     border, borderColor, audio, volume }
+// with `start`/`end` in timeline seconds and `trimIn` the media time (video)
+// shown at `start`. The box is centred on (x, y), in frame fractions, and is
+// `scale` of the frame width wide; `radius` rounds its corners (0–1 of half
+// the shorter side) and `border` is a width in pixels of a 1080p frame.
+// Higher layers are drawn on top.
+
+export const DEFAULT_OVERLAY = {
+  x: 0.5,
+  y: 0.5,
+  scale: 0.4,
+  opacity: 1,
+  radius: 0,
+  border: 0,
+  borderColor: "#ffffff",
+  audio: true,
+  volume: 1,
+};
+
+// Starting points for common uses; they set only the box and its look
+export const OVERLAY_PRESETS = {
+  pip: { x: 0.84, y: 0.8, scale: 0.25, opacity: 1, radius: 0.15, border: 4 },
+  pipRound: { x: 0.86, y: 0.78, scale: 0.18, opacity: 1, radius: 1, border: 4 },
+  watermark: { x: 0.92, y: 0.08, scale: 0.1, opacity: 0.6, radius: 0, border: 0 },
+  lowerThird: { x: 0.32, y: 0.84, scale: 0.5, opacity: 1, radius: 0, border: 0 },
+};
+
+export const DEFAULT_OVERLAY_DURATION = 5;
+// Shortest overlay, in seconds
+export const MIN_OVERLAY_DURATION = 0.1;
+// Smallest and largest box width, in frame fractions
+export const OVERLAY_SCALE_RANGE = [0.02, 1];
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// The lowest layer free between `start` and `end`
+export function freeLayer(overlays, start, end) {
+  for (let layer = 0; ; layer++) {
+    const taken = overlays.some((o) => o.layer === layer && o.start < end && o.end > start);
+    if (!taken) return layer;
+  }
+}
+
+// A new overlay of library item `lib` from `start`, on the lowest free layer.
+// Videos last as long as their media; images DEFAULT_OVERLAY_DURATION.
+export function createOverlay(lib, overlays, start, preset = "pip") {
+  const length = lib.type === "video" && lib.duration ? lib.duration : DEFAULT_OVERLAY_DURATION;
+  const end = start + length;
+  return {
+    id: crypto.randomUUID(),
+    libId: lib.id,
+    layer: freeLayer(overlays, start, end),
+    start,
+    end,
+    trimIn: 0,
+    ...DEFAULT_OVERLAY,
+    ...OVERLAY_PRESETS[preset],
+  };
+}
+
+// The overlays showing at timeline time `t`, bottom layer first
+export function overlaysAt(overlays = [], t) {
+  return overlays
+    .filter((o) => t >= o.start && t < o.end)
+    .sort((a, b) => (a.layer || 0) - (b.layer || 0));
+}
+
+// Media time of a video overlay at timeline time `t`
+export function overlayMediaTime(overlay, t) {
+  return (overlay.trimIn || 0) + Math.max(0, t - overlay.start);
+}
+
+// The overlay's box { x, y, w, h } (top left and size) in a w×h frame, for
+// a source of srcW×srcH
+export function overlayRect(overlay, srcW, srcH, w, h) {
+  const dw = clamp(overlay.scale ?? DEFAULT_OVERLAY.scale, ...OVERLAY_SCALE_RANGE) * w;
+  const dh = srcW && srcH ? (dw * srcH) / srcW : dw;
+  return {
+    x: (overlay.x ?? DEFAULT_OVERLAY.x) * w - dw / 2,
+    y: (overlay.y ?? DEFAULT_OVERLAY.y) * h - dh / 2,
+    w: dw,
+    h: dh,
+  };
+}
+
+// `overlay` with its box moved so its centre stays inside the frame
+export function clampOverlayBox(overlay) {
+  return {
+    ...overlay,
+    x: clamp(overlay.x, 0, 1),
+    y: clamp(overlay.y, 0, 1),
+    scale: clamp(overlay.scale, ...OVERLAY_SCALE_RANGE),
+  };
+}
+
+function roundedRectPath(ctx, { x, y, w, h }, r) {
+  ctx.beginPath();
+  if (ctx.roundRect) {
+    ctx.roundRect(x, y, w, h, r);
+  } else {
+    ctx.rect(x, y, w, h);
+  }
+}
+
+// Draw `source` (srcW×srcH) as `overlay` into the w×h frame on `ctx`
+export function drawOverlay(ctx, source, srcW, srcH, overlay, w, h) {
+  if (!srcW || !srcH) return;
+  const rect = overlayRect(overlay, srcW, srcH, w, h);
+  const radius = clamp(overlay.radius || 0, 0, 1) * (Math.min(rect.w, rect.h) / 2);
+  const border = Math.max(0, overlay.border || 0) * (h / 1080);
+
+  ctx.save();
+  ctx.globalAlpha = clamp(overlay.opacity ?? 1, 0, 1);
+  if (radius > 0) {
+    roundedRectPath(ctx, rect, radius);
+    ctx.save();
+    ctx.clip();
+    ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h);
+    ctx.restore();
+  } else {
+    ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h);
+  }
+  if (border > 0) {
+    // The border sits inside the box, so it never grows past it
+    const inset = { x: rect.x + border / 2, y: rect.y + border / 2, w: rect.w - border, h: rect.h - border };
+    roundedRectPath(ctx, inset, Math.max(0, radius - border / 2));
+    ctx.lineWidth = border;
+    ctx.strokeStyle = overlay.borderColor || DEFAULT_OVERLAY.borderColor;
+    ctx.stroke();
+  }
+  ctx.restore();
+}
@@ -0,0 +1,105 @@
+// Portable project bundles: a zip holding a versioned project.json plus the
+// original media files, so an edit can be handed to someone else.
+import { strFromU8, strToU8, unzipSync, zipSync } from "fflate";
+
+export const PROJECT_FORMAT = "desktop-doc-project";
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = ".ddoc";
+
+// Upgrade steps keyed by the version they upgrade *from*.
+// Each takes a project of that version and returns one of the next version.
+const migrations = {
+  // v2 adds the subtitle track. Per-clip captions stay on the clips: turning
+  // them into cues needs the media durations, so the app does it on load.
+  1: (project) => ({ ...project, subtitles: [] }),
+  // v3 adds the overlay tracks
+  2: (project) => ({ ...project, overlays: [] }),
+};
+
+export function migrateProject(project) {
+  if (project?.format !== PROJECT_FORMAT) {
+    throw new Error("Not a Desktop Doc project");
+  }
+  let version = project.version ?? 1;
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project version ${version} is newer than this app supports (${PROJECT_VERSION})`);
+  }
+
+  let migrated = project;
+  while (version < PROJECT_VERSION) {
+    const step = migrations[version];
+    if (!step) throw new Error(`No migration from project version ${version}`);
+    migrated = { ...step(migrated), version: version + 1 };
+    version += 1;
+  }
+  return migrated;
+}
+
+const safeName = (name) => name.replace(/[^\w.-]+/g, "_");
+
+// Plain-JSON form of the editor state. Library items are reduced to metadata
+// and a `path` for their media file inside the bundle.
+export function serializeProject({ library, timeline, audioTracks, overlays = [], subtitles, settings }) {
+  const media = library.map((item) => {
+    const name = item.file?.name || `${item.type}-${item.id}`;
+    const path = `media/${item.id}-${safeName(name)}`;
+    return {
+      id: item.id,
+      type: item.type,
+      name,
+      mimeType: item.file?.type || "",
+      lastModified: item.file?.lastModified || Date.now(),
+      path,
+      label: item.label,
+      binId: item.binId,
+      addedAt: item.addedAt,
+    };
+  });
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    settings,
+    library: media,
+    timeline,
+    audioTracks,
+    overlays,
+    subtitles,
+  };
+}
+
+// Build the zip. Media is stored uncompressed: it is already compressed and
+// deflating hundreds of megabytes of video would only cost time.
+export async function saveProjectBundle(state) {
+  const project = serializeProject(state);
+  const entries = {
+    "project.json": [strToU8(JSON.stringify(project, null, 2)), { level: 6 }],
+  };
+
+  await Promise.all(project.library.map(async (entry, i) => {
+    const file = state.library[i].file;
+    if (file) entries[entry.path] = [new Uint8Array(await file.arrayBuffer()), { level: 0 }];
+  }));
+
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
+
+// Read a bundle back: the migrated project plus one File per library entry
+export async function readProjectBundle(bundle) {
+  const entries = unzipSync(new Uint8Array(await bundle.arrayBuffer()));
+  if (!entries["project.json"]) throw new Error("project.json is missing from the bundle");
+
+  const project = migrateProject(JSON.parse(strFromU8(entries["project.json"])));
+  const files = new Map();
+  for (const item of project.library) {
+    const data = entries[item.path];
+    if (!data) {
+      console.warn(`Media file ${item.path} is missing from the bundle`);
+      continue;
+    }
+    files.set(item.id, new File([data], item.name, { type: item.mimeType, lastModified: item.lastModified }));
+  }
+
+  return { project, files };
+}
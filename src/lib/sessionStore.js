@@ -0,0 +1,131 @@
+// Autosaved editing sessions in IndexedDB. A session is the serialized
+// project (see project.js) plus the imported media files, stored as Blobs so
+// a crashed or closed tab can be restored in full, each with its preview
+// (see mediaPreview.js) so a restore needn't make them again.
+import { migrateProject } from "@/lib/project";
+
+const DB_NAME = "desktop-doc";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function openDB() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("sessions", { keyPath: "id" });
+      const media = db.createObjectStore("media", { keyPath: ["sessionId", "id"] });
+      media.createIndex("sessionId", "sessionId");
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Store one imported media file for a session, with its preview if made yet
+export async function putSessionMedia(sessionId, id, file, preview = null) {
+  const db = await openDB();
+  const tx = db.transaction("media", "readwrite");
+  tx.objectStore("media").put({ sessionId, id, file, preview });
+  await transactionDone(tx);
+}
+
+// Add the preview of a media file stored earlier
+export async function putSessionPreview(sessionId, id, preview) {
+  const db = await openDB();
+  const tx = db.transaction("media", "readwrite");
+  const media = tx.objectStore("media");
+  const record = await promisify(media.get([sessionId, id]));
+  if (record) media.put({ ...record, preview });
+  await transactionDone(tx);
+}
+
+// Save the project JSON of a session and drop the media of the `removed`
+// item ids; `size` is the bytes its media takes up. Saves must not overlap: a
+// later one may have stored media an earlier one does not know about.
+export async function saveSession(sessionId, project, { removed = [], size = 0 } = {}) {
+  const db = await openDB();
+  const tx = db.transaction(["sessions", "media"], "readwrite");
+  tx.objectStore("sessions").put({
+    id: sessionId,
+    updatedAt: Date.now(),
+    title: project.settings?.globalTitle || "",
+    clipCount: project.timeline?.length || 0,
+    mediaCount: project.library?.length || 0,
+    size,
+    project,
+  });
+
+  const media = tx.objectStore("media");
+  removed.forEach((id) => media.delete([sessionId, id]));
+
+  await transactionDone(tx);
+}
+
+// Session summaries, newest first, with the bytes their media takes up
+export async function listSessions() {
+  const db = await openDB();
+  const sessions = await promisify(db.transaction("sessions", "readonly").objectStore("sessions").getAll());
+
+  return sessions
+    .map(({ id, updatedAt, title, clipCount, mediaCount, size }) => ({ id, updatedAt, title, clipCount, mediaCount, size: size || 0 }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Load a session back in the same shape readProjectBundle returns, plus the
+// stored `previews` by item id
+export async function loadSession(sessionId) {
+  const db = await openDB();
+  const tx = db.transaction(["sessions", "media"], "readonly");
+  const [session, media] = await Promise.all([
+    promisify(tx.objectStore("sessions").get(sessionId)),
+    promisify(tx.objectStore("media").index("sessionId").getAll(IDBKeyRange.only(sessionId))),
+  ]);
+  if (!session) throw new Error(`Session ${sessionId} not found`);
+
+  const project = migrateProject(session.project);
+  const files = new Map(media.map(({ id, file }) => [id, file]));
+  const previews = new Map(media.filter(({ preview }) => preview).map(({ id, preview }) => [id, preview]));
+  return { project, files, previews };
+}
+
+export async function deleteSession(sessionId) {
+  const db = await openDB();
+  const tx = db.transaction(["sessions", "media"], "readwrite");
+  tx.objectStore("sessions").delete(sessionId);
+  const media = tx.objectStore("media");
+  const keys = await promisify(media.index("sessionId").getAllKeys(IDBKeyRange.only(sessionId)));
+  keys.forEach((key) => media.delete(key));
+  await transactionDone(tx);
+}
+
+// Origin-wide usage/quota in bytes, or null where the browser can't tell
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  return navigator.storage.estimate();
+}
+
+// Ask the browser not to evict our data under storage pressure
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  return (await navigator.storage.persisted()) || navigator.storage.persist();
+}
@@ -0,0 +1,85 @@
+// Timed subtitle cues ({ id, start, end, text }, times in seconds) and their
+// SubRip (.srt) / WebVTT (.vtt) text formats.
+
+export const SUBTITLE_FORMATS = ["vtt", "srt"];
+export const DEFAULT_CUE_LENGTH = 2;
+// Shortest cue, in seconds
+export const MIN_CUE_LENGTH = 0.1;
+
+const newId = () => crypto.randomUUID();
+
+// "01:02:03,456", "02:03.456" or "1:02:03.4" → seconds
+function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, h = "0", m, s, ms = "0"] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor(totalMs / 60000) % 60;
+  const s = Math.floor(totalMs / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// Both formats are blank-line separated blocks with a "start --> end" line;
+// SRT puts a counter and VTT an optional identifier before it. The WEBVTT
+// header and NOTE/STYLE blocks have no timing line and are skipped.
+export function parseSubtitles(text) {
+  const cues = [];
+  const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex < 0) continue;
+
+    const [startText, rest = ""] = lines[timingIndex].split("-->");
+    // VTT cue settings ("align:start" etc.) follow the end time
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0] || "");
+    if (start == null || end == null || end <= start) continue;
+
+    // Drop VTT voice/class tags and SRT font tags; cues are drawn as plain text
+    const body = lines.slice(timingIndex + 1).join("\n").replace(/<[^>]+>/g, "").trim();
+    if (body) cues.push({ id: newId(), start, end, text: body });
+  }
+  return sortCues(cues);
+}
+
+export function formatSRT(cues) {
+  return sortCues(cues)
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}\n`)
+    .join("\n");
+}
+
+export function formatVTT(cues) {
+  const body = sortCues(cues)
+    .map((cue) => `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text}\n`)
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+export function formatSubtitles(cues, format) {
+  return format === "srt" ? formatSRT(cues) : formatVTT(cues);
+}
+
+export function sortCues(cues) {
+  return [...cues].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// Cues showing at time `t`, in start order
+export function cuesAt(cues, t) {
+  return cues.filter((cue) => t >= cue.start && t < cue.end);
+}
+
+// Older projects kept one caption per clip, shown for the clip's whole length.
+// Turn those into cues on the given layout (see timeline.js).
+export function captionsToCues(layout) {
+  return layout
+    .filter(({ clip, duration }) => clip.caption?.trim() && duration > 0)
+    .map(({ clip, start, duration }) => ({ id: newId(), start, end: start + duration, text: clip.caption.trim() }));
+}
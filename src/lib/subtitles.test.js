@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { formatSRT, formatSubtitles, formatVTT, parseSubtitles } from "@/lib/subtitles";
+
+const timings = (cues) => cues.map(({ start, end, text }) => ({ start, end, text }));
+
+describe("parseSubtitles", () => {
+  it("reads SRT blocks with counters and comma milliseconds", () => {
+    const srt = "1\r\n00:00:01,500 --> 00:00:03,000\r\nHello\r\n\r\n2\r\n00:01:02,000 --> 00:01:04,250\r\nTwo\r\nlines\r\n";
+    expect(timings(parseSubtitles(srt))).toEqual([
+      { start: 1.5, end: 3, text: "Hello" },
+      { start: 62, end: 64.25, text: "Two\nlines" },
+    ]);
+  });
+
+  it("reads VTT with a header, notes, identifiers, settings and short timestamps", () => {
+    const vtt = [
+      "\uFEFFWEBVTT",
+      "",
+      "NOTE made by hand",
+      "",
+      "intro",
+      "00:05.000 --> 00:06.5 align:start line:0",
+      "<v Ann>Hi <b>there</b></v>",
+    ].join("\n");
+    expect(timings(parseSubtitles(vtt))).toEqual([{ start: 5, end: 6.5, text: "Hi there" }]);
+  });
+
+  it("skips cues with bad or backwards timings and empty text, and sorts the rest", () => {
+    const srt = [
+      "1", "00:00:09,000 --> 00:00:10,000", "Later", "",
+      "2", "00:00:05,000 --> 00:00:04,000", "Backwards", "",
+      "3", "nonsense --> 00:00:04,000", "Broken", "",
+      "4", "00:00:01,000 --> 00:00:02,000", "", "",
+      "5", "00:00:02,000 --> 00:00:03,000", "Earlier",
+    ].join("\n");
+    expect(parseSubtitles(srt).map((cue) => cue.text)).toEqual(["Earlier", "Later"]);
+  });
+
+  it("gives every cue its own id", () => {
+    const cues = parseSubtitles("00:00:01.000 --> 00:00:02.000\nA\n\n00:00:03.000 --> 00:00:04.000\nB");
+    expect(new Set(cues.map((cue) => cue.id)).size).toBe(2);
+  });
+});
+
+describe("formatting", () => {
+  const cues = [
+    { id: "b", start: 3725.5, end: 3727, text: "Second" },
+    { id: "a", start: 0.25, end: 2, text: "First" },
+  ];
+
+  it("writes numbered SRT in start order", () => {
+    expect(formatSRT(cues)).toBe(
+      "1\n00:00:00,250 --> 00:00:02,000\nFirst\n\n2\n01:02:05,500 --> 01:02:07,000\nSecond\n"
+    );
+  });
+
+  it("writes VTT with its header", () => {
+    expect(formatVTT(cues)).toBe(
+      "WEBVTT\n\n00:00:00.250 --> 00:00:02.000\nFirst\n\n01:02:05.500 --> 01:02:07.000\nSecond\n"
+    );
+  });
+
+  it("round-trips through both formats", () => {
+    for (const format of ["srt", "vtt"]) {
+      expect(timings(parseSubtitles(formatSubtitles(cues, format)))).toEqual(timings([cues[1], cues[0]]));
+    }
+  });
+});
@@ -0,0 +1,62 @@
+// Colour themes: the built-in terminal palettes plus user-made ones.
+// A theme is { primary, shadow }: the text/border colour and its glow.
+// Custom themes also carry { id, name } and are kept in localStorage so
+// they are available in every project.
+
+export const BUILTIN_THEMES = {
+  green: { primary: "#00aa00", shadow: "#00aa00" },
+  amber: { primary: "#ffaa00", shadow: "#ffaa00" },
+  red: { primary: "#cc0000", shadow: "#cc0000" },
+  blue: { primary: "#0066cc", shadow: "#0066cc" },
+  purple: { primary: "#6600cc", shadow: "#6600cc" },
+};
+
+export const DEFAULT_THEME = "green";
+export const THEME_EXTENSION = ".ddtheme.json";
+
+const STORE_KEY = "desktop-doc:themes";
+const FILE_TYPE = "desktop-doc-theme";
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// `key` is a built-in name or a custom theme id
+export function resolveTheme(key, customThemes = []) {
+  return BUILTIN_THEMES[key] || customThemes.find((theme) => theme.id === key) || BUILTIN_THEMES[DEFAULT_THEME];
+}
+
+export function createTheme(name, { primary, shadow }) {
+  return { id: crypto.randomUUID(), name, primary, shadow };
+}
+
+export function loadCustomThemes() {
+  try {
+    const themes = JSON.parse(localStorage.getItem(STORE_KEY) || "[]");
+    return Array.isArray(themes) ? themes.filter((theme) => theme?.id && HEX_COLOR.test(theme.primary)) : [];
+  } catch (error) {
+    console.error("Stored themes are unreadable:", error);
+    return [];
+  }
+}
+
+export function storeCustomThemes(themes) {
+  localStorage.setItem(STORE_KEY, JSON.stringify(themes));
+}
+
+// Shareable file contents for one theme
+export function serializeTheme({ name, primary, shadow }) {
+  return JSON.stringify({ type: FILE_TYPE, version: 1, name, primary, shadow }, null, 2);
+}
+
+// Parse a theme file into a new custom theme (with a fresh id)
+export function parseTheme(text) {
+  const data = JSON.parse(text);
+  if (data?.type !== FILE_TYPE || !HEX_COLOR.test(data.primary) || !HEX_COLOR.test(data.shadow)) {
+    throw new Error("Not a theme file");
+  }
+  return createTheme(String(data.name || "").slice(0, 40), data);
+}
+
+// Custom themes from `incoming` (e.g. a loaded project) that are not known yet
+export function mergeThemes(current, incoming = []) {
+  const ids = new Set(current.map((theme) => theme.id));
+  return [...current, ...incoming.filter((theme) => !ids.has(theme.id))];
+}
@@ -0,0 +1,88 @@
+// Timing helpers shared by the stage, the audio mixer and the exporters.
+import { DEFAULT_TRANSITION } from "@/lib/transitions";
+
+export const DEFAULT_IMAGE_DURATION = 3;
+// Shortest stretch of a video a trim may leave
+export const MIN_TRIM_LENGTH = 0.1;
+
+// In/out points (seconds into the source) of a video clip. `trimOut` unset
+// means the end of the video; both are clamped to the current media length.
+export function getTrimRange(clip, lib) {
+  const length = lib?.duration || 0;
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const trimIn = clamp(clip.trimIn || 0, 0, Math.max(0, length - MIN_TRIM_LENGTH));
+  const trimOut = clamp(clip.trimOut ?? length, Math.min(length, trimIn + MIN_TRIM_LENGTH), length);
+  return { trimIn, trimOut };
+}
+
+// Seconds a clip occupies on the timeline. Generated cards (see cards.js)
+// are timed like images.
+export function getClipDuration(clip, lib) {
+  if (clip.card) return clip.duration || DEFAULT_IMAGE_DURATION;
+  if (!lib) return 0;
+  if (lib.type === "video") {
+    const { trimIn, trimOut } = getTrimRange(clip, lib);
+    return Math.max(0, trimOut - trimIn);
+  }
+  return clip.duration || DEFAULT_IMAGE_DURATION;
+}
+
+// Transition into a clip: its own override merged over the project default
+export function getTransitionSpec(clip, defaults) {
+  return { type: DEFAULT_TRANSITION, duration: 0, ...defaults, ...clip.transition };
+}
+
+// Start time, duration, media offset and incoming transition of every clip, in timeline
+// order. A transition overlaps the outgoing and incoming clip by its length,
+// which is capped at half of either clip so neighbouring transitions never
+// meet. Clips whose library item is gone keep their slot with zero length.
+export function layoutTimeline(timeline, library, transitionDefaults = {}) {
+  const layout = [];
+  timeline.forEach((clip, i) => {
+    const lib = library.find((l) => l.id === clip.libId);
+    const duration = getClipDuration(clip, lib);
+    const prev = layout[i - 1];
+
+    const spec = getTransitionSpec(clip, transitionDefaults);
+    const overlap = !prev || spec.type === "cut"
+      ? 0
+      : Math.max(0, Math.min(spec.duration, prev.duration / 2, duration / 2));
+
+    layout.push({
+      clip,
+      lib,
+      duration,
+      // Where in the source media the clip starts (videos only)
+      mediaOffset: lib?.type === "video" ? getTrimRange(clip, lib).trimIn : 0,
+      start: prev ? prev.start + prev.duration - overlap : 0,
+      transition: { type: overlap > 0 ? spec.type : "cut", duration: overlap },
+    });
+  });
+  return layout;
+}
+
+export function layoutDuration(layout) {
+  return layout.reduce((end, e) => Math.max(end, e.start + e.duration), 0);
+}
+
+// The clip showing at time `t`. During a transition `fromIndex` is the
+// outgoing clip and `progress` runs from 0 to 1.
+export function clipAt(layout, t) {
+  for (let i = layout.length - 1; i >= 0; i--) {
+    const entry = layout[i];
+    if (entry.duration <= 0 || t < entry.start) continue;
+    if (t >= entry.start + entry.duration) break;
+
+    const localTime = t - entry.start;
+    const inTransition = i > 0 && localTime < entry.transition.duration;
+    return {
+      index: i,
+      localTime,
+      duration: entry.duration,
+      transition: inTransition
+        ? { type: entry.transition.type, fromIndex: i - 1, progress: localTime / entry.transition.duration }
+        : null,
+    };
+  }
+  return { index: -1, localTime: 0, duration: 0, transition: null };
+}
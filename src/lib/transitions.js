@@ -0,0 +1,121 @@
+// Transitions between two overlapping clips. Each one receives the progress
+// `p` (0 → 1) and two async painters, `drawOut(ctx)` and `drawIn(ctx)`, that
+// draw the outgoing/incoming clip at their own current time onto `ctx`.
+import { createCanvas } from "@/lib/canvas";
+
+export const TRANSITION_TYPES = ["cut", "dissolve", "dipToBlack", "wipe", "slide", "zoom", "glitch"];
+export const DEFAULT_TRANSITION = "dissolve";
+
+const easeInOut = (p) => (p < 0.5 ? 2 * p * p : 1 - (-2 * p + 2) ** 2 / 2);
+
+// Deterministic noise so glitches look the same in every render of a frame
+function hash(a, b) {
+  let x = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x632be5ab, 0xc2b2ae35);
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x7feb352d);
+  x ^= x >>> 15;
+  return (x >>> 0) / 4294967296;
+}
+
+async function withState(ctx, setup, paint) {
+  ctx.save();
+  setup(ctx);
+  await paint(ctx);
+  ctx.restore();
+}
+
+async function dissolve(ctx, p, { drawOut, drawIn }) {
+  await drawOut(ctx);
+  await withState(ctx, (c) => { c.globalAlpha = p; }, drawIn);
+}
+
+async function dipToBlack(ctx, p, { drawOut, drawIn }, { w, h }) {
+  const first = p < 0.5;
+  await (first ? drawOut : drawIn)(ctx);
+  ctx.save();
+  ctx.fillStyle = "#000";
+  ctx.globalAlpha = first ? p * 2 : (1 - p) * 2;
+  ctx.fillRect(0, 0, w, h);
+  ctx.restore();
+}
+
+async function wipe(ctx, p, { drawOut, drawIn }, { w, h }) {
+  const edge = easeInOut(p) * w;
+  await drawOut(ctx);
+  await withState(ctx, (c) => {
+    c.beginPath();
+    c.rect(0, 0, edge, h);
+    c.clip();
+  }, drawIn);
+}
+
+async function slide(ctx, p, { drawOut, drawIn }, { w }) {
+  const offset = easeInOut(p) * w;
+  await withState(ctx, (c) => c.translate(-offset, 0), drawOut);
+  await withState(ctx, (c) => c.translate(w - offset, 0), drawIn);
+}
+
+async function zoom(ctx, p, { drawOut, drawIn }, { w, h }) {
+  const scaleAround = (c, s) => {
+    c.translate(w / 2, h / 2);
+    c.scale(s, s);
+    c.translate(-w / 2, -h / 2);
+  };
+  await withState(ctx, (c) => scaleAround(c, 1 + easeInOut(p) * 0.6), drawOut);
+  await withState(ctx, (c) => {
+    scaleAround(c, 1.4 - easeInOut(p) * 0.4);
+    c.globalAlpha = p;
+  }, drawIn);
+}
+
+// Horizontal tearing plus an RGB split that peaks halfway through
+async function glitch(ctx, p, { drawOut, drawIn }, { w, h }) {
+  const frame = createCanvas(w, h);
+  const frameCtx = frame.getContext("2d");
+  await (p < 0.5 ? drawOut : drawIn)(frameCtx);
+
+  const strength = Math.sin(p * Math.PI);
+  const seed = Math.round(p * 1000);
+  const shift = Math.round(strength * w * 0.02);
+
+  // Split into a red layer and a green/blue layer, then add them back shifted
+  const channel = (color) => {
+    const layer = createCanvas(w, h);
+    const c = layer.getContext("2d");
+    c.drawImage(frame, 0, 0);
+    c.globalCompositeOperation = "multiply";
+    c.fillStyle = color;
+    c.fillRect(0, 0, w, h);
+    return layer;
+  };
+
+  ctx.save();
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, w, h);
+  ctx.globalCompositeOperation = "lighter";
+  ctx.drawImage(channel("#ff0000"), shift, 0);
+  ctx.drawImage(channel("#00ffff"), -shift, 0);
+  ctx.restore();
+
+  // Tear a few horizontal bands
+  const bands = 3 + Math.floor(hash(seed, 0) * 6 * strength);
+  for (let i = 0; i < bands; i++) {
+    const y = Math.floor(hash(seed, i * 3 + 1) * h);
+    const bandH = Math.max(2, Math.floor(hash(seed, i * 3 + 2) * h * 0.08));
+    const dx = Math.round((hash(seed, i * 3 + 3) - 0.5) * w * 0.1 * strength);
+    ctx.drawImage(frame, 0, y, w, bandH, dx, y, w, bandH);
+  }
+}
+
+const painters = { dissolve, dipToBlack, wipe, slide, zoom, glitch };
+
+// Draw the transition frame at progress `p` onto `ctx` (already cleared)
+export async function drawTransition(ctx, type, p, clips, size) {
+  const painter = painters[type];
+  if (!painter) {
+    // "cut" never overlaps, but be safe: show whichever clip is current
+    await (p < 0.5 ? clips.drawOut : clips.drawIn)(ctx);
+    return;
+  }
+  await painter(ctx, Math.max(0, Math.min(1, p)), clips, size);
+}
@@ -0,0 +1,344 @@
+// German. Loaded on demand by i18n.js; missing keys fall back to English.
+export default {
+  mediaLibrary: "Medienbibliothek",
+  howItWorks: "WIE FUNKTIONIERT ES?",
+  guideTitle: "DESKTOP DOCUMENTARY – KURZANLEITUNG",
+  guideSteps: [
+    "Bilder und Videos hierher ziehen und ablegen.",
+    "Jedes davon zur Zeitleiste hinzufügen.",
+    "Optional Titel und Untertitel hinzufügen; Überblendung einstellen.",
+    "Mit Play ansehen; mit Record als WebM oder MP4 speichern.",
+  ],
+  ffmpegHint:
+    "In MP4 umwandeln: ffmpeg -i input.webm -c:v libx264 -pix_fmt yuv420p output.mp4",
+  fileDropInstructions: "Dateien hierher ziehen oder zum Auswählen klicken.",
+  add: "Hinzufügen",
+  stageAndRecord: "BÜHNE & AUFNAHME",
+  play: "Play",
+  pause: "Pause",
+  recordWebM: "Aufnehmen (WebM)",
+  stop: "Stopp",
+  outputResolution: "Ausgabeauflösung",
+  crossfadeSeconds: "Überblendung (s)",
+  themeHeading: "Cyberpunk-Farbschema",
+  selected: "Ausgewählt",
+  colorNames: { green: "Grün", amber: "Bernstein", red: "Rot", blue: "Blau", purple: "Lila" },
+  mediaTypes: { image: "Bild", video: "Video", audio: "Audio", font: "Schrift", lut: "LUT" },
+  showTitle: "Titel ein-/ausblenden",
+  bold: "Fett",
+  globalTitleLabel: "Gesamttitel",
+  projectTitlePlaceholder: "Projekttitel…",
+  timeline: "ZEITLEISTE",
+  timelineReorderHint: "(Zum Umordnen ziehen und ablegen)",
+  timelineEmpty: 'Noch keine Clips. Klicke in der Bibliothek auf „Hinzufügen“.',
+  duration: "Dauer",
+  dropHere: "Hier ablegen",
+  reorderClip: "Clip verschieben",
+  reorderKeyboardHint: "Ziehen oder mit ↑/↓, Pos1/Ende verschieben",
+  language: "Sprache",
+  recordMP4: "Aufnehmen (MP4)",
+  converting: "Wird umgewandelt...",
+  cancel: "Abbrechen",
+  frameAccurateRender: "Bildgenaues Rendern",
+  renderMP4: "Rendern (MP4)",
+  rendering: "Wird gerendert...",
+  audioTracks: "MUSIK & SPRECHER",
+  audioTracksEmpty: 'Importiere eine Audiodatei und klicke in der Bibliothek auf „Hinzufügen“.',
+  trackStart: "Start (s)",
+  volumeEnvelope: "Lautstärkekurve",
+  addEnvelopePoint: "Am Abspielkopf hinzufügen",
+  muteClip: "Clipton stummschalten",
+  unmuteClip: "Clipton einschalten",
+  saveProject: "Projekt speichern",
+  openProject: "Projekt öffnen",
+  restorePrompt: "Vorherige Sitzung wiederherstellen?",
+  restore: "Wiederherstellen",
+  dismiss: "Verwerfen",
+  openProjectFailed: "Das Projekt konnte nicht geöffnet werden.",
+  restoreSessionFailed: "Die Sitzung konnte nicht wiederhergestellt werden.",
+  untitledSession: "Unbenannte Sitzung",
+  currentSession: "aktuell",
+  clipCount: { one: "{count} Clip", other: "{count} Clips" },
+  timelineSummary: { one: "{count} Clip, {duration}", other: "{count} Clips, {duration}" },
+  storage: "Speicher",
+  storageUsed: "Belegter Speicher",
+  noSessions: "Keine gespeicherten Sitzungen.",
+  delete: "Löschen",
+  clearOldSessions: "Alte Sitzungen löschen",
+  transition: "Übergang",
+  transitionDefault: "Standard",
+  transitionLength: "Übergangslänge (s); leer lassen für die globale Überblendung",
+  transitionNames: {
+    cut: "Schnitt",
+    dissolve: "Überblenden",
+    dipToBlack: "Über Schwarz",
+    wipe: "Wischen",
+    slide: "Schieben",
+    zoom: "Zoom",
+    glitch: "Glitch / RGB-Versatz",
+  },
+  kenBurns: "Ken-Burns-Schwenk & -Zoom",
+  kenBurnsStart: "Anfang",
+  kenBurnsEnd: "Ende",
+  editingStartFraming: "Anfangsausschnitt: ziehen zum Schwenken, scrollen zum Zoomen.",
+  editingEndFraming: "Endausschnitt: ziehen zum Schwenken, scrollen zum Zoomen.",
+  done: "Fertig",
+  easing: "Beschleunigung",
+  easingNames: {
+    linear: "Linear",
+    easeIn: "Langsamer Start",
+    easeOut: "Langsames Ende",
+    easeInOut: "Langsamer Start und Ende",
+  },
+  autoKenBurns: "Automatischer Ken Burns",
+  autoKenBurnsHint: "Gibt jedem Bild einen zufälligen sanften Schwenk oder Zoom.",
+  on: "An",
+  off: "Aus",
+  fitMode: "Einpassen",
+  fitDefault: "Standard",
+  fitModeNames: {
+    cover: "Füllen (beschneiden)",
+    contain: "Einpassen (Balken)",
+    blur: "Einpassen (unscharfer Hintergrund)",
+    crop: "Manueller Ausschnitt",
+  },
+  letterboxColor: "Balkenfarbe",
+  editCrop: "Ausschnitt bearbeiten",
+  editingCrop: "Ausschnitt: auf der Bühne den sichtbaren Bereich aufziehen.",
+  subtitles: "Untertitel",
+  subtitlesEmpty: "Noch keine Untertitel. Füge am Abspielkopf einen hinzu oder importiere eine .srt/.vtt-Datei.",
+  addCue: "Untertitel hinzufügen",
+  importSubtitles: "SRT/VTT importieren",
+  burnSubtitles: "In exportiertes Video einbrennen",
+  subtitleSidecar: "Begleitdatei:",
+  none: "Keine",
+  jumpToCue: "Zu diesem Untertitel springen",
+  cueDragHint: "Ziehen zum Verschieben; an den Enden ziehen, um das Timing zu ändern",
+  cueStart: "Start (s)",
+  cueEnd: "Ende (s)",
+  cueText: "Untertiteltext…",
+  captionStyle: "Untertitelstil",
+  titleStyle: "Titelstil",
+  cueStyle: "Stil für diesen Untertitel",
+  font: "Schrift",
+  textSize: "Größe",
+  textCase: "Schreibweise",
+  textAlign: "Ausrichtung",
+  textPosition: "Position",
+  textColor: "Farbe",
+  themeColor: "Themenfarbe",
+  textBox: "Kasten",
+  boxBorder: "Rahmen",
+  textOutline: "Kontur",
+  textShadow: "Schatten",
+  resetToDefault: "Auf Standard zurücksetzen",
+  safeAreaGuides: "Sicherheitsbereiche",
+  useFont: "Verwenden",
+  useFontForCaptions: "Diese Schrift für Untertitel verwenden",
+  previousFrame: "Vorheriges Bild",
+  nextFrame: "Nächstes Bild",
+  zoomIn: "Vergrößern",
+  zoomOut: "Verkleinern",
+  zoomToFit: "Alles anzeigen",
+  undo: "Rückgängig (Strg+Z)",
+  redo: "Wiederholen (Umschalt+Strg+Z)",
+  history: "Verlauf",
+  trimClip: "Trimmen (Ein/Aus)",
+  trimRange: "Ein–Aus (Länge)",
+  trimIn: "Ein",
+  trimOut: "Aus",
+  trimLength: "Länge",
+  resetTrim: "Ganzes Video",
+  trimInAtPlayhead: "Einstiegspunkt auf Abspielkopf setzen",
+  trimOutAtPlayhead: "Ausstiegspunkt auf Abspielkopf setzen",
+  duplicateClip: "Clip duplizieren",
+  crtEffects: "CRT-Effekte",
+  crtEffectsHint: "Gibt Vorschau und exportiertem Video den Look alter Bildschirme.",
+  crtEffectNames: {
+    scanlines: "Zeilenstruktur",
+    glow: "Phosphorleuchten",
+    grain: "Körnung / Rauschen",
+    vignette: "Vignette",
+    aberration: "Farbsäume",
+    barrel: "Bildschirmwölbung",
+    flicker: "Flimmern",
+  },
+  themeEditor: "Theme-Editor",
+  themePreview: "REC ● 00:12 AUFNAHME",
+  builtInThemes: "Eingebaute Themes",
+  customThemes: "Eigene Themes",
+  customThemesEmpty: "Noch keine eigenen Themes. Erstelle ein neues Theme oder importiere eine Theme-Datei.",
+  themeName: "Name des Themes",
+  themePrimary: "Hauptfarbe",
+  themeGlow: "Leuchten",
+  newTheme: "Neues Theme",
+  newThemeName: "Theme {count}",
+  importTheme: "Theme importieren",
+  exportTheme: "Exportieren",
+  colorGrade: "Farbkorrektur",
+  clipGrade: "Farbkorrektur für diesen Clip",
+  gradeCompare: "Vorher / nachher vergleichen",
+  gradeBefore: "Vorher",
+  gradeAfter: "Nachher",
+  gradeNames: {
+    adjustments: {
+      exposure: "Belichtung",
+      contrast: "Kontrast",
+      saturation: "Sättigung",
+      temperature: "Farbtemperatur",
+      tint: "Farbton",
+    },
+    mode: "Modus",
+    modes: { color: "Farbe", mono: "Schwarzweiß", duotone: "Duoton (Themenfarbe)" },
+    lutAmount: "LUT-Stärke",
+  },
+  lutHint: "Importiere eine .cube-Datei in die Bibliothek, um eine LUT zu verwenden.",
+  useLut: "Verwenden",
+  useLutForProject: "Diese LUT für die Projekt-Farbkorrektur verwenden",
+  itemDetails: "Details",
+  itemName: "Name",
+  itemType: "Typ",
+  resolution: "Auflösung",
+  fileSize: "Dateigröße",
+  fileFormat: "Format",
+  codecs: "Codecs",
+  unknown: "Unbekannt",
+  addedAt: "Hinzugefügt",
+  usage: "Verwendung",
+  usedIn: { one: "An {count} Stelle verwendet", other: "An {count} Stellen verwendet" },
+  notUsed: "Nicht verwendet",
+  deleteInUseWarning: {
+    one: "Dieses Element wird an {count} Stelle verwendet. Beim Löschen werden auch seine Clips und Spuren entfernt.",
+    other: "Dieses Element wird an {count} Stellen verwendet. Beim Löschen werden auch seine Clips und Spuren entfernt.",
+  },
+  deleteAnyway: "Trotzdem löschen",
+  searchLibrary: "Bibliothek durchsuchen",
+  allTypes: "Alle Typen",
+  librarySorts: { added: "Hinzugefügt", name: "Name", duration: "Dauer" },
+  sortAscending: "Aufsteigend",
+  sortDescending: "Absteigend",
+  libraryNoMatches: "Keine Elemente passen zum Filter.",
+  bin: "Ordner",
+  allBins: "Alle",
+  unsorted: "Unsortiert",
+  newBin: "Neuer Ordner",
+  newBinName: "Ordner {count}",
+  binName: "Ordnername",
+  deleteBin: "Ordner löschen (Elemente bleiben)",
+  moveToBinHint: "Elemente auf einen Ordner ziehen, um sie zu verschieben",
+  importFolder: "Ordner importieren",
+  folderImportFiles: { one: "{count} Datei zu importieren", other: "{count} Dateien zu importieren" },
+  folderImportSkipped: { one: "{count} andere Datei wird übersprungen", other: "{count} andere Dateien werden übersprungen" },
+  importOrder: "Reihenfolge",
+  importOrders: { name: "Dateiname", modified: "Änderungsdatum", captured: "Aufnahmedatum (EXIF)" },
+  addAllToTimeline: "Alle zur Zeitleiste hinzufügen",
+  imageDuration: "Bilddauer",
+  importAction: "Importieren",
+  importProgress: "Importiere {done} / {total}",
+  beatSync: "Im Takt schneiden",
+  detectBeats: "Beats erkennen",
+  detectBeatsAgain: "Erneut erkennen",
+  detectingBeats: "Analysiere…",
+  detectedTempo: "{tempo} BPM",
+  beatCount: { one: "{count} Beat", other: "{count} Beats" },
+  onsetCount: { one: "{count} Einsatz", other: "{count} Einsätze" },
+  tempoOverride: "Tempo manuell",
+  beatsPerBar: "Schläge pro Takt",
+  cutEvery: "Schnitt alle",
+  beatSteps: { beat: "Beat", twoBeats: "2 Beats", fourBeats: "4 Beats", bar: "Takt" },
+  beatSyncHint: "Bildclips werden verlängert oder gekürzt, sodass sie auf einem Beat enden; Videos behalten ihre Länge. Beats werden in der Zeitleiste markiert, und das Ziehen am Ende eines Bildes rastet daran ein.",
+  clearBeats: "Beats entfernen",
+  snapToBeats: "Bilddauern an Beats ausrichten",
+  dragToResize: "Ziehen, um die Dauer zu ändern",
+  overlayTracks: "ÜBERLAGERUNGEN",
+  overlayTracksEmpty: 'Klicke in der Bibliothek auf die Überlagerungs-Schaltfläche eines Bildes oder Videos, um ein Wasserzeichen, eine Facecam oder eine Bauchbinde hinzuzufügen.',
+  addAsOverlay: "Als Überlagerung hinzufügen (am Abspielkopf)",
+  overlayLayerBadge: "Ebene {layer}",
+  overlayStart: "Start",
+  overlayEnd: "Ende",
+  overlayStartAtPlayhead: "Am Abspielkopf beginnen",
+  overlayEndAtPlayhead: "Am Abspielkopf enden",
+  overlaySettings: "Überlagerung bearbeiten",
+  overlayPreset: "Vorlage",
+  overlayPresets: { pip: "Eck-Kamera", pipRound: "Runde Kamera", watermark: "Wasserzeichen", lowerThird: "Bauchbinde" },
+  overlayScale: "Größe",
+  opacity: "Deckkraft",
+  cornerRadius: "Eckenradius",
+  overlayBorder: "Rahmen",
+  overlayLayer: "Ebene",
+  overlayLayerHint: "Höhere Ebenen liegen oben",
+  overlayTrimIn: "Video beginnt bei",
+  overlayAudio: "Ton",
+  addCard: "Karte hinzufügen",
+  cardTemplates: { intro: "Intro-Karte", chapter: "Kapiteltafel", credits: "Abspann", countdown: "Countdown" },
+  cardTemplateTexts: { intro: "Meine Doku", chapter: "Kapitel 1", credits: "Regie\nDein Name\n\nMusik\nKünstler\n\nDanke fürs Zuschauen", countdown: "" },
+  cardKinds: { title: "Titelkarte", credits: "Abspann", countdown: "Countdown" },
+  cardSettings: "Karte bearbeiten",
+  cardKind: "Art",
+  countdownFrom: "Herunterzählen ab",
+  cardTextPlaceholder: "Kartentext (auch mehrzeilig)",
+  creditsPlaceholder: "Eine Zeile pro Eintrag; leere Zeilen schaffen Abstand",
+  creditsSpeed: "Rollgeschwindigkeit",
+  typewriter: "Schreibmaschinen-Effekt",
+  charsPerSecond: "{count} Zeichen/s",
+  cardBackground: "Hintergrund",
+  cardBackgrounds: { theme: "Theme-Leuchten", solid: "Volltonfarbe", gradient: "Verlauf", crt: "CRT-Bildschirm" },
+  gradientAngle: "Verlaufswinkel",
+  cardTextStyle: "Textstil",
+  chromeSettings: "Desktop-Fenster",
+  chromeEnabled: "Diesen Clip in einem Desktop-Fenster zeigen",
+  windowFrame: "Fensterrahmen",
+  windowFrames: { none: "Kein Rahmen", modern: "Modern", retro: "Retro", terminal: "Terminal" },
+  windowTitle: "Titelleiste",
+  windowSize: "Fenstergröße",
+  dropShadow: "Schlagschatten",
+  wallpaper: "Hintergrundbild",
+  chromeBackgrounds: { theme: "Theme-Leuchten", solid: "Volltonfarbe", gradient: "Verlauf", crt: "CRT-Bildschirm", image: "Bild" },
+  wallpaperImage: "Hintergrundbild",
+  noWallpaper: "Keins",
+  cursorPath: "Mauszeigerpfad",
+  cursorPathEmpty: "Noch keine Keyframes. Füge einen an der Abspielposition hinzu oder klicke beim Bearbeiten des Pfads auf die Bühne.",
+  addKeyframeAtPlayhead: "An Abspielposition hinzufügen",
+  keyframeTime: "Sekunden ab Clipbeginn",
+  cursorClick: "Klick",
+  cursorZoom: "Zum Mauszeiger zoomen",
+  cursorSize: "Zeigergröße",
+  editCursorPath: "Mauszeigerpfad auf der Bühne bearbeiten",
+  editingCursor: "Mauszeigerpfad: auf der Bühne klicken oder ziehen, um den Zeiger an der Abspielposition zu setzen; für den nächsten Keyframe die Abspielposition verschieben.",
+  historyLabels: {
+    initial: "Anfang",
+    library: "Bibliothek",
+    timeline: "Zeitleiste",
+    audioTracks: "Musik & Sprecher",
+    overlays: "Überlagerungen",
+    subtitles: "Untertitel",
+    crossfade: "Überblendung",
+    transitionType: "Übergang",
+    autoKenBurns: "Automatischer Ken Burns",
+    fitDefaults: "Einpassen",
+    burnSubtitles: "Untertitel einbrennen",
+    subtitleSidecar: "Untertitel-Begleitdatei",
+    captionStyle: "Untertitelstil",
+    titleStyle: "Titelstil",
+    canvasSize: "Auflösung",
+    globalTitle: "Titel",
+    showTitle: "Titelsichtbarkeit",
+    selectedColor: "Farbschema",
+    crt: "CRT-Effekte",
+    gradeDefaults: "Farbkorrektur",
+    renderFps: "Bildrate",
+    bins: "Ordner",
+  },
+  captionStyleNames: {
+    fonts: {
+      monospace: "Monospace",
+      sans: "Serifenlos",
+      serif: "Serif",
+      impact: "Impact",
+      typewriter: "Schreibmaschine",
+    },
+    cases: { none: "Wie eingegeben", upper: "GROSSBUCHSTABEN", lower: "kleinbuchstaben", title: "Wortanfänge Groß" },
+    aligns: { left: "Links", center: "Mitte", right: "Rechts" },
+    positions: { top: "Oben", bottom: "Unten", lowerThird: "Unteres Drittel", custom: "Eigene (x/y)" },
+  },
+};
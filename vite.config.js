@@ -11,6 +11,7 @@ export default defineConfig({
     },
   },
   optimizeDeps: {
-    exclude: [],
+    // ffmpeg.wasm spawns its worker relative to its own module URL
+    exclude: ["@ffmpeg/ffmpeg", "@ffmpeg/util"],
   },
 });